@@ -11,7 +11,13 @@ const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const readline = require('readline');
+const yaml = require('js-yaml');
 const packageJson = require('../package.json');
+const { normalizeAuth } = require('../src/utils/auth');
+const credentialStore = require('../src/utils/credential-store');
+const { login, logout } = require('../src/utils/oauth2-login');
+const secretStore = require('../src/utils/secret-store');
 
 // 获取版本号
 const version = packageJson.version;
@@ -26,6 +32,79 @@ function showBanner() {
   console.log('=================================================');
 }
 
+/**
+ * 读取配置文件中的认证提供者
+ * 未指定配置文件时依次使用环境变量WEBAPI_CONFIG_FILE和当前目录下的config.json
+ * @param {string} [configFile] - 配置文件路径
+ * @returns {Object} 以名称为键的认证提供者定义，没有配置文件时为空对象
+ */
+function readAuthProviders(configFile) {
+  const file = configFile || process.env.WEBAPI_CONFIG_FILE || 'config.json';
+  if (!fs.existsSync(file)) {
+    if (configFile) {
+      throw new Error(`配置文件不存在: ${configFile}`);
+    }
+    return {};
+  }
+
+  const content = fs.readFileSync(file, 'utf8');
+  const config = ['.yaml', '.yml'].includes(path.extname(file).toLowerCase()) ? yaml.load(content) : JSON.parse(content);
+  return (config && config.auth) || {};
+}
+
+/**
+ * 获取需要登录的认证提供者
+ * @param {string} name - 认证提供者名称
+ * @param {string} [configFile] - 配置文件路径
+ * @returns {Object} 规范化后的认证对象
+ */
+function getLoginProvider(name, configFile) {
+  const providers = readAuthProviders(configFile);
+  if (!providers[name]) {
+    throw new Error(`配置文件中没有认证提供者: ${name}`);
+  }
+  const auth = normalizeAuth(providers[name], name);
+  if (auth.type !== 'oauth2' || auth.flow !== 'authorizationCode') {
+    throw new Error(`认证提供者 ${name} 不是OAuth2授权码流程(flow: authorizationCode)，不需要登录`);
+  }
+  return auth;
+}
+
+/**
+ * 读取要保存的密钥值：标准输入是管道时读取全部内容(去掉末尾的换行符)，是终端时提示输入且不回显
+ * @param {string} name - 密钥名称
+ * @returns {Promise<string>} 密钥的值
+ */
+function readSecretValue(name) {
+  if (!process.stdin.isTTY) {
+    return new Promise((resolve, reject) => {
+      let data = '';
+      process.stdin.setEncoding('utf8');
+      process.stdin.on('data', chunk => {
+        data += chunk;
+      });
+      process.stdin.on('end', () => resolve(data.replace(/\r?\n$/, '')));
+      process.stdin.on('error', reject);
+    });
+  }
+
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    let muted = false;
+    // 提示之后输入的内容不回显
+    rl._writeToOutput = text => {
+      if (!muted || /\r?\n/.test(text)) {
+        process.stdout.write(muted ? '\n' : text);
+      }
+    };
+    rl.question(`请输入密钥 ${name} 的值: `, value => {
+      rl.close();
+      resolve(value);
+    });
+    muted = true;
+  });
+}
+
 // 配置命令行参数
 program
   .name('webapi-mcp-server')
@@ -42,10 +121,17 @@ program
   .option('-a, --api-directory <path>', '从目录加载API定义')
   .option('-f, --api-format <format>', '指定API定义格式 (json, markdown, both)', 'both')
   .option('-P, --api-pattern <pattern>', '文件匹配模式，如"*.json"')
+  .option('-u, --file-directory <path...>', '允许上传文件的本地目录，可指定多个')
+  .option('--no-result-limit', '不截断返回给模型的结果(相当于maxResultChars和maxResultItems为0)')
   .action(async (options) => {
     // 显示Banner
     showBanner();
     
+    // 环境变量WEBAPI_RESULT_LIMIT为false时同样不截断结果
+    if (process.env.WEBAPI_RESULT_LIMIT === 'false') {
+      options.resultLimit = false;
+    }
+    
     // 设置环境变量
     process.env.DEBUG_MODE = options.debug ? 'true' : 'false';
     process.env.LOG_LEVEL = options.logLevel;
@@ -70,6 +156,14 @@ program
       if (options.apiPattern) console.log(`- 匹配模式: ${options.apiPattern}`);
     }
     
+    if (options.fileDirectory) {
+      console.log(`- 上传目录: ${options.fileDirectory.join(', ')}`);
+    }
+    
+    if (!options.resultLimit) {
+      console.log('- 结果大小限制: 禁用');
+    }
+    
     console.log('=================================================');
     
     console.log('开始启动WebAPI MCP服务器...');
@@ -80,7 +174,9 @@ program
         debug: options.debug,
         logLevel: options.logLevel,
         logDir: logDir,
-        apisDir: options.apiDirectory
+        apisDir: options.apiDirectory,
+        fileDirectories: options.fileDirectory,
+        ...(options.resultLimit ? {} : { maxResultChars: 0, maxResultItems: 0 })
       });
       
       // 创建传输通道
@@ -356,6 +452,186 @@ program
     }
   });
 
+// 认证会话管理命令
+const authCommand = program
+  .command('auth')
+  .description('管理OAuth2授权码流程认证提供者的登录会话');
+
+authCommand
+  .command('login <provider>')
+  .description('在浏览器中登录认证提供者，并在本地保存刷新令牌')
+  .option('-c, --config <path>', '配置文件路径，默认为WEBAPI_CONFIG_FILE或当前目录下的config.json')
+  .option('--no-browser', '不自动打开浏览器，只输出授权地址')
+  .option('-t, --timeout <seconds>', '等待完成授权的秒数', '300')
+  .action(async (provider, options) => {
+    try {
+      const auth = getLoginProvider(provider, options.config);
+      const session = await login(auth, {
+        openBrowser: options.browser ? undefined : null,
+        timeout: Number(options.timeout) * 1000,
+        onAuthorizationUrl: url => {
+          console.log(`请在浏览器中完成授权${options.browser ? '(如果浏览器没有自动打开，请手动访问以下地址)' : ''}:`);
+          console.log(url);
+          console.log('等待授权回调...');
+        }
+      });
+      console.log(`登录成功: ${provider}`);
+      if (session.scope) {
+        console.log(`- scope: ${session.scope}`);
+      }
+      console.log(`- 凭据文件: ${credentialStore.getCredentialsFile()}`);
+    } catch (error) {
+      console.error(`登录失败: ${error.message}`);
+      process.exitCode = 1;
+    }
+  });
+
+authCommand
+  .command('status [provider]')
+  .description('查看保存的登录会话')
+  .option('-c, --config <path>', '配置文件路径，用于列出尚未登录的认证提供者')
+  .action((provider, options) => {
+    try {
+      const sessions = credentialStore.listSessions();
+      // 配置文件中所有授权码流程的提供者，加上已保存会话的提供者
+      const names = new Set(Object.keys(sessions));
+      Object.entries(readAuthProviders(options.config)).forEach(([name, auth]) => {
+        try {
+          const normalized = normalizeAuth(auth, name);
+          if (normalized.type === 'oauth2' && normalized.flow === 'authorizationCode') {
+            names.add(name);
+          }
+        } catch (error) {
+          // 无效的认证提供者在服务器加载配置时报告
+        }
+      });
+
+      const selected = provider ? [provider] : [...names].sort();
+      console.log(`凭据文件: ${credentialStore.getCredentialsFile()}`);
+      if (selected.length === 0) {
+        console.log('没有保存的登录会话');
+        return;
+      }
+      selected.forEach(name => {
+        const session = sessions[name];
+        if (!session) {
+          console.log(`- ${name}: 未登录`);
+          return;
+        }
+        console.log(`- ${name}: 已登录`);
+        console.log(`    登录时间: ${session.createdAt}`);
+        console.log(`    更新时间: ${session.updatedAt}`);
+        if (session.scope) {
+          console.log(`    scope: ${session.scope}`);
+        }
+        console.log(`    令牌端点: ${session.tokenUrl}`);
+      });
+    } catch (error) {
+      console.error(`读取登录会话失败: ${error.message}`);
+      process.exitCode = 1;
+    }
+  });
+
+authCommand
+  .command('logout <provider>')
+  .description('删除保存的登录会话，配置了revocationUrl时同时撤销刷新令牌')
+  .option('-c, --config <path>', '配置文件路径，用于获取revocationUrl')
+  .action(async (provider, options) => {
+    try {
+      let auth = null;
+      try {
+        auth = getLoginProvider(provider, options.config);
+      } catch (error) {
+        // 配置中已经删除的提供者仍然可以删除本地会话
+      }
+      const { session, revoked } = await logout(provider, auth);
+      if (!session) {
+        console.log(`没有保存 ${provider} 的登录会话`);
+        return;
+      }
+      console.log(`已退出登录: ${provider}${revoked ? '，刷新令牌已撤销' : ''}`);
+    } catch (error) {
+      console.error(`退出登录失败: ${error.message}`);
+      process.exitCode = 1;
+    }
+  });
+
+// 本地加密密钥管理命令
+const secretsCommand = program
+  .command('secrets')
+  .description('管理本地加密保存的密钥，API定义和配置文件中用 ${secret:name} 引用');
+
+secretsCommand
+  .command('set <name> [value]')
+  .description('保存密钥，未指定值时从标准输入读取或提示输入(推荐，避免值留在命令历史中)')
+  .action(async (name, value) => {
+    try {
+      const secret = value !== undefined ? value : await readSecretValue(name);
+      if (!secret) {
+        throw new Error('密钥的值不能为空');
+      }
+      secretStore.setSecret(name, secret);
+      console.log(`已保存密钥: ${name}`);
+      console.log(`- 密钥文件: ${secretStore.getSecretsFile()}`);
+      if (!process.env.WEBAPI_SECRETS_KEY) {
+        console.log('- 注意: 未设置WEBAPI_SECRETS_KEY，主密钥以明文保存在密钥文件同目录的secrets.key中，密钥只是被混淆，能读取该目录就能解密');
+      }
+    } catch (error) {
+      console.error(`保存密钥失败: ${error.message}`);
+      process.exitCode = 1;
+    }
+  });
+
+secretsCommand
+  .command('get <name>')
+  .description('输出密钥的值')
+  .action(name => {
+    try {
+      const value = secretStore.getSecret(name);
+      if (value === undefined) {
+        throw new Error(`密钥 ${name} 不存在`);
+      }
+      process.stdout.write(`${value}\n`);
+    } catch (error) {
+      console.error(`读取密钥失败: ${error.message}`);
+      process.exitCode = 1;
+    }
+  });
+
+secretsCommand
+  .command('list')
+  .description('列出保存的密钥名称(不显示值)')
+  .action(() => {
+    try {
+      const secrets = secretStore.listSecrets();
+      console.log(`密钥文件: ${secretStore.getSecretsFile()}`);
+      if (secrets.length === 0) {
+        console.log('没有保存的密钥');
+        return;
+      }
+      secrets.forEach(secret => console.log(`- ${secret.name} (更新时间: ${secret.updatedAt})`));
+    } catch (error) {
+      console.error(`读取密钥失败: ${error.message}`);
+      process.exitCode = 1;
+    }
+  });
+
+secretsCommand
+  .command('rm <name>')
+  .description('删除密钥')
+  .action(name => {
+    try {
+      if (!secretStore.deleteSecret(name)) {
+        console.log(`没有保存密钥 ${name}`);
+        return;
+      }
+      console.log(`已删除密钥: ${name}`);
+    } catch (error) {
+      console.error(`删除密钥失败: ${error.message}`);
+      process.exitCode = 1;
+    }
+  });
+
 // 解析命令行参数
 program.parse(process.argv);
 
@@ -365,9 +641,9 @@ if (!process.argv.slice(2).length) {
   program.help();
 }
 
-// 处理进程退出
+// 处理进程退出，输出到标准错误，避免混入标准输出的内容(如 secrets get 输出的值)
 process.on('exit', () => {
-  console.log('WebAPI MCP服务器已关闭');
+  console.error('WebAPI MCP服务器已关闭');
 });
 
 // 处理Ctrl+C
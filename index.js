@@ -33,11 +33,14 @@ module.exports = {
   loadApiFile: mcpServer.loadApiFile,
   loadApisFromDirectory: mcpServer.loadApisFromDirectory,
   loadConfigFile: mcpServer.loadConfigFile,
+  importHarFile: mcpServer.importHarFile,
   
   // 工具模块导出
   apiTools: require('./src/tools/api-tools'),
   jsonParser: require('./src/parsers/json-parser'),
   markdownParser: require('./src/parsers/markdown-parser'),
+  signing: require('./src/utils/signing'),
+  secrets: require('./src/utils/secrets'),
   
   // 日志工具
   logger
@@ -54,6 +57,10 @@ if (require.main === module) {
   let configFile = process.env.WEBAPI_CONFIG_FILE || '';
   let apisDir = process.env.WEBAPI_APIS_DIR || '';
   let debug = process.env.WEBAPI_DEBUG === 'true' || process.env.DEBUG === 'true' || false;
+  // 允许上传的文件目录，多个目录使用路径分隔符(Linux/macOS为:，Windows为;)分隔
+  const fileDirectories = (process.env.WEBAPI_FILE_DIRS || '').split(path.delimiter).filter(Boolean);
+  // 是否截断返回给模型的结果
+  let resultLimit = process.env.WEBAPI_RESULT_LIMIT !== 'false';
   
   // 简单的参数解析（命令行参数优先级高于环境变量）
   for (let i = 0; i < args.length; i++) {
@@ -63,6 +70,11 @@ if (require.main === module) {
     } else if (args[i] === '--apis-dir' || args[i] === '-a') {
       apisDir = args[i + 1];
       i++;
+    } else if (args[i] === '--file-dir') {
+      fileDirectories.push(args[i + 1]);
+      i++;
+    } else if (args[i] === '--no-result-limit') {
+      resultLimit = false;
     } else if (args[i] === '--debug' || args[i] === '-d') {
       debug = true;
     }
@@ -72,6 +84,8 @@ if (require.main === module) {
   logger.info(`配置信息:
     配置文件: ${configFile || '未指定'}
     API目录: ${apisDir || '未指定'}
+    上传目录: ${fileDirectories.length > 0 ? fileDirectories.join(', ') : '未指定'}
+    结果大小限制: ${resultLimit ? '启用' : '禁用'}
     调试模式: ${debug ? '启用' : '禁用'}
   `);
   
@@ -79,7 +93,9 @@ if (require.main === module) {
   const server = mcpServer.createServer({
     debug,
     configFile,
-    apisDir
+    apisDir,
+    fileDirectories,
+    ...(resultLimit ? {} : { maxResultChars: 0, maxResultItems: 0 })
   });
   
   const transport = new StdioServerTransport();
@@ -15,17 +15,83 @@ const { z } = require('zod');
 const logger = require('./utils/logger');
 const { parseMarkdownAPI } = require('./parsers/markdown-parser');
 const { parseJsonAPI } = require('./parsers/json-parser');
+const { isOpenApiDocument, parseOpenApiDocument } = require('./parsers/openapi-parser');
+const { isSwaggerDocument, parseSwaggerDocument } = require('./parsers/swagger-parser');
+const { isPostmanCollection, parsePostmanCollection } = require('./parsers/postman-parser');
+const { parseCurlCommand, curlToApiDefinition } = require('./parsers/curl-parser');
+const { isHarDocument, parseHarDocument } = require('./parsers/har-parser');
+const { parseWsdlFile } = require('./parsers/wsdl-parser');
+const { isMethodsApi, expandMethodsApi } = require('./parsers/methods-parser');
 const { validateApiDefinition } = require('./validators/api-validator');
+const { buildParamsShape } = require('./utils/zod-schema');
+const { OUTPUT_FORMATS, extractResult, formatResult } = require('./tools/json-parser');
+const { setByPointer } = require('./utils/common');
+const { resolveBodyType, serializeBody } = require('./utils/request-body');
+const {
+  DEFAULT_MAX_RESPONSE_SIZE,
+  DEFAULT_RESPONSE_DIRECTORY,
+  decodeResponse,
+  toContent
+} = require('./utils/response-content');
+const { renderBodyTemplate, renderText, getTemplateVariables } = require('./utils/body-template');
+const { DEFAULT_RESULT_BUDGET, pageResult, pageStructuredResult, describeTruncation } = require('./utils/result-budget');
+const { paginate } = require('./utils/pagination');
+const { buildOutputSchema, toStructuredContent } = require('./utils/output-schema');
+const { setAuthProviders, redactAuth, redactHeaders, sendWithAuth } = require('./utils/auth');
+const { redactSigning, withSigning } = require('./utils/signing');
+const { hasSecretReference, resolveSecretReferences, maskSecrets } = require('./utils/secrets');
+const graphql = require('./protocols/graphql');
+const soap = require('./protocols/soap');
+const jsonrpc = require('./protocols/jsonrpc');
 
 // API注册表
 const apiRegistry = new Map();
 
+// server.tool()返回的工具句柄，以工具名称为键，用于移除或覆盖工具
+const registeredTools = new Map();
+
+// 由同一个定义展开出的API分组，以分组名称为键
+const apiGroups = new Map();
+
+// 允许file类型参数读取的本地目录
+const fileDirectories = [];
+
+// 全局变量，可以在请求体模板中通过 {{name}} 引用
+const globalVariables = {};
+
+// 全局默认请求头，通过register_web_api和register_api_from_curl注册API时合并到API的请求头中
+const globalHeaders = {};
+
+// 响应内容的全局设置：内联返回的最大字节数、超过限制时保存文件的目录和结果预算
+const responseSettings = {
+  maxResponseSize: DEFAULT_MAX_RESPONSE_SIZE,
+  responseDirectory: DEFAULT_RESPONSE_DIRECTORY,
+  ...DEFAULT_RESULT_BUDGET
+};
+
+// 被截断的完整结果，以工具名称为键，每个工具只保存最近一次调用的结果，用于offset分页
+const storedResults = new Map();
+
+// 非REST类型API的请求构建和响应解析，以API定义的type为键
+const protocols = {
+  graphql,
+  soap,
+  jsonrpc
+};
+
 /**
  * 创建并启动MCP服务器
  * @param {Object} options - 服务器配置选项
  * @param {boolean} options.debug - 是否启用调试模式
  * @param {string} options.apisDir - API定义文件目录
  * @param {string} options.configFile - 配置文件路径
+ * @param {string[]} [options.fileDirectories] - 允许上传本地文件的目录
+ * @param {number} [options.maxResponseSize] - 响应内容内联返回的最大字节数，超过时保存为本地文件
+ * @param {string} [options.responseDirectory] - 超过大小限制的响应内容保存的目录
+ * @param {number} [options.maxResultChars] - 结果文本的最大字符数，超过时截断，0表示不限制
+ * @param {number} [options.maxResultItems] - 结果中每个数组保留的最大项数，0表示不限制
+ * @param {Object} [options.variables] - 全局变量，可以在请求体模板中引用
+ * @param {Object} [options.auth] - 认证提供者，以名称为键，API定义的auth可以引用提供者名称
  * @param {Function} options.onReady - 服务器就绪回调
  * @returns {McpServer} MCP服务器实例
  */
@@ -36,6 +102,11 @@ function createServer(options = {}) {
     logger.level = 'debug';
   }
   
+  addFileDirectories(options.fileDirectories || []);
+  configureResponses(options);
+  setGlobalVariables(options.variables || {});
+  setAuthProviders(options.auth || {});
+  
   logger.info('正在启动WebAPI MCP服务器...');
   
   // 创建MCP服务器
@@ -45,7 +116,7 @@ function createServer(options = {}) {
   });
   
   // 注册内置工具
-  registerBuiltinTools(server);
+  registerBuiltinTools(server, { apisDir });
   
   // 如果指定了配置文件，则加载配置
   if (configFile && fs.existsSync(configFile)) {
@@ -81,6 +152,29 @@ function loadConfigFile(configFilePath, server) {
       throw new Error(`不支持的配置文件格式: ${ext}`);
     }
     
+    // 处理允许上传文件的目录配置，需要在加载API之前设置
+    if (config.fileDirectories && Array.isArray(config.fileDirectories)) {
+      addFileDirectories(config.fileDirectories.map(dir => path.resolve(path.dirname(configFilePath), dir)));
+    }
+    
+    // 处理全局变量配置，需要在加载API之前设置
+    if (config.variables && typeof config.variables === 'object') {
+      setGlobalVariables(config.variables);
+    }
+    
+    // 处理认证提供者配置，需要在加载API之前设置
+    if (config.auth && typeof config.auth === 'object') {
+      setAuthProviders(config.auth);
+    }
+    
+    // 处理响应内容大小限制、保存目录和结果预算配置
+    configureResponses({
+      maxResponseSize: config.maxResponseSize,
+      responseDirectory: config.responseDirectory && path.resolve(path.dirname(configFilePath), config.responseDirectory),
+      maxResultChars: config.maxResultChars,
+      maxResultItems: config.maxResultItems
+    });
+    
     // 处理API目录配置
     if (config.apiDirectories && Array.isArray(config.apiDirectories)) {
       config.apiDirectories.forEach(dir => {
@@ -94,11 +188,17 @@ function loadConfigFile(configFilePath, server) {
     }
     
     // 处理API文件配置
+    // 每项可以是文件路径，也可以是 { path, environment, baseUrl } 对象(environment为Postman环境文件，
+    // baseUrl代替Postman请求中包含未解析变量的主机部分)
     if (config.apiFiles && Array.isArray(config.apiFiles)) {
       config.apiFiles.forEach(file => {
-        const filePath = path.resolve(path.dirname(configFilePath), file);
+        const entry = typeof file === 'string' ? { path: file } : file;
+        const filePath = path.resolve(path.dirname(configFilePath), entry.path);
         if (fs.existsSync(filePath)) {
-          loadApiFile(filePath, server);
+          loadApiFile(filePath, server, {
+            environment: entry.environment && path.resolve(path.dirname(configFilePath), entry.environment),
+            baseUrl: entry.baseUrl
+          });
         } else {
           logger.warn(`API文件不存在: ${filePath}`);
         }
@@ -107,13 +207,8 @@ function loadConfigFile(configFilePath, server) {
     
     // 处理全局请求头配置
     if (config.globalHeaders && typeof config.globalHeaders === 'object') {
-      server.invokeTool('set_default_headers', { headers: config.globalHeaders })
-        .then(() => {
-          logger.info('成功设置全局请求头');
-        })
-        .catch(err => {
-          logger.error('设置全局请求头失败', err);
-        });
+      setGlobalHeaders(config.globalHeaders);
+      logger.info('成功设置全局请求头');
     }
     
     logger.info('配置文件加载完成');
@@ -126,16 +221,48 @@ function loadConfigFile(configFilePath, server) {
  * 加载单个API文件
  * @param {string} filePath - API文件路径
  * @param {McpServer} server - MCP服务器实例
+ * @param {Object} [options={}] - 加载选项
+ * @param {string} [options.environment] - Postman环境文件路径，用于解析集合中的 {{variable}}
+ * @param {string} [options.baseUrl] - Postman请求的主机部分包含未解析的变量(如 {{baseUrl}})时使用的基础地址
  */
-function loadApiFile(filePath, server) {
+function loadApiFile(filePath, server, options = {}) {
   try {
     logger.info(`正在加载API文件: ${filePath}`);
     const ext = path.extname(filePath).toLowerCase();
     
-    if (ext === '.json') {
+    if (ext === '.har') {
+      importHarFile(filePath, server);
+    } else if (ext === '.wsdl') {
+      // WSDL中的每个SOAP操作注册为一个工具
+      registerApiList(parseWsdlFile(filePath), server, `WSDL ${filePath}`);
+    } else if (ext === '.json' || ext === '.yaml' || ext === '.yml') {
       const content = fs.readFileSync(filePath, 'utf8');
-      const apiDef = JSON.parse(content);
-      registerApi(apiDef, server);
+      const doc = ext === '.json' ? JSON.parse(content) : yaml.load(content);
+      
+      // OpenAPI和Swagger文档中的每个操作注册为一个工具
+      if (isOpenApiDocument(doc)) {
+        registerApiList(parseOpenApiDocument(doc), server, `OpenAPI文档 ${filePath}`);
+      } else if (isSwaggerDocument(doc)) {
+        registerApiList(parseSwaggerDocument(doc), server, `Swagger文档 ${filePath}`);
+      } else if (isHarDocument(doc)) {
+        importHarFile(filePath, server);
+      } else if (isPostmanCollection(doc)) {
+        // Postman集合中的每个请求注册为一个工具
+        const environment = options.environment
+          ? JSON.parse(fs.readFileSync(options.environment, 'utf8'))
+          : undefined;
+        registerApiList(parsePostmanCollection(doc, { environment, baseUrl: options.baseUrl }), server, `Postman集合 ${filePath}`);
+      } else {
+        // GraphQL定义中的schemaFile相对于定义文件所在目录
+        if (doc && doc.type === 'graphql' && doc.schemaFile) {
+          doc.schemaFile = path.resolve(path.dirname(filePath), doc.schemaFile);
+        }
+        // SOAP定义中的wsdl同样相对于定义文件所在目录
+        if (doc && doc.type === 'soap' && doc.wsdl) {
+          doc.wsdl = path.resolve(path.dirname(filePath), doc.wsdl);
+        }
+        registerApi(doc, server);
+      }
     } else if (ext === '.md' || ext === '.markdown') {
       const content = fs.readFileSync(filePath, 'utf8');
       const apiDef = parseMarkdownAPI(content);
@@ -151,13 +278,135 @@ function loadApiFile(filePath, server) {
 }
 
 /**
- * 注册内置工具
+ * 添加允许file类型参数读取的本地目录
+ * @param {string[]} directories - 目录路径
+ */
+function addFileDirectories(directories) {
+  directories.forEach(dir => {
+    const absolutePath = path.resolve(dir);
+    if (!fileDirectories.includes(absolutePath)) {
+      fileDirectories.push(absolutePath);
+      logger.info(`允许上传文件的目录: ${absolutePath}`);
+    }
+  });
+}
+
+/**
+ * 设置全局变量，值为null时删除该变量
+ * @param {Object} variables - 以变量名为键的变量值
+ */
+function setGlobalVariables(variables) {
+  Object.entries(variables).forEach(([name, value]) => {
+    if (value === null) {
+      delete globalVariables[name];
+    } else {
+      globalVariables[name] = value;
+    }
+  });
+}
+
+/**
+ * 设置全局默认请求头，与已有的请求头合并
+ * @param {Object} headers - 以请求头名称为键的值，可以包含密钥引用
+ */
+function setGlobalHeaders(headers) {
+  Object.assign(globalHeaders, headers);
+}
+
+/**
+ * 检查工具调用传入的内容中是否包含密钥引用
+ * 密钥引用只能写在API定义文件和配置文件中，避免通过工具调用把本机的环境变量、文件或密钥发送到任意地址
+ * @param {*} value - 工具调用参数
+ * @throws {Error} 如果包含密钥引用
+ */
+function rejectSecretReferences(value) {
+  if (hasSecretReference(value)) {
+    throw new Error('密钥引用(${env:...}、${file:...}、${secret:...})只能在API定义文件和配置文件中使用');
+  }
+}
+
+/**
+ * 设置响应内容的大小限制、超过限制时保存文件的目录和结果预算，未指定的项保持不变
+ * @param {Object} settings - 响应设置
+ * @param {number} [settings.maxResponseSize] - 内联返回的最大字节数
+ * @param {string} [settings.responseDirectory] - 保存文件的目录
+ * @param {number} [settings.maxResultChars] - 结果文本的最大字符数，0表示不限制
+ * @param {number} [settings.maxResultItems] - 结果中每个数组保留的最大项数，0表示不限制
+ */
+function configureResponses(settings = {}) {
+  if (settings.maxResponseSize !== undefined) {
+    if (!Number.isInteger(settings.maxResponseSize) || settings.maxResponseSize <= 0) {
+      throw new Error(`maxResponseSize必须是正整数: ${settings.maxResponseSize}`);
+    }
+    responseSettings.maxResponseSize = settings.maxResponseSize;
+  }
+  if (settings.responseDirectory) {
+    responseSettings.responseDirectory = path.resolve(settings.responseDirectory);
+  }
+  ['maxResultChars', 'maxResultItems'].forEach(key => {
+    if (settings[key] !== undefined) {
+      if (!Number.isInteger(settings[key]) || settings[key] < 0) {
+        throw new Error(`${key}必须是非负整数: ${settings[key]}`);
+      }
+      responseSettings[key] = settings[key];
+    }
+  });
+}
+
+/**
+ * 批量注册从同一来源解析出的API定义
+ * @param {Object[]} apiDefs - API定义对象数组
  * @param {McpServer} server - MCP服务器实例
+ * @param {string} source - 来源描述，用于日志
+ * @returns {number} 成功注册的数量
  */
-function registerBuiltinTools(server) {
-  // 全局默认请求头
-  const globalHeaders = {};
+function registerApiList(apiDefs, server, source) {
+  const count = apiDefs.filter(apiDef => registerApi(apiDef, server)).length;
+  logger.info(`从${source}注册了 ${count}/${apiDefs.length} 个API`);
+  return count;
+}
+
+/**
+ * 从HAR文件生成API定义，可选择注册为工具或保存为JSON定义文件
+ * @param {string} filePath - HAR文件路径
+ * @param {McpServer} server - MCP服务器实例
+ * @param {Object} [options={}] - 导入选项
+ * @param {string} [options.urlFilter] - 只导入URL匹配该正则表达式的请求
+ * @param {string} [options.outputDir] - 将生成的定义保存为JSON文件的目录
+ * @param {boolean} [options.register=true] - 是否注册为MCP工具
+ * @returns {{apiDefs: Object[], savedFiles: string[]}} 生成的API定义和保存的文件
+ */
+function importHarFile(filePath, server, options = {}) {
+  const { urlFilter, outputDir, register = true } = options;
+  const har = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const apiDefs = parseHarDocument(har, { urlFilter });
+  const savedFiles = [];
+  
+  if (outputDir) {
+    fs.ensureDirSync(outputDir);
+    apiDefs.forEach(apiDef => {
+      const outputFile = path.join(path.resolve(outputDir), `${apiDef.name}.json`);
+      fs.writeFileSync(outputFile, JSON.stringify(apiDef, null, 2), 'utf8');
+      savedFiles.push(outputFile);
+    });
+    logger.info(`已将 ${savedFiles.length} 个API定义保存到: ${outputDir}`);
+  }
   
+  if (register) {
+    // 保存后的定义需要深拷贝，避免注册时的规范化修改原对象
+    registerApiList(apiDefs.map(apiDef => JSON.parse(JSON.stringify(apiDef))), server, `HAR文件 ${filePath}`);
+  }
+  
+  return { apiDefs, savedFiles };
+}
+
+/**
+ * 注册内置工具
+ * @param {McpServer} server - MCP服务器实例
+ * @param {Object} [options={}] - 服务器配置选项
+ * @param {string} [options.apisDir] - API定义文件目录，HAR导入时默认保存到该目录
+ */
+function registerBuiltinTools(server, options = {}) {
   // 注册Web API工具
   server.tool(
     "register_web_api",
@@ -168,15 +417,39 @@ function registerBuiltinTools(server) {
       method: z.enum(["GET", "POST", "PUT", "DELETE", "PATCH"]).default("GET").describe("HTTP方法"),
       description: z.string().optional().describe("API描述"),
       parameters: z.record(z.object({
-        type: z.enum(["string", "number", "boolean", "object", "array"]),
+        type: z.enum(["string", "number", "boolean", "object", "array", "file"]),
         required: z.boolean().default(false),
         description: z.string().optional()
-      })).optional().describe("API参数定义"),
+      }).passthrough()).optional().describe("API参数定义，还可以包含in、enum、default等字段"),
       headers: z.record(z.string()).optional().describe("API特定请求头"),
-      resultPath: z.string().optional().describe("结果访问路径，例如 data.items")
+      bodyType: z.enum(["json", "form", "multipart", "text", "xml", "binary"]).optional().describe("请求体类型，默认为json"),
+      bodyTemplate: z.union([z.string(), z.record(z.any()), z.array(z.any())]).optional().describe("请求体模板，使用 {{参数名}} 引用工具参数和全局变量"),
+      maxResponseSize: z.number().int().positive().optional().describe("响应内容内联返回的最大字节数，超过时保存为本地文件"),
+      maxResultChars: z.number().int().min(0).optional().describe("结果文本的最大字符数，超过时截断，0表示不限制"),
+      maxResultItems: z.number().int().min(0).optional().describe("结果中每个数组保留的最大项数，0表示不限制"),
+      resultPath: z.string().optional().describe("结果访问路径，例如 data.items、$.items[*].id 或 jmespath:items[0]"),
+      resultQuery: z.string().optional().describe("JMESPath结果查询表达式，在resultPath之后应用，例如 items[?status=='open'].{id:id,title:title}"),
+      outputFormat: z.enum(["json", "markdown", "csv", "yaml"]).optional().describe("结果的输出格式，数组结果可以输出为Markdown表格或CSV，未指定时为紧凑的JSON"),
+      columns: z.array(z.union([z.string(), z.object({ path: z.string(), title: z.string().optional() })])).optional().describe("数组结果的列选择和顺序，值为每一项中的路径，例如 [\"id\", \"user.login\"]"),
+      auth: z.object({
+        type: z.enum(["apiKey", "bearer", "basic", "digest", "oauth2"])
+      }).passthrough().optional().describe("认证对象，如 {type: 'bearer', token}；配置文件中定义的认证提供者只能在API定义文件中引用"),
+      signing: z.object({
+        type: z.string().describe("签名类型：hmac或awsSigV4")
+      }).passthrough().optional().describe("请求签名，在URL、请求头和请求体确定后计算，例如 {type: 'hmac', secret} 或 {type: 'awsSigV4', accessKeyId, secretAccessKey, region, service}"),
+      outputSchema: z.record(z.any()).optional().describe("结果的JSON Schema，声明后工具同时返回structuredContent"),
+      responseExample: z.any().optional().describe("响应示例，未指定outputSchema时据此推断结果的schema"),
+      pagination: z.object({
+        type: z.enum(["page", "offset", "cursor", "link"]).describe("分页方式：页码、offset/limit、游标或Link响应头"),
+        itemsPath: z.string().optional().describe("每页响应中数据项数组的位置，默认使用resultPath"),
+        maxPages: z.number().int().positive().optional().describe("最多请求的页数，默认为5"),
+        maxItems: z.number().int().positive().optional().describe("最多返回的数据项数")
+      }).passthrough().optional().describe("自动分页配置，还可以包含pageParam、pageSize、cursorParam、cursorPath等字段")
     },
     async (params) => {
       try {
+        rejectSecretReferences(params);
+        
         // 合并API定义
         const apiDef = {
           ...params,
@@ -205,6 +478,65 @@ function registerBuiltinTools(server) {
     }
   );
   
+  // 从curl命令注册Web API工具
+  server.tool(
+    "register_api_from_curl",
+    "解析curl命令(支持-X、-H、-d/--data-raw/--data-urlencode、-F、-u、--compressed等选项)并注册为MCP工具。可以通过parameters标记命令中的哪些字面值需要转换为工具参数：URL中的值替换为{参数名}占位符，请求头和请求体中的值使用对应字段名作为参数名，请求体中未标记的字段作为带默认值的可选参数。",
+    {
+      name: z.string().describe("API名称"),
+      curl: z.string().describe("完整的curl命令"),
+      description: z.string().optional().describe("API描述"),
+      parameters: z.array(z.object({
+        value: z.string().describe("curl命令中的字面值"),
+        name: z.string().optional().describe("参数名称，仅对URL路径中的值生效"),
+        type: z.enum(["string", "number", "boolean", "object", "array"]).optional(),
+        required: z.boolean().default(true),
+        description: z.string().optional()
+      })).optional().describe("需要转换为工具参数的字面值"),
+      resultPath: z.string().optional().describe("结果访问路径，例如 data.items、$.items[*].id 或 jmespath:items[0]"),
+      resultQuery: z.string().optional().describe("JMESPath结果查询表达式，在resultPath之后应用，例如 items[?status=='open'].{id:id,title:title}")
+    },
+    async (params) => {
+      try {
+        rejectSecretReferences(params);
+        const parsed = parseCurlCommand(params.curl);
+        const apiDef = curlToApiDefinition(parsed, {
+          name: params.name,
+          description: params.description,
+          parameters: params.parameters || []
+        });
+        apiDef.headers = { ...globalHeaders, ...apiDef.headers };
+        if (params.resultPath) {
+          apiDef.resultPath = params.resultPath;
+        }
+        if (params.resultQuery) {
+          apiDef.resultQuery = params.resultQuery;
+        }
+        
+        // 注册API
+        if (!registerApi(apiDef, server)) {
+          throw new Error('API定义无效或工具名称已被占用');
+        }
+        
+        return {
+          content: [{ 
+            type: "text", 
+            text: `成功注册API: ${apiDef.name}\n${JSON.stringify(redactApiDefinition(apiDef), null, 2)}` 
+          }]
+        };
+      } catch (error) {
+        logger.error(`从curl命令注册API失败: ${error.message}`, error);
+        return {
+          content: [{ 
+            type: "text", 
+            text: `从curl命令注册API失败: ${error.message}` 
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+  
   // 设置全局默认请求头工具
   server.tool(
     "set_default_headers",
@@ -214,8 +546,10 @@ function registerBuiltinTools(server) {
     },
     async (params) => {
       try {
+        rejectSecretReferences(params.headers);
+        
         // 更新全局请求头
-        Object.assign(globalHeaders, params.headers);
+        setGlobalHeaders(params.headers);
         
         return {
           content: [{ 
@@ -236,18 +570,50 @@ function registerBuiltinTools(server) {
     }
   );
   
+  // 设置全局变量工具
+  server.tool(
+    "set_global_variables",
+    "设置全局变量，请求体模板中的 {{变量名}} 在工具参数中不存在时使用全局变量的值。值为null时删除该变量。",
+    {
+      variables: z.record(z.any()).describe("全局变量，以变量名为键")
+    },
+    async (params) => {
+      try {
+        rejectSecretReferences(params.variables);
+        setGlobalVariables(params.variables);
+        
+        return {
+          content: [{ 
+            type: "text", 
+            text: `成功设置全局变量，当前变量: ${Object.keys(globalVariables).join(', ') || '无'}`
+          }]
+        };
+      } catch (error) {
+        logger.error(`设置全局变量失败: ${error.message}`, error);
+        return {
+          content: [{ 
+            type: "text", 
+            text: `设置全局变量失败: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+  
   // 查看当前注册的全部API工具
   server.tool(
     "list_registered_apis",
-    "列出当前已注册的所有Web API，包括它们的名称、URL、方法、参数定义和请求头配置等详细信息。",
+    "列出当前已注册的所有Web API，包括它们的名称、URL、方法、参数定义和请求头配置等详细信息。由同一个定义展开出的多个工具作为一个分组列出。",
     {},
     async () => {
       try {
-        const apis = getRegisteredApis();
+        const apis = getRegisteredApiGroups();
         return {
           content: [{ 
             type: "text", 
-            text: JSON.stringify(apis, null, 2) 
+            // 密钥引用原样列出，已解析出的密钥值替换为占位符
+            text: maskSecrets(JSON.stringify(apis, null, 2)) 
           }]
         };
       } catch (error) {
@@ -268,7 +634,7 @@ function registerBuiltinTools(server) {
     "unregister_api",
     "移除已注册的Web API工具。成功移除后，相应的MCP工具将不再可用。",
     {
-      name: z.string().describe("要移除的API名称")
+      name: z.string().describe("要移除的API名称，传入分组名称时移除该分组的全部工具")
     },
     async (params) => {
       try {
@@ -305,13 +671,14 @@ function registerBuiltinTools(server) {
   // 从文件加载API定义
   server.tool(
     "load_api_from_file",
-    "从JSON或Markdown文件加载API定义并注册为MCP工具",
+    "从JSON、YAML、Markdown或WSDL文件加载API定义并注册为MCP工具，OpenAPI 3.x、Swagger 2.0文档和WSDL中的每个操作以及Postman集合中的每个请求都会注册为一个工具",
     {
-      filePath: z.string().describe("API定义文件路径，支持.json、.md、.markdown格式")
+      filePath: z.string().describe("API定义文件路径，支持.json、.yaml、.yml、.md、.markdown、.har、.wsdl格式"),
+      environmentFile: z.string().optional().describe("Postman环境文件路径，用于解析集合中的{{变量}}")
     },
     async (params) => {
       try {
-        const result = loadApiFile(params.filePath, server);
+        const result = loadApiFile(params.filePath, server, { environment: params.environmentFile });
         return {
           content: [{ 
             type: "text", 
@@ -331,6 +698,53 @@ function registerBuiltinTools(server) {
     }
   );
   
+  // 从HAR文件生成API定义
+  server.tool(
+    "import_har_file",
+    "从浏览器导出的HAR文件生成API定义：按请求方法和模板化路径去重，将数字ID、UUID等变化的路径段推断为路径参数，根据观察到的值推断查询参数和请求体参数的类型，并记录示例响应。可以注册为MCP工具，也可以保存为JSON定义文件。",
+    {
+      filePath: z.string().describe("HAR文件路径"),
+      urlFilter: z.string().optional().describe("只导入URL匹配该正则表达式的请求，例如 /api/"),
+      saveDefinitions: z.boolean().default(false).describe("是否将生成的定义保存为JSON文件"),
+      outputDirectory: z.string().optional().describe("保存目录，默认为服务器的API定义目录"),
+      register: z.boolean().default(true).describe("是否注册为MCP工具")
+    },
+    async (params) => {
+      try {
+        const outputDir = params.saveDefinitions ? (params.outputDirectory || options.apisDir) : undefined;
+        if (params.saveDefinitions && !outputDir) {
+          throw new Error('未指定保存目录，且服务器未配置API定义目录');
+        }
+        
+        const { apiDefs, savedFiles } = importHarFile(params.filePath, server, {
+          urlFilter: params.urlFilter,
+          outputDir,
+          register: params.register
+        });
+        
+        const lines = [`从HAR文件生成了 ${apiDefs.length} 个API定义: ${apiDefs.map(apiDef => apiDef.name).join(', ')}`];
+        if (savedFiles.length > 0) {
+          lines.push(`已保存到:\n${savedFiles.join('\n')}`);
+        }
+        return {
+          content: [{ 
+            type: "text", 
+            text: lines.join('\n') 
+          }]
+        };
+      } catch (error) {
+        logger.error(`从HAR文件导入API失败: ${error.message}`, error);
+        return {
+          content: [{ 
+            type: "text", 
+            text: `从HAR文件导入API失败: ${error.message}` 
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+  
   // 从目录加载API定义
   server.tool(
     "load_apis_from_directory",
@@ -402,22 +816,22 @@ async function loadApisFromDirectory(directory, server, pattern) {
     const absolutePath = path.resolve(directory);
     logger.info(`正在从目录加载API定义: ${absolutePath}`);
     
-    // 查找所有.json和.md文件
-    const jsonPattern = pattern || '**/*.json';
+    // 查找所有.json、.yaml/.yml、.wsdl和.md文件
+    const jsonPattern = pattern || '**/*.{json,yaml,yml,wsdl}';
     const mdPattern = pattern || '**/*.{md,markdown}';
     
     const jsonFiles = await glob(jsonPattern, { cwd: absolutePath });
     const mdFiles = await glob(mdPattern, { cwd: absolutePath });
     
-    logger.debug(`找到 ${jsonFiles.length} 个JSON文件和 ${mdFiles.length} 个Markdown文件`);
+    logger.debug(`找到 ${jsonFiles.length} 个JSON/YAML/WSDL文件和 ${mdFiles.length} 个Markdown文件`);
     
-    // 处理JSON文件
+    // 处理JSON和YAML文件
     for (const file of jsonFiles) {
       const filePath = path.join(absolutePath, file);
       try {
         loadApiFile(filePath, server);
       } catch (err) {
-        logger.error(`处理JSON文件失败: ${filePath}`, err);
+        logger.error(`处理JSON/YAML文件失败: ${filePath}`, err);
       }
     }
     
@@ -446,81 +860,130 @@ async function loadApisFromDirectory(directory, server, pattern) {
  */
 function registerApi(apiDef, server) {
   try {
+    // GraphQL端点定义根据schema展开为每个Query/Mutation字段一个工具
+    if (apiDef && apiDef.type === 'graphql' && !apiDef.graphql) {
+      return registerApiGroup(apiDef, graphql.expandGraphQLApi(apiDef), server, `GraphQL schema ${apiDef.schemaFile}`) > 0;
+    }
+    
+    // SOAP服务定义根据WSDL展开为每个操作一个工具
+    if (apiDef && apiDef.type === 'soap' && !apiDef.soap) {
+      return registerApiGroup(apiDef, soap.expandSoapApi(apiDef), server, `WSDL ${apiDef.wsdl}`) > 0;
+    }
+    
+    // JSON-RPC定义中的每个方法注册为一个工具
+    if (apiDef && apiDef.type === 'jsonrpc' && !apiDef.jsonrpc) {
+      return registerApiGroup(apiDef, jsonrpc.expandJsonRpcApi(apiDef), server, `JSON-RPC定义 ${apiDef.name}`) > 0;
+    }
+    
+    // baseUrl + methods 分组定义中的每个方法注册为一个工具
+    if (isMethodsApi(apiDef)) {
+      return registerApiGroup(apiDef, expandMethodsApi(apiDef), server, `分组API定义 ${apiDef.name}`) > 0;
+    }
+    
     // 验证API定义
     const validatedApi = validateApiDefinition(apiDef);
     
-    // 检查是否已经注册
+    // 检查是否已经注册，同名工具需要先移除才能重新注册
     if (apiRegistry.has(validatedApi.name)) {
       logger.warn(`API已存在，将被覆盖: ${validatedApi.name}`);
+      removeTool(validatedApi.name);
     }
     
-    // 创建参数schema
-    const paramSchema = {};
-    if (validatedApi.parameters) {
-      Object.entries(validatedApi.parameters).forEach(([key, param]) => {
-        // 根据参数类型创建适当的zod schema
-        switch (param.type) {
-          case 'string':
-            paramSchema[key] = param.required ? z.string() : z.string().optional();
-            break;
-          case 'number':
-            paramSchema[key] = param.required ? z.number() : z.number().optional();
-            break;
-          case 'boolean':
-            paramSchema[key] = param.required ? z.boolean() : z.boolean().optional();
-            break;
-          default:
-            paramSchema[key] = z.any();
-        }
-      });
-    }
+    // 创建参数schema，附加用于分页查看截断结果的offset参数，与API参数同名时改用resultOffset
+    const paramSchema = buildParamsShape(validatedApi.parameters);
+    const offsetName = paramSchema.offset ? 'resultOffset' : 'offset';
+    paramSchema[offsetName] = z.number().int().min(0).optional()
+      .describe("分页查看被截断的结果：数组结果为起始项，其他结果为完整JSON文本的起始字符");
+    // 附加覆盖输出格式的参数，与API参数同名时改用resultFormat
+    const formatName = paramSchema.outputFormat ? 'resultFormat' : 'outputFormat';
+    paramSchema[formatName] = z.enum(OUTPUT_FORMATS).optional()
+      .describe(`结果的输出格式：json、markdown(数组输出为表格)、csv或yaml${validatedApi.outputFormat ? `，默认为${validatedApi.outputFormat}` : ''}`);
+    
+    // 声明了输出schema时同时返回structuredContent
+    const output = validatedApi.outputSchema ? buildOutputSchema(validatedApi.outputSchema) : null;
     
     // 创建MCP工具
-    server.tool(
+    const tool = server.registerTool(
       validatedApi.name,
-      validatedApi.description,
-      paramSchema,
-      async (params) => {
+      {
+        description: validatedApi.description,
+        inputSchema: paramSchema,
+        outputSchema: output ? output.schema : undefined
+      },
+      async (args) => {
         try {
-          // 构建请求配置
-          const requestConfig = {
-            method: validatedApi.method || 'GET',
-            url: validatedApi.url,
-            headers: validatedApi.headers || {},
-            timeout: validatedApi.timeout || 30000
-          };
+          const { [offsetName]: offset, [formatName]: outputFormat, ...params } = args;
+          const resultKey = JSON.stringify(params);
           
-          // 根据HTTP方法处理参数
-          if (['GET', 'DELETE'].includes(requestConfig.method.toUpperCase())) {
-            requestConfig.params = params;
+          // 分页查看时优先使用相同参数下保存的完整结果，避免重复请求
+          let fetched;
+          const stored = storedResults.get(validatedApi.name);
+          if (offset !== undefined && stored && stored.key === resultKey) {
+            fetched = stored.fetched;
           } else {
-            requestConfig.data = params;
+            fetched = await fetchApiResult(validatedApi, params);
+            if (fetched.content) {
+              // 图片、二进制等内容无法作为结构化结果返回
+              return output && !fetched.isError
+                ? { content: [...fetched.content, { type: "text", text: "响应不是JSON或文本，或者超过了大小限制，无法按outputSchema返回结构化结果" }], isError: true }
+                : fetched;
+            }
           }
           
-          // 发送请求
-          logger.debug(`发送请求: ${requestConfig.method} ${requestConfig.url}`);
-          const response = await axios(requestConfig);
+          // 对象和数组交给结果预算处理，其他JSON值序列化为JSON文本
+          const value = fetched.text || (fetched.value !== null && typeof fetched.value === 'object')
+            ? fetched.value
+            : JSON.stringify(fetched.value);
           
-          // 结果转换
-          let result = response.data;
-          if (validatedApi.resultPath) {
-            // 支持使用点号路径访问嵌套属性
-            result = validatedApi.resultPath.split('.').reduce((obj, key) => 
-              (obj && obj[key] !== undefined) ? obj[key] : undefined, result);
+          // 按结果预算截断，截断时保存完整结果供后续分页
+          const budget = {
+            maxResultChars: validatedApi.maxResultChars !== undefined ? validatedApi.maxResultChars : responseSettings.maxResultChars,
+            maxResultItems: validatedApi.maxResultItems !== undefined ? validatedApi.maxResultItems : responseSettings.maxResultItems
+          };
+          const paged = pageResult(value, offset, budget);
+          const { text, truncated, dropped, page } = paged;
+          const content = [{ type: "text", text: renderOutput(value, text, page, validatedApi, outputFormat) }];
+          if (truncated) {
+            storedResults.set(validatedApi.name, { key: resultKey, fetched });
+            content.push({ type: "text", text: describeTruncation(dropped, page, offsetName) });
           }
           
-          return {
-            content: [{ type: "text", text: JSON.stringify(result) }]
-          };
+          if (!output) {
+            return { content };
+          }
+          
+          // 完整结果不符合outputSchema时作为错误返回
+          const validation = output.schema.safeParse(toStructuredContent(fetched.value, output.wrapped));
+          if (!validation.success) {
+            const issues = validation.error.issues
+              .map(issue => `${issue.path.join('.') || '(根)'}: ${issue.message}`)
+              .join('; ');
+            content.push({ type: "text", text: `结果不符合outputSchema: ${issues}` });
+            return { content, isError: true };
+          }
+          
+          // 结构化结果与文本内容使用相同的截断和分页
+          if (!truncated) {
+            return { content, structuredContent: toStructuredContent(fetched.value, output.wrapped) };
+          }
+          const pageValue = pageStructuredResult(value, paged, fetched.text);
+          const structuredContent = pageValue !== undefined ? toStructuredContent(pageValue, output.wrapped) : undefined;
+          if (!structuredContent || !output.schema.safeParse(structuredContent).success) {
+            content.push({ type: "text", text: "截断后的结果不符合outputSchema，无法返回结构化结果，可以用resultPath或resultQuery缩小结果，或者调大maxResultChars和maxResultItems" });
+            return { content, isError: true };
+          }
+          
+          return { content, structuredContent };
         } catch (error) {
           logger.error(`API调用失败: ${validatedApi.name}`, error);
-          throw new Error(`API调用失败: ${error.message}`);
+          throw new Error(`API调用失败: ${maskSecrets(error.message)}`);
         }
       }
     );
     
     // 添加到注册表
     apiRegistry.set(validatedApi.name, validatedApi);
+    registeredTools.set(validatedApi.name, tool);
     logger.info(`成功注册API: ${validatedApi.name}`);
     
     return true;
@@ -530,6 +993,390 @@ function registerApi(apiDef, server) {
   }
 }
 
+/**
+ * 按输出格式渲染经过结果预算截断的结果
+ * 截断后的JSON文本重新解析后再转换格式，数组末尾的省略标记由截断说明代替；按字符分页的JSON文本和文本结果原样返回
+ * @param {*} value - 完整结果
+ * @param {string} text - 截断后的结果文本
+ * @param {Object} page - 分页信息
+ * @param {Object} apiDef - 已验证的API定义
+ * @param {string} [outputFormat] - 调用时指定的输出格式，默认使用API定义中的outputFormat
+ * @returns {string} 渲染后的文本
+ */
+function renderOutput(value, text, page, apiDef, outputFormat) {
+  const format = outputFormat || apiDef.outputFormat;
+  if (!format || value === null || typeof value !== 'object' || (page.unit === 'chars' && page.offset > 0)) {
+    return text;
+  }
+  
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    // 所有收缩手段都用尽时文本被直接截断，无法再转换格式
+    return text;
+  }
+  
+  const stripMarker = items => {
+    const last = items[items.length - 1];
+    return typeof last === 'string' && /^… 还有 \d+ 项$/.test(last) ? items.slice(0, -1) : items;
+  };
+  
+  // 自动分页的结果把数据项渲染为表格，分页信息附在后面
+  if (apiDef.pagination && data && Array.isArray(data.items)) {
+    const items = formatResult(stripMarker(data.items), { outputFormat: format, columns: apiDef.columns });
+    return `${items}\n\n分页信息: ${JSON.stringify(data.pagination)}`;
+  }
+  
+  return formatResult(Array.isArray(data) ? stripMarker(data) : data, { outputFormat: format, columns: apiDef.columns });
+}
+
+/**
+ * 调用API并提取结果
+ * @param {Object} apiDef - 已验证的API定义
+ * @param {Object} params - 工具调用参数
+ * @returns {Promise<{value?: *, text?: boolean, content?: Object[], isError?: boolean}>} 提取后的JSON结果或文本结果(value，
+ *   文本结果的text为true)，或者可以直接返回的MCP内容(图片、二进制、超过大小限制的内容和协议错误)
+ */
+async function fetchApiResult(apiDef, params) {
+  const protocol = protocols[apiDef.type];
+  ({ apiDef, params } = resolveApiSecrets(apiDef, params));
+  
+  // 分页API依次请求多页并合并数据项
+  if (!protocol && apiDef.pagination) {
+    return { value: await fetchPaginatedResult(apiDef, params) };
+  }
+  
+  // 构建请求配置，认证重试时重新构建(multipart表单和二进制文件请求体是流，只能发送一次)
+  let requestConfig;
+  const buildRequest = () => {
+    requestConfig = protocol
+      ? protocol.buildRequest(apiDef, params)
+      : buildRequestConfig(apiDef, params);
+    logger.debug(`发送请求: ${requestConfig.method} ${requestConfig.url}`);
+    return requestConfig;
+  };
+  
+  // 发送请求
+  const response = await sendWithAuth(buildRequest, apiDef.auth, withSigning(apiDef.signing));
+  
+  // 结果转换
+  let result;
+  if (!protocol) {
+    // 按Content-Type解析响应，图片、二进制和超过大小限制的内容(包括JSON)直接返回相应的MCP内容
+    const decoded = decodeResponse(response);
+    const maxResponseSize = apiDef.maxResponseSize || responseSettings.maxResponseSize;
+    if (decoded.size > maxResponseSize || (decoded.kind !== 'json' && decoded.kind !== 'text')) {
+      return {
+        content: toContent(decoded, response, {
+          apiName: apiDef.name,
+          uri: axios.getUri(requestConfig),
+          maxResponseSize,
+          responseDirectory: responseSettings.responseDirectory
+        })
+      };
+    }
+    // 文本结果原样返回，不再提取
+    if (decoded.kind === 'text') {
+      return { value: decoded.data, text: true };
+    }
+    result = decoded.data;
+  } else {
+    // 协议层面的错误(如GraphQL errors、SOAP Fault、JSON-RPC error)作为错误结果返回
+    const parsed = protocol.parseResponse(apiDef, response.data, requestConfig.data);
+    if (parsed.error) {
+      return {
+        content: [{ type: "text", text: JSON.stringify(parsed.error) }],
+        isError: true
+      };
+    }
+    result = parsed.result;
+  }
+  
+  // 支持点号路径、JSONPath和JMESPath提取和重组结果
+  result = extractResult(result, apiDef);
+  
+  return { value: result === undefined ? null : result };
+}
+
+/**
+ * 解析API定义中URL、请求头、请求体模板和参数默认值里的密钥引用
+ * 认证和请求签名中的引用在发送请求时单独解析，保留原对象以便复用缓存的令牌；
+ * 工具调用传入的参数值不解析，只有与默认值相同(即由schema填入的默认值)时替换为解析后的默认值
+ * @param {Object} apiDef - 已验证的API定义
+ * @param {Object} params - 工具调用参数
+ * @returns {{apiDef: Object, params: Object}} 解析后的API定义和参数，没有引用时返回原对象
+ * @throws {Error} 如果引用的值不存在
+ */
+function resolveApiSecrets(apiDef, params = {}) {
+  const { url, headers, bodyTemplate, parameters } = apiDef;
+  if (!hasSecretReference({ url, headers, bodyTemplate, parameters })) {
+    return { apiDef, params };
+  }
+  
+  const resolved = { ...apiDef, ...resolveSecretReferences({ url, headers, bodyTemplate }) };
+  const values = { ...params };
+  if (parameters) {
+    resolved.parameters = {};
+    Object.entries(parameters).forEach(([key, param]) => {
+      if (!hasSecretReference(param.default)) {
+        resolved.parameters[key] = param;
+        return;
+      }
+      const value = resolveSecretReferences(param.default);
+      resolved.parameters[key] = { ...param, default: value };
+      if (JSON.stringify(values[key]) === JSON.stringify(param.default)) {
+        values[key] = value;
+      }
+    });
+  }
+  return { apiDef: resolved, params: values };
+}
+
+/**
+ * 按API定义中的pagination配置请求多页，合并各页的数据项
+ * resultPath在未指定pagination.itemsPath时作为每页数据项的位置，resultQuery应用于合并后的数据项
+ * @param {Object} apiDef - 已验证的API定义
+ * @param {Object} params - 工具调用参数
+ * @returns {Promise<{items: *, pagination: Object}>} 合并后的数据项和分页信息
+ */
+async function fetchPaginatedResult(apiDef, params) {
+  const fetchPage = async (pageParams, url) => {
+    // 认证重试时重新构建请求配置，multipart表单和二进制文件请求体只能发送一次
+    let requestConfig;
+    const buildRequest = () => {
+      requestConfig = buildRequestConfig(apiDef, pageParams);
+      // Link分页直接请求响应头中给出的下一页地址
+      if (url) {
+        requestConfig.url = url;
+        delete requestConfig.params;
+      }
+      logger.debug(`发送分页请求: ${requestConfig.method} ${axios.getUri(requestConfig)}`);
+      return requestConfig;
+    };
+    
+    const response = await sendWithAuth(buildRequest, apiDef.auth, withSigning(apiDef.signing));
+    const decoded = decodeResponse(response);
+    if (decoded.kind !== 'json') {
+      throw new Error(`分页API的响应必须是JSON，实际为 ${decoded.mimeType || decoded.kind}`);
+    }
+    return { data: decoded.data, headers: response.headers, url: axios.getUri(requestConfig) };
+  };
+  
+  const { items, pagination } = await paginate(apiDef.pagination, params, fetchPage, { itemsPath: apiDef.resultPath });
+  return {
+    items: apiDef.resultQuery ? extractResult(items, { resultQuery: apiDef.resultQuery }) : items,
+    pagination
+  };
+}
+
+/**
+ * 将由同一个定义展开出的API注册为一个分组，分组可以整体列出和移除
+ * @param {Object} groupDef - 原始定义，分组名称取其name
+ * @param {Object[]} apiDefs - 展开后的API定义对象数组
+ * @param {McpServer} server - MCP服务器实例
+ * @param {string} source - 来源描述，用于日志
+ * @returns {number} 成功注册的数量
+ */
+function registerApiGroup(groupDef, apiDefs, server, source) {
+  // 重新加载同一分组时先移除旧的工具，避免残留已删除的方法
+  if (apiGroups.has(groupDef.name)) {
+    logger.warn(`API分组已存在，将被覆盖: ${groupDef.name}`);
+    unregisterApi(groupDef.name, server);
+  }
+  
+  const tools = apiDefs
+    .filter(apiDef => registerApi({ ...apiDef, group: groupDef.name }, server))
+    .map(apiDef => apiDef.name);
+  logger.info(`从${source}注册了 ${tools.length}/${apiDefs.length} 个API`);
+  
+  if (tools.length > 0) {
+    apiGroups.set(groupDef.name, {
+      name: groupDef.name,
+      type: groupDef.type || 'rest',
+      description: groupDef.description || '',
+      baseUrl: groupDef.baseUrl || groupDef.url,
+      tools
+    });
+  }
+  
+  return tools.length;
+}
+
+/**
+ * 移除单个工具并从注册表中删除
+ * @param {string} name - 工具名称
+ * @returns {boolean} 是否成功移除
+ */
+function removeTool(name) {
+  const tool = registeredTools.get(name);
+  if (!tool) {
+    logger.warn(`找不到工具: ${name}`);
+    return false;
+  }
+  
+  tool.remove();
+  registeredTools.delete(name);
+  apiRegistry.delete(name);
+  storedResults.delete(name);
+  return true;
+}
+
+/**
+ * 将路径参数的值URL编码后替换到URL中的 {name} 或 :name 占位符
+ * @param {string} url - 带占位符的URL
+ * @param {string} name - 参数名称
+ * @param {*} value - 参数值
+ * @returns {string} 替换后的URL
+ */
+function fillPathParam(url, name, value) {
+  const encoded = encodeURIComponent(value);
+  // 协议和主机部分不参与替换，避免误替换端口号
+  const origin = (url.match(/^[a-z][a-z0-9+.-]*:\/\/[^/?#]*/i) || [''])[0];
+  const rest = url.substring(origin.length)
+    .split(`{${name}}`).join(encoded)
+    .replace(new RegExp(`(^|[/.;]):${name}(?![\\w])`, 'g'), (match, prefix) => `${prefix}${encoded}`);
+  return origin + rest;
+}
+
+/**
+ * 根据API定义和工具调用参数构建axios请求配置
+ * 参数声明了位置(in)时放到对应位置，body位置的参数可用pointer指定在请求体中的JSON Pointer位置；
+ * 未声明位置时GET/DELETE作为查询参数、其他方法作为请求体
+ * @param {Object} apiDef - 已验证的API定义
+ * @param {Object} params - 工具调用参数
+ * @returns {Object} axios请求配置
+ */
+function buildRequestConfig(apiDef, params = {}) {
+  const method = (apiDef.method || 'GET').toUpperCase();
+  const useQuery = ['GET', 'DELETE'].includes(method);
+  const parameters = apiDef.parameters || {};
+  
+  // 未传入的参数使用定义中的默认值
+  const values = {};
+  Object.entries(parameters).forEach(([key, param]) => {
+    if (param.default !== undefined) {
+      values[key] = param.default;
+    }
+  });
+  Object.assign(values, params);
+  
+  let url = apiDef.url;
+  const headers = { ...(apiDef.headers || {}) };
+  
+  // URL和请求头中的 {{参数名}} 占位符(如Postman导入的请求)只使用工具参数渲染，引用的参数不再放到声明的位置
+  const valueVariables = getTemplateVariables({ url, headers });
+  if (valueVariables.size > 0) {
+    url = renderText(url, values, encodeURIComponent);
+    Object.keys(headers).forEach(name => {
+      headers[name] = renderText(String(headers[name]), values);
+    });
+  }
+  
+  const query = {};
+  let body = {};
+  const cookies = [];
+  // pointer为空字符串的参数即为完整请求体
+  let rawBody;
+  
+  // 请求体模板使用工具参数和全局变量渲染，模板中引用的参数不再单独作为请求体字段
+  const hasTemplate = apiDef.bodyTemplate !== undefined;
+  const templateVariables = hasTemplate ? getTemplateVariables(apiDef.bodyTemplate) : new Set();
+  if (hasTemplate) {
+    const rendered = renderBodyTemplate(apiDef.bodyTemplate, { ...resolveSecretReferences(globalVariables), ...values }, resolveBodyType(apiDef));
+    if (rendered && typeof rendered === 'object' && !Array.isArray(rendered)) {
+      body = rendered;
+    } else {
+      rawBody = rendered;
+    }
+  }
+  
+  Object.entries(values).forEach(([key, value]) => {
+    if (value === undefined) {
+      return;
+    }
+    
+    const location = parameters[key] && parameters[key].in;
+    if (valueVariables.has(key) && location !== 'path') {
+      return;
+    }
+    switch (location) {
+      case 'path':
+        url = fillPathParam(url, key, value);
+        break;
+      case 'query':
+        query[key] = value;
+        break;
+      case 'header':
+        headers[key] = String(value);
+        break;
+      case 'cookie':
+        cookies.push(`${key}=${encodeURIComponent(value)}`);
+        break;
+      case 'body':
+        if (parameters[key].pointer === '') {
+          rawBody = value;
+        } else if (parameters[key].pointer) {
+          setByPointer(body, parameters[key].pointer, value);
+        } else if (!templateVariables.has(key)) {
+          body[key] = value;
+        }
+        break;
+      default:
+        // 使用请求体模板时，模板中未引用的参数作为查询参数
+        if (templateVariables.has(key)) {
+          break;
+        }
+        if (useQuery || hasTemplate) {
+          query[key] = value;
+        } else {
+          body[key] = value;
+        }
+    }
+  });
+  
+  if (cookies.length > 0) {
+    headers.Cookie = headers.Cookie ? `${headers.Cookie}; ${cookies.join('; ')}` : cookies.join('; ');
+  }
+  
+  const requestConfig = {
+    method,
+    url,
+    headers,
+    timeout: apiDef.timeout || 30000,
+    // 以字节形式接收响应，再根据Content-Type转换为JSON、文本、图片或二进制内容
+    responseType: 'arraybuffer'
+  };
+  
+  if (Object.keys(query).length > 0) {
+    requestConfig.params = query;
+  }
+  
+  // 请求体schema不是对象时，名为body的参数即为完整请求体
+  const bodyKeys = Object.keys(body);
+  if (rawBody !== undefined) {
+    requestConfig.data = bodyKeys.length > 0 && rawBody && typeof rawBody === 'object' && !Array.isArray(rawBody)
+      ? { ...rawBody, ...body }
+      : rawBody;
+  } else if (!hasTemplate && bodyKeys.length === 1 && bodyKeys[0] === 'body' && parameters.body && parameters.body.in === 'body') {
+    requestConfig.data = body.body;
+  } else if (bodyKeys.length > 0 || !useQuery || hasTemplate) {
+    requestConfig.data = body;
+  }
+  
+  // 非JSON请求体按bodyType序列化，文件参数只能读取配置的目录中的文件
+  const bodyType = resolveBodyType(apiDef);
+  if (bodyType !== 'json' && requestConfig.data !== undefined) {
+    requestConfig.data = serializeBody(bodyType, requestConfig.data, {
+      parameters,
+      headers,
+      fileDirectories
+    });
+  }
+  
+  return requestConfig;
+}
+
 /**
  * 获取已注册的API列表
  * @returns {Array} 已注册API的数组
@@ -538,6 +1385,46 @@ function getRegisteredApis() {
   return Array.from(apiRegistry.values());
 }
 
+/**
+ * 隐藏API定义中认证、签名配置和请求头里的凭据，用于列出或回显API定义
+ * @param {Object} apiDef - API定义
+ * @returns {Object} 隐藏凭据后的副本
+ */
+function redactApiDefinition(apiDef) {
+  const result = { ...apiDef, headers: redactHeaders(apiDef.headers) };
+  if (apiDef.auth) {
+    result.auth = redactAuth(apiDef.auth);
+  }
+  if (apiDef.signing) {
+    result.signing = redactSigning(apiDef.signing);
+  }
+  return result;
+}
+
+/**
+ * 获取已注册的API列表，同一分组的API合并为一项
+ * @returns {Array} 未分组的API定义和分组信息(包含apis字段)的数组
+ */
+function getRegisteredApiGroups() {
+  const result = [];
+  const listedGroups = new Set();
+  
+  apiRegistry.forEach(apiDef => {
+    const group = apiDef.group && apiGroups.get(apiDef.group);
+    if (!group) {
+      result.push(redactApiDefinition(apiDef));
+    } else if (!listedGroups.has(group.name)) {
+      listedGroups.add(group.name);
+      result.push({
+        ...group,
+        apis: group.tools.map(name => apiRegistry.get(name)).filter(Boolean).map(redactApiDefinition)
+      });
+    }
+  });
+  
+  return result;
+}
+
 /**
  * 根据名称获取API定义
  * @param {string} name - API名称
@@ -548,29 +1435,42 @@ function getApiByName(name) {
 }
 
 /**
- * 取消注册API
- * @param {string} name - API名称
+ * 取消注册API，名称为分组名称时移除分组中的全部工具
+ * @param {string} name - API名称或分组名称
  * @param {McpServer} server - MCP服务器实例
  * @returns {boolean} 是否成功取消注册
  */
 function unregisterApi(name, server) {
-  if (!apiRegistry.has(name)) {
+  const group = apiGroups.get(name);
+  if (!group && !apiRegistry.has(name)) {
     logger.warn(`API不存在: ${name}`);
     return false;
   }
   
   try {
-    // 在最新版SDK中，需要先获取工具再移除它
-    const tool = server.getTool(name);
-    if (tool) {
-      tool.remove();
-      apiRegistry.delete(name);
-      logger.info(`成功取消注册API: ${name}`);
+    if (group) {
+      group.tools.forEach(toolName => removeTool(toolName));
+      apiGroups.delete(name);
+      logger.info(`成功取消注册API分组: ${name} (${group.tools.length} 个工具)`);
       return true;
-    } else {
-      logger.warn(`找不到工具: ${name}`);
+    }
+    
+    const apiDef = apiRegistry.get(name);
+    if (!removeTool(name)) {
       return false;
     }
+    
+    // 从所属分组中移除，分组为空时删除分组
+    const owner = apiDef.group && apiGroups.get(apiDef.group);
+    if (owner) {
+      owner.tools = owner.tools.filter(toolName => toolName !== name);
+      if (owner.tools.length === 0) {
+        apiGroups.delete(owner.name);
+      }
+    }
+    
+    logger.info(`成功取消注册API: ${name}`);
+    return true;
   } catch (error) {
     logger.error(`取消注册API失败: ${name}`, error);
     return false;
@@ -585,5 +1485,8 @@ module.exports = {
   getApiByName,
   loadApisFromDirectory,
   loadApiFile,
-  loadConfigFile
+  loadConfigFile,
+  importHarFile,
+  buildRequestConfig,
+  renderOutput
 }; 
\ No newline at end of file
@@ -0,0 +1,451 @@
+/**
+ * @file curl-parser.js
+ * @description 解析curl命令行，并将其转换为API定义
+ */
+
+// 带参数值的短选项，组合写法(如 -sSo file)中这些字母之后的内容或下一项是参数值
+const SHORT_VALUE_OPTIONS = new Set([
+  'X', 'H', 'd', 'F', 'u', 'A', 'b', 'e', 'o', 'm', 'w', 'x', 'E', 'D', 'r', 'T', 'K', 'U',
+  'y', 'Y', 'z', 'c', 'C', 'P', 'Q', 't'
+]);
+
+// 带参数值但不影响API定义的选项，解析时连同参数值一起跳过；其他未知选项不读取参数值
+const IGNORED_VALUE_OPTIONS = new Set([
+  '-o', '--output', '-m', '--max-time', '--connect-timeout', '-w', '--write-out', '--retry', '--retry-delay',
+  '--retry-max-time', '-x', '--proxy', '-U', '--proxy-user', '-E', '--cert', '--cert-type', '--key', '--key-type',
+  '--pass', '--cacert', '--capath', '--resolve', '--connect-to', '-c', '--cookie-jar', '-D', '--dump-header',
+  '--limit-rate', '-r', '--range', '--max-redirs', '-K', '--config', '--interface', '-T', '--upload-file',
+  '-C', '--continue-at', '-P', '--ftp-port', '-Q', '--quote', '-t', '--telnet-option', '-y', '--speed-time',
+  '-Y', '--speed-limit', '-z', '--time-cond', '--trace', '--trace-ascii', '--stderr', '--local-port',
+  '--dns-servers', '--oauth2-bearer', '--aws-sigv4', '--form-string', '--max-filesize', '--noproxy'
+]);
+
+/**
+ * 将curl命令行拆分为参数数组，支持单引号、双引号、$'...'和行尾续行符
+ * @param {string} command - curl命令行
+ * @returns {string[]} 参数数组
+ */
+function tokenize(command) {
+  const input = command.replace(/\\\r?\n/g, ' ');
+  const tokens = [];
+  let current = '';
+  let hasToken = false;
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/\s/.test(char)) {
+      if (hasToken) {
+        tokens.push(current);
+        current = '';
+        hasToken = false;
+      }
+      i++;
+    } else if (char === "'" || (char === '$' && input[i + 1] === "'")) {
+      // $'...' 中支持常见的转义字符
+      const ansi = char === '$';
+      i += ansi ? 2 : 1;
+      while (i < input.length && input[i] !== "'") {
+        if (ansi && input[i] === '\\' && i + 1 < input.length) {
+          const next = input[i + 1];
+          current += { n: '\n', t: '\t', r: '\r', "'": "'", '\\': '\\' }[next] || next;
+          i += 2;
+        } else {
+          current += input[i++];
+        }
+      }
+      i++;
+      hasToken = true;
+    } else if (char === '"') {
+      i++;
+      while (i < input.length && input[i] !== '"') {
+        if (input[i] === '\\' && /["\\$`]/.test(input[i + 1] || '')) {
+          current += input[i + 1];
+          i += 2;
+        } else {
+          current += input[i++];
+        }
+      }
+      i++;
+      hasToken = true;
+    } else if (char === '\\' && i + 1 < input.length) {
+      current += input[i + 1];
+      i += 2;
+      hasToken = true;
+    } else {
+      current += char;
+      i++;
+      hasToken = true;
+    }
+  }
+
+  if (hasToken) {
+    tokens.push(current);
+  }
+  return tokens;
+}
+
+/**
+ * 解析curl命令行
+ * @param {string} command - curl命令行
+ * @returns {Object} 解析结果，包含method、url、headers、data、urlencoded、form等字段
+ * @throws {Error} 如果命令不是curl命令或缺少URL
+ */
+function parseCurlCommand(command) {
+  const tokens = tokenize(String(command || '').trim());
+  if (tokens[0] !== 'curl') {
+    throw new Error('不是有效的curl命令');
+  }
+
+  const result = {
+    method: null,
+    url: null,
+    headers: {},
+    data: [],
+    urlencoded: [],
+    form: [],
+    user: null,
+    digest: false,
+    compressed: false,
+    get: false
+  };
+
+  for (let i = 1; i < tokens.length; i++) {
+    let token = tokens[i];
+    let value;
+
+    // 支持 --option=value 写法
+    if (token.startsWith('--') && token.includes('=')) {
+      value = token.substring(token.indexOf('=') + 1);
+      token = token.substring(0, token.indexOf('='));
+    } else if (/^-[^-]./.test(token)) {
+      // 组合的短选项(如 -sSL、-XPOST、-sSo file)拆分为单独的选项，带参数值的选项之后的内容是参数值
+      const flags = token.substring(1);
+      const expanded = [];
+      for (let j = 0; j < flags.length; j++) {
+        expanded.push(`-${flags[j]}`);
+        if (SHORT_VALUE_OPTIONS.has(flags[j])) {
+          if (j + 1 < flags.length) {
+            expanded.push(flags.substring(j + 1));
+          }
+          break;
+        }
+      }
+      tokens.splice(i, 1, ...expanded);
+      token = tokens[i];
+    }
+
+    const next = () => (value !== undefined ? value : tokens[++i]);
+
+    switch (token) {
+      case '-X':
+      case '--request':
+        result.method = next().toUpperCase();
+        break;
+      case '--url':
+        result.url = next();
+        break;
+      case '-H':
+      case '--header': {
+        const header = next();
+        const index = header.indexOf(':');
+        if (index > 0) {
+          result.headers[header.substring(0, index).trim()] = header.substring(index + 1).trim();
+        }
+        break;
+      }
+      case '-d':
+      case '--data':
+      case '--data-raw':
+      case '--data-binary':
+      case '--data-ascii':
+        result.data.push(next());
+        break;
+      case '--data-urlencode':
+        result.urlencoded.push(next());
+        break;
+      case '-F':
+      case '--form':
+        result.form.push(next());
+        break;
+      case '-u':
+      case '--user':
+        result.user = next();
+        break;
+      case '-A':
+      case '--user-agent':
+        result.headers['User-Agent'] = next();
+        break;
+      case '-b':
+      case '--cookie':
+        result.headers.Cookie = next();
+        break;
+      case '-e':
+      case '--referer':
+        result.headers.Referer = next();
+        break;
+      case '--digest':
+        result.digest = true;
+        break;
+      case '--compressed':
+        result.compressed = true;
+        break;
+      case '-G':
+      case '--get':
+        result.get = true;
+        break;
+      case '-I':
+      case '--head':
+        result.method = 'HEAD';
+        break;
+      default:
+        if (!token.startsWith('-')) {
+          result.url = result.url || token;
+        } else if (IGNORED_VALUE_OPTIONS.has(token)) {
+          next();
+        }
+    }
+  }
+
+  if (!result.url) {
+    throw new Error('curl命令中缺少URL');
+  }
+
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(result.url)) {
+    result.url = `http://${result.url}`;
+  }
+
+  if (!result.method) {
+    const hasBody = result.data.length > 0 || result.urlencoded.length > 0 || result.form.length > 0;
+    result.method = hasBody && !result.get ? 'POST' : 'GET';
+  }
+
+  return result;
+}
+
+/**
+ * 获取请求头的值(忽略大小写)
+ * @param {Object} headers - 请求头对象
+ * @param {string} name - 请求头名称
+ * @returns {string|undefined} 请求头值
+ */
+function getHeader(headers, name) {
+  const key = Object.keys(headers).find(item => item.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : undefined;
+}
+
+/**
+ * 根据值推断参数类型
+ * @param {*} value - 参数值
+ * @returns {string} 参数类型
+ */
+function inferType(value) {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (value === null || value === undefined) {
+    return 'string';
+  }
+  return ['number', 'boolean', 'object'].includes(typeof value) ? typeof value : 'string';
+}
+
+/**
+ * 将 a=1&b=2 形式的字符串解析为键值对数组
+ * @param {string} text - 表单字符串
+ * @param {boolean} decode - 是否进行URL解码
+ * @returns {Array<[string, string]>} 键值对数组
+ */
+function parsePairs(text, decode) {
+  return text.split('&').filter(Boolean).map(part => {
+    const index = part.indexOf('=');
+    const key = index >= 0 ? part.substring(0, index) : part;
+    const value = index >= 0 ? part.substring(index + 1) : '';
+    if (!decode) {
+      return [key, value];
+    }
+    const decodeValue = item => decodeURIComponent(item.replace(/\+/g, ' '));
+    return [decodeValue(key), decodeValue(value)];
+  });
+}
+
+/**
+ * 将解析后的curl命令转换为API定义
+ * 标记的字面值会被替换为工具参数：URL中的值替换为 {参数名} 占位符，请求头和请求体中的值使用对应的字段名作为参数名
+ * @param {Object} parsed - parseCurlCommand的返回结果
+ * @param {Object} options - 转换选项
+ * @param {string} options.name - API名称
+ * @param {string} [options.description] - API描述
+ * @param {Array<{value: string, name?: string, type?: string, description?: string, required?: boolean}>} [options.parameters=[]]
+ *   需要转换为工具参数的字面值
+ * @returns {Object} API定义对象
+ * @throws {Error} 如果标记的值在命令中不存在
+ */
+function curlToApiDefinition(parsed, options) {
+  const { name, description, parameters: marks = [] } = options;
+  const headers = { ...parsed.headers };
+  const parameters = {};
+  const pending = [...marks];
+
+  /**
+   * 取出与字面值匹配的标记
+   * @param {*} value - 命令中的字面值
+   * @returns {Object|undefined} 匹配的标记
+   */
+  const takeMark = (value) => {
+    const index = pending.findIndex(mark => String(mark.value) === String(value));
+    return index >= 0 ? pending.splice(index, 1)[0] : undefined;
+  };
+
+  const toParam = (mark, location, type) => ({
+    type: mark.type || type,
+    required: mark.required !== false,
+    description: mark.description || '',
+    in: location
+  });
+
+  // URL：路径段和查询参数中的标记值替换为占位符
+  const url = new URL(parsed.url);
+  const query = Array.from(url.searchParams.entries());
+  let urlPath = url.pathname.split('/').map(segment => {
+    const mark = takeMark(decodeURIComponent(segment));
+    if (!mark) {
+      return segment;
+    }
+    const paramName = mark.name || `param${Object.keys(parameters).length + 1}`;
+    parameters[paramName] = toParam(mark, 'path', 'string');
+    return `{${paramName}}`;
+  }).join('/');
+
+  // -G 时 -d 数据作为查询参数
+  const dataPairs = [];
+  parsed.data.forEach(item => dataPairs.push(...parsePairs(item, true)));
+  parsed.urlencoded.forEach(item => {
+    const index = item.indexOf('=');
+    dataPairs.push(index >= 0 ? [item.substring(0, index), item.substring(index + 1)] : ['', item]);
+  });
+  if (parsed.get) {
+    query.push(...dataPairs.filter(([key]) => key));
+  }
+
+  // 查询参数中的标记值成为同名的查询参数，从URL中移除
+  const queryParts = [];
+  query.forEach(([key, value]) => {
+    const mark = takeMark(value);
+    if (mark) {
+      parameters[key] = toParam(mark, 'query', 'string');
+    } else {
+      queryParts.push(`${encodeURIComponent(key)}=${encodeURIComponent(value)}`);
+    }
+  });
+  urlPath += queryParts.length > 0 ? `?${queryParts.join('&')}` : '';
+
+  // 请求头
+  Object.entries(headers).forEach(([key, value]) => {
+    const mark = takeMark(value);
+    if (mark) {
+      delete headers[key];
+      parameters[key] = toParam(mark, 'header', 'string');
+    }
+  });
+
+  // -u 的用户名和密码作为Basic认证(使用--digest时为Digest认证)
+  let auth;
+  if (parsed.user) {
+    const index = parsed.user.indexOf(':');
+    auth = {
+      type: parsed.digest ? 'digest' : 'basic',
+      username: index >= 0 ? parsed.user.substring(0, index) : parsed.user,
+      password: index >= 0 ? parsed.user.substring(index + 1) : ''
+    };
+  }
+
+  if (parsed.compressed && !getHeader(headers, 'Accept-Encoding')) {
+    headers['Accept-Encoding'] = 'gzip, deflate, br';
+  }
+
+  // 请求体：未标记的字段作为带默认值的可选参数
+  const addBodyField = (key, value) => {
+    const mark = takeMark(value);
+    parameters[key] = mark
+      ? toParam(mark, 'body', inferType(value))
+      : { type: inferType(value), required: false, description: '', in: 'body', default: value };
+    // null不能作为字符串参数的默认值
+    if (!mark && value === null) {
+      delete parameters[key].default;
+    }
+  };
+
+  const contentType = getHeader(headers, 'Content-Type') || '';
+  let bodyType;
+  if (parsed.form.length > 0) {
+    // Content-Type(包含boundary)由multipart序列化时生成
+    bodyType = 'multipart';
+    parsed.form.forEach(item => {
+      const index = item.indexOf('=');
+      if (index <= 0) {
+        return;
+      }
+      const key = item.substring(0, index);
+      const value = item.substring(index + 1).replace(/^"|"$/g, '');
+      if (value.startsWith('@')) {
+        // -F field=@/path 上传本地文件，命令中的路径不作为默认值
+        const mark = takeMark(value) || takeMark(value.substring(1).split(';')[0]);
+        parameters[key] = {
+          ...toParam(mark || {}, 'body', 'file'),
+          type: 'file',
+          description: (mark && mark.description) || '要上传的本地文件路径'
+        };
+      } else {
+        addBodyField(key, value);
+      }
+    });
+  } else if (!parsed.get && (parsed.data.length > 0 || parsed.urlencoded.length > 0)) {
+    const raw = parsed.data.join('&');
+    let json;
+    try {
+      json = parsed.urlencoded.length === 0 && !/form-urlencoded/i.test(contentType) ? JSON.parse(raw) : undefined;
+    } catch (error) {
+      json = undefined;
+    }
+
+    if (json && typeof json === 'object' && !Array.isArray(json)) {
+      if (!contentType) {
+        headers['Content-Type'] = 'application/json';
+      }
+      Object.entries(json).forEach(([key, value]) => addBodyField(key, value));
+    } else if (json !== undefined || (contentType && !/form-urlencoded/i.test(contentType))) {
+      // 非表单的原始请求体整体作为一个参数
+      const mark = takeMark(raw);
+      parameters.body = mark
+        ? toParam(mark, 'body', json !== undefined ? inferType(json) : 'string')
+        : { type: json !== undefined ? inferType(json) : 'string', required: false, description: '请求体', in: 'body', default: json !== undefined ? json : raw };
+    } else {
+      if (!contentType) {
+        headers['Content-Type'] = 'application/x-www-form-urlencoded';
+      }
+      dataPairs.filter(([key]) => key).forEach(([key, value]) => addBodyField(key, value));
+    }
+  }
+
+  if (pending.length > 0) {
+    throw new Error(`未在curl命令中找到以下参数值: ${pending.map(mark => mark.value).join(', ')}`);
+  }
+
+  return {
+    name,
+    description: description || `${parsed.method} ${url.origin}${url.pathname}`,
+    url: `${url.origin}${urlPath}`,
+    method: parsed.method,
+    parameters,
+    headers,
+    ...(bodyType ? { bodyType } : {}),
+    ...(auth ? { auth } : {})
+  };
+}
+
+module.exports = {
+  tokenize,
+  parseCurlCommand,
+  curlToApiDefinition
+};
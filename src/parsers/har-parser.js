@@ -0,0 +1,300 @@
+/**
+ * @file har-parser.js
+ * @description 解析浏览器导出的HAR文件，根据抓取到的请求生成API定义
+ */
+
+const { toToolName } = require('./spec-utils');
+
+// 可以变化的路径段：纯数字ID、UUID、长十六进制串(如MongoDB ObjectId)
+const VARIABLE_SEGMENT_PATTERNS = [
+  /^\d+$/,
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  /^[0-9a-f]{24,}$/i
+];
+
+// 示例响应的最大长度，避免生成的定义过大
+const MAX_SAMPLE_LENGTH = 2000;
+
+/**
+ * 判断对象是否为HAR文档
+ * @param {Object} doc - 已解析的JSON对象
+ * @returns {boolean} 是否为HAR文档
+ */
+function isHarDocument(doc) {
+  return !!doc && typeof doc === 'object' && !!doc.log && Array.isArray(doc.log.entries);
+}
+
+/**
+ * 判断路径段是否为可变的ID
+ * @param {string} segment - 路径段
+ * @returns {boolean} 是否为可变路径段
+ */
+function isVariableSegment(segment) {
+  return VARIABLE_SEGMENT_PATTERNS.some(pattern => pattern.test(segment));
+}
+
+/**
+ * 根据观察到的值推断参数类型，所有值都能转换为同一类型时才使用该类型
+ * @param {Array} values - 观察到的值
+ * @returns {string} 参数类型
+ */
+function inferType(values) {
+  const present = values.filter(value => value !== undefined && value !== null && value !== '');
+  if (present.length === 0) {
+    return 'string';
+  }
+
+  if (present.every(value => Array.isArray(value))) {
+    return 'array';
+  }
+  if (present.every(value => typeof value === 'object' && !Array.isArray(value))) {
+    return 'object';
+  }
+  if (present.every(value => typeof value === 'boolean' || value === 'true' || value === 'false')) {
+    return 'boolean';
+  }
+  if (present.every(value => typeof value === 'number' || (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value)))) {
+    return 'number';
+  }
+  return 'string';
+}
+
+/**
+ * 获取条目中的请求体字段
+ * @param {Object} request - HAR请求对象
+ * @returns {{contentType: string, fields: Object}|null} 请求体类型和字段
+ */
+function getBodyFields(request) {
+  const postData = request.postData;
+  if (!postData) {
+    return null;
+  }
+
+  const contentType = (postData.mimeType || '').split(';')[0].trim();
+
+  if (Array.isArray(postData.params) && postData.params.length > 0) {
+    const fields = {};
+    postData.params.forEach(param => {
+      fields[param.name] = param.value;
+    });
+    return { contentType, fields };
+  }
+
+  if (postData.text) {
+    try {
+      const json = JSON.parse(postData.text);
+      if (json && typeof json === 'object' && !Array.isArray(json)) {
+        return { contentType: contentType || 'application/json', fields: json };
+      }
+    } catch (error) {
+      // 不是JSON，按表单解析
+    }
+
+    if (/form-urlencoded/i.test(contentType)) {
+      const fields = {};
+      new URLSearchParams(postData.text).forEach((value, key) => {
+        fields[key] = value;
+      });
+      return { contentType, fields };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 截取示例响应
+ * @param {Object} response - HAR响应对象
+ * @returns {string|null} 示例响应文本
+ */
+function getSampleResponse(response) {
+  const content = response && response.content;
+  if (!content || !content.text) {
+    return null;
+  }
+
+  let text = content.encoding === 'base64'
+    ? Buffer.from(content.text, 'base64').toString('utf8')
+    : content.text;
+
+  try {
+    text = JSON.stringify(JSON.parse(text), null, 2);
+  } catch (error) {
+    // 非JSON响应保持原样
+  }
+
+  return text.length > MAX_SAMPLE_LENGTH ? `${text.substring(0, MAX_SAMPLE_LENGTH)}\n...` : text;
+}
+
+/**
+ * 将HAR条目按方法和模板化路径分组，并生成API定义
+ * @param {Object} har - HAR文档对象
+ * @param {Object} [options={}] - 解析选项
+ * @param {string|RegExp} [options.urlFilter] - 只处理URL匹配的请求
+ * @param {boolean} [options.includeStatic=false] - 是否包含非JSON的静态资源请求
+ * @returns {Object[]} API定义对象数组
+ */
+function parseHarDocument(har, options = {}) {
+  if (!isHarDocument(har)) {
+    throw new Error('不是有效的HAR文件');
+  }
+
+  const filter = options.urlFilter
+    ? (options.urlFilter instanceof RegExp ? options.urlFilter : new RegExp(options.urlFilter))
+    : null;
+
+  // 按 方法 + 主机 + 模板化路径 分组，ID类路径段视为通配
+  const buckets = new Map();
+
+  har.log.entries.forEach(entry => {
+    const request = entry && entry.request;
+    if (!request || !request.url) {
+      return;
+    }
+    if (filter && !filter.test(request.url)) {
+      return;
+    }
+
+    const mimeType = entry.response && entry.response.content && entry.response.content.mimeType;
+    if (!options.includeStatic && mimeType && !/json|xml/i.test(mimeType)) {
+      return;
+    }
+
+    let url;
+    try {
+      url = new URL(request.url);
+    } catch (error) {
+      return;
+    }
+
+    const segments = url.pathname.split('/').filter(Boolean);
+    const method = (request.method || 'GET').toUpperCase();
+    const template = segments.map(segment => (isVariableSegment(segment) ? null : segment));
+    const key = `${method} ${url.origin} ${template.map(segment => segment === null ? '*' : segment).join('/')}`;
+
+    if (!buckets.has(key)) {
+      buckets.set(key, { method, origin: url.origin, template, entries: [] });
+    }
+    buckets.get(key).entries.push({ entry, url, segments });
+  });
+
+  const apiDefs = [];
+  const usedNames = new Set();
+
+  buckets.forEach(bucket => {
+    const { method, origin, entries } = bucket;
+    const parameters = {};
+
+    // ID类路径段转换为路径参数，参数名根据前一个路径段推断，例如 /users/1 -> userId
+    const pathParts = bucket.template.map((segment, index) => {
+      if (segment !== null) {
+        return segment;
+      }
+
+      const values = entries.map(item => item.segments[index]);
+      const previous = index > 0 ? bucket.template[index - 1] : null;
+      let paramName = previous ? `${previous.replace(/s$/, '')}Id` : `id${index}`;
+      paramName = paramName.replace(/[^A-Za-z0-9_]/g, '_');
+      while (parameters[paramName]) {
+        paramName = `${paramName}_${index}`;
+      }
+
+      parameters[paramName] = {
+        type: inferType(values),
+        required: true,
+        description: `路径参数，示例: ${values[0]}`,
+        in: 'path'
+      };
+      return `{${paramName}}`;
+    });
+
+    // 查询参数：至少出现在一个请求中；所有请求都出现时为必填
+    const queryValues = new Map();
+    entries.forEach(({ url }) => {
+      url.searchParams.forEach((value, name) => {
+        if (!queryValues.has(name)) {
+          queryValues.set(name, []);
+        }
+        queryValues.get(name).push(value);
+      });
+    });
+    queryValues.forEach((values, name) => {
+      if (parameters[name]) {
+        return;
+      }
+      parameters[name] = {
+        type: inferType(values),
+        required: values.length === entries.length,
+        description: `查询参数，示例: ${values[0]}`,
+        in: 'query'
+      };
+    });
+
+    // 请求体字段
+    const headers = {};
+    const bodyValues = new Map();
+    entries.forEach(({ entry }) => {
+      const body = getBodyFields(entry.request);
+      if (!body) {
+        return;
+      }
+      if (body.contentType && !/json/i.test(body.contentType)) {
+        headers['Content-Type'] = body.contentType;
+      }
+      Object.entries(body.fields).forEach(([name, value]) => {
+        if (!bodyValues.has(name)) {
+          bodyValues.set(name, []);
+        }
+        bodyValues.get(name).push(value);
+      });
+    });
+    const bodyCount = entries.filter(({ entry }) => getBodyFields(entry.request)).length;
+    bodyValues.forEach((values, name) => {
+      if (parameters[name]) {
+        return;
+      }
+      const example = typeof values[0] === 'object' ? JSON.stringify(values[0]) : values[0];
+      parameters[name] = {
+        type: inferType(values),
+        required: values.length === bodyCount,
+        description: `请求体字段，示例: ${example}`,
+        in: 'body'
+      };
+    });
+
+    const pathTemplate = `/${pathParts.join('/')}`;
+    const baseName = toToolName(`${method.toLowerCase()}_${pathParts
+      .map(part => part.replace(/[{}]/g, '')).join('_')}`) || method.toLowerCase();
+    let name = baseName;
+    for (let i = 2; usedNames.has(name); i++) {
+      name = `${baseName}_${i}`;
+    }
+    usedNames.add(name);
+
+    // 优先使用成功响应作为示例
+    const sampleEntry = entries.find(({ entry }) => entry.response && entry.response.status >= 200 &&
+      entry.response.status < 300 && getSampleResponse(entry.response)) || entries[0];
+    const sample = getSampleResponse(sampleEntry.entry.response);
+
+    const apiDef = {
+      name,
+      description: `${method} ${pathTemplate}(根据HAR中的 ${entries.length} 个请求生成)`,
+      url: `${origin}${pathTemplate}`,
+      method,
+      parameters,
+      headers
+    };
+    if (sample) {
+      apiDef.sampleResponse = sample;
+    }
+
+    apiDefs.push(apiDef);
+  });
+
+  return apiDefs;
+}
+
+module.exports = {
+  isHarDocument,
+  parseHarDocument
+};
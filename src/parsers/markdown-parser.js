@@ -4,6 +4,9 @@
  */
 
 const { marked } = require('marked');
+const yaml = require('js-yaml');
+const { parseBodyTemplate } = require('../utils/body-template');
+const logger = require('../utils/logger');
 
 /**
  * 从Markdown内容解析API定义
@@ -23,12 +26,23 @@ function parseMarkdownAPI(content) {
     // 当前处理状态
     let currentSection = null;
     let inParametersTable = false;
+    // 当前正在解析的JSON-RPC方法
+    let currentMethod = null;
     
     // 处理每个标记
     for (const token of tokens) {
       // 处理标题
       if (token.type === 'heading') {
         const title = token.text.toLowerCase();
+        
+        // JSON-RPC方法列表下的三级标题为方法名
+        if (token.depth >= 3 && (currentSection === 'rpcMethods' || currentSection === 'rpcMethod')) {
+          currentMethod = { name: token.text.trim(), parameters: {} };
+          apiDef.methods.push(currentMethod);
+          currentSection = 'rpcMethod';
+          continue;
+        }
+        
         if (title === 'api名称' || title === 'api name') {
           currentSection = 'name';
         } else if (title === '描述' || title === 'description') {
@@ -40,11 +54,38 @@ function parseMarkdownAPI(content) {
         } else if (title === '参数' || title === 'parameters') {
           currentSection = 'parameters';
           inParametersTable = false;
-        } else if (title === '返回路径' || title === 'result path') {
+        } else if (title === '返回路径' || title === '结果路径' || title === 'result path') {
           currentSection = 'resultPath';
+        } else if (title === '结果查询' || title === 'result query') {
+          currentSection = 'resultQuery';
         } else if (title === '标头' || title === 'headers') {
           currentSection = 'headers';
           apiDef.headers = {};
+        } else if (title === '类型' || title === 'type') {
+          currentSection = 'type';
+        } else if (title === '参数传递方式' || title === 'params style') {
+          currentSection = 'paramsStyle';
+        } else if (title === '请求体类型' || title === 'body type') {
+          currentSection = 'bodyType';
+        } else if (title === '请求体模板' || title === '请求体' || title === 'body template') {
+          currentSection = 'bodyTemplate';
+        } else if (title === '输出格式' || title === 'output format') {
+          currentSection = 'outputFormat';
+        } else if (title === '输出列' || title === 'columns') {
+          currentSection = 'columns';
+        } else if (title === '认证' || title === 'auth' || title === 'authentication') {
+          currentSection = 'auth';
+        } else if (title === '签名' || title === '请求签名' || title === 'signing') {
+          currentSection = 'signing';
+        } else if (title === '响应' || title === '响应示例' || title === 'response' || title === 'response example') {
+          currentSection = 'response';
+        } else if (title === '输出schema' || title === 'output schema') {
+          currentSection = 'outputSchema';
+        } else if (title === '分页' || title === 'pagination') {
+          currentSection = 'pagination';
+        } else if (title === 'rpc方法' || title === 'rpc methods') {
+          currentSection = 'rpcMethods';
+          apiDef.methods = apiDef.methods || [];
         } else {
           currentSection = null;
         }
@@ -63,32 +104,104 @@ function parseMarkdownAPI(content) {
           apiDef.method = token.text.trim().toUpperCase();
         } else if (currentSection === 'resultPath') {
           apiDef.resultPath = token.text.trim();
+        } else if (currentSection === 'resultQuery') {
+          apiDef.resultQuery = token.text.trim();
+        } else if (currentSection === 'type') {
+          apiDef.type = token.text.trim().toLowerCase();
+        } else if (currentSection === 'paramsStyle') {
+          apiDef.paramsStyle = token.text.trim().toLowerCase();
+        } else if (currentSection === 'bodyType') {
+          apiDef.bodyType = token.text.trim().toLowerCase();
+        } else if (currentSection === 'auth') {
+          // 段落为配置文件中定义的认证提供者名称
+          apiDef.auth = token.text.trim();
+        } else if (currentSection === 'outputFormat') {
+          apiDef.outputFormat = token.text.trim().toLowerCase();
+        } else if (currentSection === 'columns') {
+          // 逗号分隔的列路径
+          apiDef.columns = token.text.split(/[,，]/).map(column => column.trim()).filter(Boolean);
+        } else if (currentSection === 'rpcMethod') {
+          currentMethod.description = token.text.trim();
+        }
+      }
+      
+      // 处理代码块 - 结果路径或结果查询写在代码块中时取代码块内容
+      if ((currentSection === 'resultPath' || currentSection === 'resultQuery') && token.type === 'code') {
+        apiDef[currentSection] = token.text.trim();
+      }
+      
+      // 处理代码块 - 请求体模板，json和yaml代码块解析为对象模板，其他语言作为文本模板
+      if (currentSection === 'bodyTemplate' && token.type === 'code') {
+        const lang = (token.lang || '').trim().toLowerCase();
+        apiDef.bodyTemplate = ['json', 'yaml', 'yml'].includes(lang)
+          ? parseBodyTemplate(token.text, lang)
+          : token.text;
+      }
+      
+      // 处理列表 - 每个列表项是一列的路径
+      if (currentSection === 'columns' && token.type === 'list') {
+        apiDef.columns = token.items.map(item => item.text.trim()).filter(Boolean);
+      }
+      
+      // 处理代码块 - 分页配置，使用JSON或YAML编写
+      if (currentSection === 'pagination' && token.type === 'code') {
+        apiDef.pagination = yaml.load(token.text);
+      }
+      
+      // 处理代码块 - 认证对象，使用JSON或YAML编写
+      if (currentSection === 'auth' && token.type === 'code') {
+        apiDef.auth = yaml.load(token.text);
+      }
+      
+      // 处理代码块 - 签名配置，使用JSON或YAML编写
+      if (currentSection === 'signing' && token.type === 'code') {
+        apiDef.signing = yaml.load(token.text);
+      }
+      
+      // 处理代码块 - 响应示例和输出schema，只解析JSON和YAML代码块
+      if ((currentSection === 'response' || currentSection === 'outputSchema') && token.type === 'code') {
+        const lang = (token.lang || '').trim().toLowerCase();
+        if (['', 'json', 'yaml', 'yml'].includes(lang)) {
+          const key = currentSection === 'response' ? 'responseExample' : 'outputSchema';
+          try {
+            apiDef[key] = yaml.load(token.text);
+          } catch (error) {
+            logger.warn(`无法解析${currentSection === 'response' ? '响应示例' : '输出schema'}代码块: ${error.message}`);
+          }
         }
       }
       
       // 处理表格 - 参数定义
-      if (currentSection === 'parameters' && token.type === 'table') {
+      if ((currentSection === 'parameters' || currentSection === 'rpcMethod') && token.type === 'table') {
         inParametersTable = true;
+        const target = currentSection === 'rpcMethod' ? currentMethod.parameters : apiDef.parameters;
         
-        // 跳过表头
-        for (let i = 1; i < token.rows.length; i++) {
-          const row = token.rows[i];
-          const [name, type, required, description] = row.map(cell => cell.text.trim());
+        const columns = getParameterColumns(token.header);
+        
+        // 表头在token.header中，rows只包含数据行
+        for (let i = 0; i < token.rows.length; i++) {
+          const cells = token.rows[i].map(cell => cell.text.trim());
+          const cell = column => (columns[column] !== undefined ? cells[columns[column]] || '' : '');
+          const name = cell('name');
           
           if (name) {
-            apiDef.parameters[name] = {
-              type: type.toLowerCase() || 'string',
-              required: required.toLowerCase() === 'true' || required.toLowerCase() === '是',
-              description: description || ''
+            target[name] = {
+              type: cell('type').toLowerCase() || 'string',
+              required: cell('required').toLowerCase() === 'true' || cell('required') === '是',
+              description: cell('description')
             };
+            // 位置列，例如 query、header、body:/filter/status
+            if (cell('in')) {
+              target[name].in = cell('in');
+            }
           }
         }
       }
       
       // 处理表格 - 标头定义
       if (currentSection === 'headers' && token.type === 'table') {
-        // 跳过表头
-        for (let i = 1; i < token.rows.length; i++) {
+        // 表头在token.header中，rows只包含数据行
+        for (let i = 0; i < token.rows.length; i++) {
           const row = token.rows[i];
           const [name, value] = row.map(cell => cell.text.trim());
           
@@ -111,6 +224,35 @@ function parseMarkdownAPI(content) {
   }
 }
 
+/**
+ * 根据参数表格的表头确定各列的位置，无法识别的表头按 名称|类型|必填|描述|位置 的顺序处理
+ * @param {Array<{text: string}>} header - 表头单元格
+ * @returns {Object} 列名到列索引的映射
+ */
+function getParameterColumns(header = []) {
+  const aliases = {
+    name: ['名称', '参数', '参数名', '参数名称', 'name', 'parameter'],
+    type: ['类型', 'type'],
+    required: ['必填', '是否必填', 'required'],
+    description: ['描述', '说明', 'description'],
+    in: ['位置', '参数位置', 'in', 'location']
+  };
+  
+  const columns = {};
+  header.forEach((cell, index) => {
+    const text = cell.text.trim().toLowerCase();
+    const column = Object.keys(aliases).find(key => aliases[key].includes(text));
+    if (column && columns[column] === undefined) {
+      columns[column] = index;
+    }
+  });
+  
+  if (Object.keys(columns).length === 0) {
+    return { name: 0, type: 1, required: 2, description: 3, in: 4 };
+  }
+  return columns;
+}
+
 module.exports = {
   parseMarkdownAPI
 }; 
\ No newline at end of file
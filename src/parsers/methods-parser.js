@@ -0,0 +1,95 @@
+/**
+ * @file methods-parser.js
+ * @description 解析包含baseUrl和methods数组的分组API定义(`example --json`输出的格式)，展开为每个方法一个API定义
+ */
+
+/**
+ * 判断对象是否为分组API定义
+ * @param {Object} doc - 已解析的API定义对象
+ * @returns {boolean} 是否为分组API定义
+ */
+function isMethodsApi(doc) {
+  return !!doc && typeof doc === 'object' && Array.isArray(doc.methods) &&
+    (!doc.type || doc.type === 'rest');
+}
+
+/**
+ * 生成分组中方法对应的工具名称，与generateToolRegistrationFunction的命名规则一致
+ * @param {string} apiName - 分组API名称
+ * @param {string} methodName - 方法名称
+ * @returns {string} 工具名称
+ */
+function toMethodToolName(apiName, methodName) {
+  const normalize = value => String(value).toLowerCase().replace(/\s+/g, '_');
+  return `${normalize(apiName)}_${normalize(methodName)}`;
+}
+
+/**
+ * 将参数数组([{name, type, ...}])转换为以参数名为键的参数定义
+ * @param {Array|Object} parameters - 参数数组或参数对象
+ * @returns {Object} 以参数名为键的参数定义
+ */
+function normalizeParameters(parameters) {
+  if (!Array.isArray(parameters)) {
+    return { ...(parameters || {}) };
+  }
+
+  const result = {};
+  parameters.forEach(param => {
+    if (param && param.name) {
+      const { name, ...definition } = param;
+      result[name] = definition;
+    }
+  });
+  return result;
+}
+
+/**
+ * 拼接baseUrl和方法的endpoint，endpoint为完整URL时直接使用
+ * @param {string} baseUrl - 基础URL
+ * @param {string} endpoint - 方法的相对路径或完整URL
+ * @returns {string} 完整URL
+ */
+function joinUrl(baseUrl, endpoint) {
+  if (!endpoint) {
+    return baseUrl;
+  }
+  if (/^https?:\/\//i.test(endpoint) || !baseUrl) {
+    return endpoint;
+  }
+  return `${baseUrl.replace(/\/+$/, '')}/${endpoint.replace(/^\/+/, '')}`;
+}
+
+/**
+ * 将分组API定义展开为每个方法一个API定义
+ * @param {Object} apiDef - 分组API定义，包含name、baseUrl和methods
+ * @returns {Object[]} API定义对象数组，工具名称为 `<api>_<method>`
+ */
+function expandMethodsApi(apiDef) {
+  if (!apiDef.name) {
+    throw new Error('API定义必须包含名称(name)字段');
+  }
+
+  return apiDef.methods.map(methodDef => {
+    if (!methodDef || !methodDef.name) {
+      throw new Error(`方法定义必须包含名称(name)字段: ${apiDef.name}`);
+    }
+
+    const { name, endpoint, url, parameters, headers, ...rest } = methodDef;
+    return {
+      ...rest,
+      name: toMethodToolName(apiDef.name, name),
+      description: methodDef.description || `${apiDef.name} - ${name}`,
+      url: joinUrl(apiDef.baseUrl, url || endpoint),
+      method: methodDef.method || 'GET',
+      parameters: normalizeParameters(parameters),
+      headers: { ...(apiDef.headers || {}), ...(headers || {}) },
+      timeout: methodDef.timeout || apiDef.timeout
+    };
+  });
+}
+
+module.exports = {
+  isMethodsApi,
+  expandMethodsApi
+};
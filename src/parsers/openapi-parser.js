@@ -0,0 +1,201 @@
+/**
+ * @file openapi-parser.js
+ * @description 解析OpenAPI 3.0/3.1文档，将每个操作(operation)转换为一个API定义
+ */
+
+const { dereference, mergeAllOf, toToolName, schemaToParameter } = require('./spec-utils');
+
+// OpenAPI中可以定义操作的HTTP方法
+const HTTP_METHODS = ['get', 'post', 'put', 'delete', 'patch', 'head', 'options'];
+
+/**
+ * 判断对象是否为OpenAPI 3.x文档
+ * @param {Object} doc - 已解析的JSON或YAML对象
+ * @returns {boolean} 是否为OpenAPI 3.x文档
+ */
+function isOpenApiDocument(doc) {
+  return !!doc && typeof doc === 'object' &&
+    typeof doc.openapi === 'string' && /^3\./.test(doc.openapi);
+}
+
+/**
+ * 根据servers定义计算基础URL，使用变量的默认值替换 {variable}
+ * @param {Array} servers - OpenAPI servers数组
+ * @returns {string} 基础URL，没有定义时返回空字符串
+ */
+function resolveServerUrl(servers) {
+  if (!Array.isArray(servers) || servers.length === 0) {
+    return '';
+  }
+
+  const server = servers[0];
+  const variables = server.variables || {};
+  return (server.url || '').replace(/\{([^}]+)\}/g, (match, name) =>
+    (variables[name] && variables[name].default !== undefined) ? variables[name].default : match);
+}
+
+/**
+ * 拼接基础URL和路径
+ * @param {string} baseUrl - 基础URL
+ * @param {string} apiPath - 接口路径
+ * @returns {string} 完整URL
+ */
+function joinUrl(baseUrl, apiPath) {
+  if (!baseUrl) {
+    return apiPath;
+  }
+  return `${baseUrl.replace(/\/+$/, '')}/${apiPath.replace(/^\/+/, '')}`;
+}
+
+/**
+ * 合并路径级和操作级参数，操作级参数按 name + in 覆盖路径级参数
+ * @param {Array} pathParams - 路径级参数
+ * @param {Array} operationParams - 操作级参数
+ * @returns {Array} 合并后的参数列表
+ */
+function mergeParameters(pathParams = [], operationParams = []) {
+  const merged = new Map();
+  [...pathParams, ...operationParams].forEach(param => {
+    if (param && param.name) {
+      merged.set(`${param.in}:${param.name}`, param);
+    }
+  });
+  return Array.from(merged.values());
+}
+
+/**
+ * 从requestBody中选择要使用的媒体类型，优先使用JSON
+ * @param {Object} content - requestBody.content
+ * @returns {{mediaType: string, schema: Object}|null} 选中的媒体类型及其schema
+ */
+function selectMediaType(content) {
+  if (!content || typeof content !== 'object') {
+    return null;
+  }
+
+  const mediaTypes = Object.keys(content);
+  const mediaType = mediaTypes.find(type => /json/i.test(type)) || mediaTypes[0];
+  if (!mediaType) {
+    return null;
+  }
+
+  return { mediaType, schema: mergeAllOf(content[mediaType].schema || {}) };
+}
+
+/**
+ * 判断请求体中的schema是否表示上传的文件(multipart中format为binary的字符串)
+ * @param {Object} schema - 属性或请求体的schema
+ * @returns {boolean} 是否为文件
+ */
+function isFileSchema(schema) {
+  return !!schema && schema.type === 'string' && (schema.format === 'binary' || schema.format === 'base64');
+}
+
+/**
+ * 将单个OpenAPI操作转换为API定义
+ * @param {string} apiPath - 接口路径
+ * @param {string} method - HTTP方法(小写)
+ * @param {Object} operation - 已展开引用的操作对象
+ * @param {Object} pathItem - 已展开引用的路径对象
+ * @param {string} baseUrl - 基础URL
+ * @returns {Object} API定义对象
+ */
+function operationToApiDefinition(apiPath, method, operation, pathItem, baseUrl) {
+  const name = toToolName(operation.operationId || `${method}_${apiPath}`);
+
+  const apiDef = {
+    name,
+    description: [operation.summary, operation.description].filter(Boolean).join('\n\n') ||
+      `${method.toUpperCase()} ${apiPath}`,
+    url: joinUrl(baseUrl, apiPath),
+    method: method.toUpperCase(),
+    parameters: {},
+    headers: {}
+  };
+
+  // 处理path、query、header和cookie参数
+  mergeParameters(pathItem.parameters, operation.parameters).forEach(param => {
+    apiDef.parameters[param.name] = schemaToParameter(param.schema, {
+      required: param.in === 'path' || !!param.required,
+      description: param.description,
+      in: param.in
+    });
+  });
+
+  // 处理请求体，对象的顶层属性展开为独立的body参数
+  const body = operation.requestBody && selectMediaType(operation.requestBody.content);
+  if (body) {
+    const { mediaType, schema } = body;
+    const bodyRequired = !!operation.requestBody.required;
+
+    if (!/json/i.test(mediaType)) {
+      apiDef.headers['Content-Type'] = mediaType;
+    }
+
+    if (schema.properties) {
+      const requiredProps = Array.isArray(schema.required) ? schema.required : [];
+      Object.entries(schema.properties).forEach(([propName, propSchema]) => {
+        if (apiDef.parameters[propName]) {
+          return;
+        }
+        apiDef.parameters[propName] = schemaToParameter(propSchema, {
+          required: bodyRequired && requiredProps.includes(propName),
+          in: 'body'
+        });
+        // multipart中的文件字段使用本地文件路径上传
+        if (/multipart/i.test(mediaType) && isFileSchema(propSchema)) {
+          apiDef.parameters[propName].type = 'file';
+        }
+      });
+    } else {
+      apiDef.parameters.body = schemaToParameter(schema, {
+        required: bodyRequired,
+        description: operation.requestBody.description || '请求体',
+        in: 'body'
+      });
+      // 二进制请求体使用本地文件作为请求体
+      if (/octet-stream/i.test(mediaType) && isFileSchema(schema)) {
+        apiDef.parameters.body.type = 'file';
+      }
+    }
+  }
+
+  return apiDef;
+}
+
+/**
+ * 将OpenAPI 3.x文档展开为API定义列表，每个操作对应一个API定义
+ * @param {Object} doc - OpenAPI文档对象
+ * @param {Object} [options={}] - 解析选项
+ * @param {string} [options.baseUrl] - 覆盖servers中定义的基础URL
+ * @returns {Object[]} API定义对象数组
+ */
+function parseOpenApiDocument(doc, options = {}) {
+  if (!isOpenApiDocument(doc)) {
+    throw new Error('不是有效的OpenAPI 3.x文档');
+  }
+
+  const baseUrl = resolveServerUrl(doc.servers);
+  const apiDefs = [];
+
+  Object.entries(doc.paths || {}).forEach(([apiPath, rawPathItem]) => {
+    const pathItem = dereference(rawPathItem, doc);
+
+    HTTP_METHODS.forEach(method => {
+      const operation = pathItem[method];
+      if (operation) {
+        // 操作级和路径级servers优先于文档级servers
+        const operationBaseUrl = options.baseUrl ||
+          resolveServerUrl(operation.servers || pathItem.servers) || baseUrl;
+        apiDefs.push(operationToApiDefinition(apiPath, method, operation, pathItem, operationBaseUrl));
+      }
+    });
+  });
+
+  return apiDefs;
+}
+
+module.exports = {
+  isOpenApiDocument,
+  parseOpenApiDocument
+};
@@ -0,0 +1,453 @@
+/**
+ * @file postman-parser.js
+ * @description 解析Postman Collection v2.1导出文件，将每个请求转换为一个API定义
+ */
+
+const { toToolName } = require('./spec-utils');
+const logger = require('../utils/logger');
+
+// 匹配 {{variable}} 占位符
+const VARIABLE_PATTERN = /\{\{\s*([^{}\s]+)\s*\}\}/g;
+
+/**
+ * 判断对象是否为Postman集合
+ * @param {Object} doc - 已解析的JSON对象
+ * @returns {boolean} 是否为Postman集合
+ */
+function isPostmanCollection(doc) {
+  if (!doc || typeof doc !== 'object' || !doc.info || !Array.isArray(doc.item)) {
+    return false;
+  }
+  return /collection/i.test(doc.info.schema || '') || !!doc.info._postman_id;
+}
+
+/**
+ * 将变量列表转换为键值对象，忽略被禁用的变量
+ * 同时支持集合的variable数组、环境导出文件的values数组和普通对象
+ * @param {Array|Object} variables - 变量定义
+ * @returns {Object} 变量名到值的映射
+ */
+function toVariableMap(variables) {
+  if (!variables) {
+    return {};
+  }
+
+  const list = Array.isArray(variables) ? variables : variables.values;
+  if (!Array.isArray(list)) {
+    return { ...variables };
+  }
+
+  return list.reduce((map, variable) => {
+    if (variable && variable.key && !variable.disabled && variable.enabled !== false &&
+        variable.value !== undefined && variable.value !== null && variable.value !== '') {
+      map[variable.key] = String(variable.value);
+    }
+    return map;
+  }, {});
+}
+
+/**
+ * 替换字符串中已知的 {{variable}}，变量值本身也可以引用其他变量
+ * @param {string} value - 原始字符串
+ * @param {Object} variables - 变量映射
+ * @returns {string} 替换后的字符串，未知变量保持原样
+ */
+function resolveVariables(value, variables) {
+  let result = String(value === undefined || value === null ? '' : value);
+  for (let i = 0; i < 5; i++) {
+    const next = result.replace(VARIABLE_PATTERN, (match, name) =>
+      Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : match);
+    if (next === result) {
+      break;
+    }
+    result = next;
+  }
+  return result;
+}
+
+/**
+ * 查找字符串中未解析的变量名
+ * @param {string} value - 已替换过已知变量的字符串
+ * @returns {string[]} 变量名数组
+ */
+function findVariables(value) {
+  return Array.from(String(value).matchAll(VARIABLE_PATTERN), match => match[1]);
+}
+
+/**
+ * 为字符串中每个未解析的变量添加以变量名命名的参数，同一个变量在多处使用时只生成一个参数
+ * 参数的位置为变量第一次出现的位置，请求头、URL和请求体模板中的 {{变量}} 在调用时使用参数值渲染
+ * @param {string} value - 已替换过已知变量的字符串
+ * @param {string} location - 参数位置
+ * @param {Object} apiDef - 正在构建的API定义
+ * @param {string} [type='string'] - 参数类型
+ */
+function addVariableParameters(value, location, apiDef, type = 'string') {
+  findVariables(value).forEach(variable => {
+    if (!apiDef.parameters[variable]) {
+      apiDef.parameters[variable] = {
+        type,
+        required: true,
+        description: `Postman变量 {{${variable}}}`,
+        in: location
+      };
+    }
+  });
+}
+
+/**
+ * 对包含 {{变量}} 的字符串中的固定部分进行URL编码，占位符保持原样
+ * @param {string} value - 原始字符串
+ * @returns {string} 编码后的字符串
+ */
+function encodeTemplate(value) {
+  return String(value).split(/(\{\{\s*[^{}\s]+\s*\}\})/).map(part =>
+    (part.startsWith('{{') ? part : encodeURIComponent(part))).join('');
+}
+
+/**
+ * 将Postman的auth块转换为API定义的auth
+ * 凭据不应由调用方提供，未解析的变量转换为同名环境变量的引用 ${env:变量}，在发送请求时读取
+ * @param {Object} auth - Postman auth对象
+ * @param {Object} variables - 变量映射
+ * @param {Object} apiDef - 正在构建的API定义
+ */
+function applyAuth(auth, variables, apiDef) {
+  if (!auth || auth.type === 'noauth') {
+    return;
+  }
+
+  // v2.1中认证属性是 [{key, value}] 数组，v2.0中是普通对象
+  const raw = auth[auth.type];
+  const attrs = Array.isArray(raw)
+    ? raw.reduce((map, attr) => ({ ...map, [attr.key]: attr.value }), {})
+    : (raw || {});
+  const unresolved = new Set();
+  const resolve = value => resolveVariables(value, variables).replace(VARIABLE_PATTERN, (match, variable) => {
+    unresolved.add(variable);
+    return `\${env:${variable}}`;
+  });
+
+  if (auth.type === 'bearer') {
+    apiDef.auth = { type: 'bearer', token: resolve(attrs.token) };
+  } else if (auth.type === 'basic' || auth.type === 'digest') {
+    apiDef.auth = { type: auth.type, username: resolve(attrs.username), password: resolve(attrs.password) };
+  } else if (auth.type === 'apikey') {
+    apiDef.auth = {
+      type: 'apiKey',
+      in: attrs.in === 'query' ? 'query' : 'header',
+      name: resolve(attrs.key || 'X-API-Key'),
+      value: resolve(attrs.value)
+    };
+  } else {
+    logger.warn(`Postman请求 "${apiDef.name}" 使用了不支持的认证类型 ${auth.type}，已忽略`);
+    return;
+  }
+
+  if (unresolved.size > 0) {
+    logger.warn(`Postman请求 "${apiDef.name}" 的认证包含未解析的变量，发送请求时从同名环境变量读取: ${Array.from(unresolved).join(', ')}`);
+  }
+}
+
+/**
+ * 将字段列表(urlencoded/formdata)转换为body参数
+ * @param {Array} fields - 字段列表
+ * @param {Object} variables - 变量映射
+ * @param {Object} apiDef - 正在构建的API定义
+ */
+function applyFormFields(fields, variables, apiDef) {
+  (fields || []).forEach(field => {
+    if (!field || !field.key || field.disabled) {
+      return;
+    }
+
+    // 文件字段使用本地文件路径上传，Postman中保存的路径不作为默认值
+    if (field.type === 'file') {
+      apiDef.parameters[field.key] = {
+        type: 'file',
+        required: false,
+        description: field.description || '要上传的本地文件路径',
+        in: 'body'
+      };
+      return;
+    }
+
+    const value = resolveVariables(field.value, variables);
+    if (findVariables(value).length > 0) {
+      // 包含变量的字段放到请求体模板中，变量成为模板引用的参数
+      apiDef.bodyTemplate = { ...(apiDef.bodyTemplate || {}), [field.key]: value };
+      addVariableParameters(value, 'body', apiDef);
+    } else {
+      apiDef.parameters[field.key] = {
+        type: 'string',
+        required: false,
+        description: field.description || '',
+        in: 'body',
+        default: value
+      };
+    }
+  });
+}
+
+/**
+ * 推断JSON请求体中变量的类型：字符串中的变量为string，直接作为JSON值的变量为number
+ * @param {string} raw - 已替换过已知变量的请求体
+ * @returns {Object} 变量名到类型的映射，同一变量以第一次出现为准
+ */
+function inferVariableTypes(raw) {
+  const types = {};
+  let inString = false;
+  for (let i = 0; i < raw.length; i++) {
+    const char = raw[i];
+    if (inString && char === '\\') {
+      i++;
+    } else if (char === '"') {
+      inString = !inString;
+    } else if (raw.startsWith('{{', i)) {
+      const match = raw.substring(i).match(/^\{\{\s*([^{}\s]+)\s*\}\}/);
+      if (match) {
+        types[match[1]] = types[match[1]] || (inString ? 'string' : 'number');
+        i += match[0].length - 1;
+      }
+    }
+  }
+  return types;
+}
+
+/**
+ * 将raw请求体转换为参数，JSON对象中固定值的顶层字段展开为带默认值的可选参数
+ * 包含未解析的变量时，原始请求体作为bodyTemplate，变量成为模板引用的同名参数
+ * @param {Object} body - Postman body对象
+ * @param {Object} variables - 变量映射
+ * @param {Object} apiDef - 正在构建的API定义
+ */
+function applyRawBody(body, variables, apiDef) {
+  const raw = resolveVariables(body.raw, variables);
+  if (!raw.trim()) {
+    return;
+  }
+
+  const language = body.options && body.options.raw && body.options.raw.language;
+  if (language && language !== 'json') {
+    apiDef.headers['Content-Type'] = language === 'xml' ? 'application/xml' : 'text/plain';
+  }
+
+  const types = inferVariableTypes(raw);
+  const templated = Object.keys(types).length > 0;
+  if (templated) {
+    apiDef.bodyTemplate = raw;
+    Object.entries(types).forEach(([variable, type]) => {
+      addVariableParameters(`{{${variable}}}`, 'body', apiDef, !language || language === 'json' ? type : 'string');
+    });
+  }
+
+  // 直接作为JSON值的变量替换为字符串，便于解析请求体的结构
+  let json;
+  try {
+    json = JSON.parse(raw.replace(/"(?:[^"\\]|\\.)*"|\{\{\s*[^{}\s]+\s*\}\}/g, match =>
+      (match.startsWith('"') ? match : JSON.stringify(match))));
+  } catch (error) {
+    json = null;
+  }
+
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    if (!templated) {
+      apiDef.parameters.body = { type: json ? 'array' : 'string', required: false, description: '请求体', in: 'body', default: json || raw };
+    }
+    return;
+  }
+
+  // 包含变量的字段由模板渲染，固定值的字段可以在调用时覆盖
+  Object.entries(json).forEach(([key, value]) => {
+    if (findVariables(JSON.stringify(value)).length > 0 || apiDef.parameters[key]) {
+      return;
+    }
+    apiDef.parameters[key] = {
+      type: Array.isArray(value) ? 'array' : (value === null ? 'string' : typeof value),
+      required: false,
+      description: '',
+      in: 'body'
+    };
+    // null不能作为字符串参数的默认值
+    if (value !== null) {
+      apiDef.parameters[key].default = value;
+    }
+  });
+}
+
+/**
+ * 将单个Postman请求转换为API定义
+ * @param {Object} item - Postman请求条目
+ * @param {string} name - 工具名称
+ * @param {Object} variables - 变量映射
+ * @param {Object} inheritedAuth - 从文件夹或集合继承的认证
+ * @param {string} [baseUrl] - 主机部分包含未解析的变量时使用的基础地址
+ * @returns {Object|null} API定义对象，无法确定请求地址时返回null
+ */
+function requestToApiDefinition(item, name, variables, inheritedAuth, baseUrl) {
+  const request = typeof item.request === 'string' ? { url: item.request } : item.request;
+  const url = typeof request.url === 'string' ? { raw: request.url } : (request.url || {});
+
+  const apiDef = {
+    name,
+    description: (typeof request.description === 'string' ? request.description : '') ||
+      item.name || name,
+    url: '',
+    method: (request.method || 'GET').toUpperCase(),
+    parameters: {},
+    headers: {}
+  };
+
+  // 路径变量 :id 的示例值
+  const pathExamples = (url.variable || []).reduce((map, variable) =>
+    ({ ...map, [variable.key]: variable.value }), {});
+
+  const [rawBase] = resolveVariables(url.raw || '', variables).split('?');
+  const baseMatch = rawBase.match(/^([a-z][a-z0-9+.-]*:\/\/)?([^/]*)(.*)$/i);
+  let origin;
+  if (baseMatch[2] && findVariables(baseMatch[2]).length === 0) {
+    // 与Postman一致，未指定协议时使用http
+    origin = `${baseMatch[1] || 'http://'}${baseMatch[2]}`;
+  } else if (baseUrl) {
+    // 常见的 {{baseUrl}}/path 写法：协议和主机部分由配置的基础地址代替
+    origin = baseUrl.replace(/\/+$/, '');
+  } else {
+    return null;
+  }
+
+  // 路径中未解析的 {{var}} 和 :var 都转换为 {var} 路径参数
+  const pathPart = baseMatch[3]
+    .replace(VARIABLE_PATTERN, (match, variable) => {
+      addVariableParameters(match, 'path', apiDef);
+      return `{${variable}}`;
+    })
+    .replace(/(^|\/):([A-Za-z_][\w-]*)/g, (match, prefix, variable) => {
+      const example = pathExamples[variable];
+      apiDef.parameters[variable] = {
+        type: 'string',
+        required: true,
+        description: example ? `路径参数，示例: ${example}` : '路径参数',
+        in: 'path'
+      };
+      return `${prefix}{${variable}}`;
+    });
+
+  // 查询参数保留在URL中，未解析的变量作为 {{变量}} 占位符，调用时使用同名参数渲染
+  const queryParts = [];
+  const query = url.query || parseRawQuery(url.raw);
+  query.forEach(param => {
+    if (!param || !param.key || param.disabled) {
+      return;
+    }
+    const value = resolveVariables(param.value, variables);
+    addVariableParameters(value, 'query', apiDef);
+    queryParts.push(`${encodeURIComponent(param.key)}=${encodeTemplate(value)}`);
+  });
+
+  (request.header || []).forEach(header => {
+    if (!header || !header.key || header.disabled) {
+      return;
+    }
+    const value = resolveVariables(header.value, variables);
+    addVariableParameters(value, 'header', apiDef);
+    apiDef.headers[header.key] = value;
+  });
+
+  applyAuth(request.auth || inheritedAuth, variables, apiDef);
+
+  const body = request.body;
+  if (body && !body.disabled) {
+    if (body.mode === 'raw') {
+      applyRawBody(body, variables, apiDef);
+    } else if (body.mode === 'urlencoded') {
+      apiDef.headers['Content-Type'] = 'application/x-www-form-urlencoded';
+      applyFormFields(body.urlencoded, variables, apiDef);
+    } else if (body.mode === 'formdata') {
+      apiDef.headers['Content-Type'] = 'multipart/form-data';
+      applyFormFields(body.formdata, variables, apiDef);
+    }
+  }
+
+  apiDef.url = `${origin}${pathPart}${queryParts.length > 0 ? `?${queryParts.join('&')}` : ''}`;
+  return apiDef;
+}
+
+/**
+ * 从raw URL中解析查询参数
+ * @param {string} raw - 原始URL
+ * @returns {Array<{key: string, value: string}>} 查询参数列表
+ */
+function parseRawQuery(raw) {
+  const queryString = String(raw || '').split('?')[1];
+  if (!queryString) {
+    return [];
+  }
+  return queryString.split('&').filter(Boolean).map(part => {
+    const [key, ...rest] = part.split('=');
+    return { key, value: rest.join('=') };
+  });
+}
+
+/**
+ * 将Postman集合展开为API定义列表，每个请求对应一个API定义
+ * 文件夹名称作为工具名称前缀，未解析的变量转换为工具参数
+ * @param {Object} collection - Postman集合对象
+ * @param {Object} [options={}] - 解析选项
+ * @param {Array|Object} [options.environment] - Postman环境导出内容或变量映射，优先于集合变量
+ * @param {string} [options.baseUrl] - 基础地址，用于主机部分包含未解析变量(如 {{baseUrl}})的请求
+ * @returns {Object[]} API定义对象数组
+ */
+function parsePostmanCollection(collection, options = {}) {
+  if (!isPostmanCollection(collection)) {
+    throw new Error('不是有效的Postman集合');
+  }
+
+  const apiDefs = [];
+  const usedNames = new Set();
+
+  const walk = (items, prefixes, variables, auth) => {
+    (items || []).forEach(item => {
+      if (!item) {
+        return;
+      }
+
+      const scopedVariables = { ...variables, ...toVariableMap(item.variable) };
+
+      // 文件夹：递归处理，名称作为前缀
+      if (Array.isArray(item.item)) {
+        walk(item.item, [...prefixes, item.name], scopedVariables, item.auth || auth);
+        return;
+      }
+
+      if (!item.request) {
+        return;
+      }
+
+      let name = toToolName([...prefixes, item.name].filter(Boolean).join('_')) || 'request';
+      for (let i = 2; usedNames.has(name); i++) {
+        name = `${toToolName([...prefixes, item.name].filter(Boolean).join('_'))}_${i}`;
+      }
+
+      const apiDef = requestToApiDefinition(item, name, scopedVariables, auth, options.baseUrl);
+      if (apiDef) {
+        usedNames.add(name);
+        apiDefs.push(apiDef);
+      } else {
+        logger.warn(`跳过Postman请求 "${item.name}": 请求地址的主机部分包含未解析的变量，请通过环境文件或baseUrl指定`);
+      }
+    });
+  };
+
+  const variables = {
+    ...toVariableMap(collection.variable),
+    ...toVariableMap(options.environment)
+  };
+  walk(collection.item, [], variables, collection.auth);
+
+  return apiDefs;
+}
+
+module.exports = {
+  isPostmanCollection,
+  parsePostmanCollection
+};
@@ -0,0 +1,222 @@
+/**
+ * @file spec-utils.js
+ * @description API规范文档(OpenAPI/Swagger等)解析的公共辅助函数
+ */
+
+const { STRING_FORMATS } = require('../utils/zod-schema');
+
+/**
+ * 解析文档内的本地$ref引用，例如 #/components/schemas/Pet
+ * @param {Object} doc - 完整的规范文档
+ * @param {string} ref - 引用字符串
+ * @returns {*} 引用指向的节点
+ * @throws {Error} 如果引用不是本地引用或无法解析
+ */
+function resolveLocalRef(doc, ref) {
+  if (typeof ref !== 'string' || !ref.startsWith('#')) {
+    throw new Error(`仅支持文档内的本地引用: ${ref}`);
+  }
+
+  // 按JSON Pointer规则逐级查找，~1表示/，~0表示~
+  const segments = ref.substring(1).split('/').filter(Boolean)
+    .map(segment => decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~'));
+
+  return segments.reduce((node, segment) => {
+    if (node === undefined || node === null || !(segment in node)) {
+      throw new Error(`无法解析引用: ${ref}`);
+    }
+    return node[segment];
+  }, doc);
+}
+
+/**
+ * 递归展开节点中的所有本地$ref引用
+ * @param {*} node - 要展开的节点
+ * @param {Object} doc - 完整的规范文档
+ * @param {string[]} [stack=[]] - 当前展开路径上的引用，用于检测循环引用
+ * @returns {*} 展开后的节点副本
+ */
+function dereference(node, doc, stack = []) {
+  if (Array.isArray(node)) {
+    return node.map(item => dereference(item, doc, stack));
+  }
+
+  if (!node || typeof node !== 'object') {
+    return node;
+  }
+
+  if (typeof node.$ref === 'string') {
+    // 循环引用时停止展开，以宽松的对象类型代替
+    if (stack.includes(node.$ref)) {
+      return { type: 'object', description: `循环引用: ${node.$ref}` };
+    }
+    const target = resolveLocalRef(doc, node.$ref);
+    return dereference(target, doc, [...stack, node.$ref]);
+  }
+
+  const result = {};
+  Object.entries(node).forEach(([key, value]) => {
+    result[key] = dereference(value, doc, stack);
+  });
+  return result;
+}
+
+/**
+ * 合并schema中的allOf成员，得到包含全部properties和required的单一schema
+ * @param {Object} [schema={}] - 已展开引用的JSON Schema
+ * @returns {Object} 合并后的schema
+ */
+function mergeAllOf(schema = {}) {
+  if (!Array.isArray(schema.allOf)) {
+    return schema;
+  }
+
+  const { allOf, ...rest } = schema;
+  return allOf.map(mergeAllOf).reduce((merged, part) => ({
+    ...part,
+    ...merged,
+    properties: { ...(part.properties || {}), ...(merged.properties || {}) },
+    required: [...(merged.required || []), ...(part.required || [])]
+  }), { type: 'object', ...rest });
+}
+
+/**
+ * 将任意字符串转换为合法的MCP工具名称
+ * @param {string} value - 原始名称
+ * @returns {string} 只包含字母、数字、下划线和连字符的名称
+ */
+function toToolName(value) {
+  return String(value)
+    .replace(/[{}]/g, '')
+    .replace(/[^A-Za-z0-9_-]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .substring(0, 64);
+}
+
+/**
+ * 将JSON Schema类型映射为API定义支持的参数类型
+ * @param {Object} [schema={}] - JSON Schema
+ * @returns {string} string、number、boolean、object或array
+ */
+function schemaToParamType(schema = {}) {
+  // OpenAPI 3.1允许type为数组，例如 ["string", "null"]
+  const type = Array.isArray(schema.type)
+    ? schema.type.find(item => item !== 'null')
+    : schema.type;
+
+  switch (type) {
+    case 'integer':
+    case 'number':
+      return 'number';
+    case 'boolean':
+      return 'boolean';
+    case 'array':
+      return 'array';
+    case 'object':
+      return 'object';
+    case 'string':
+      return 'string';
+    default:
+      return schema.properties ? 'object' : 'string';
+  }
+}
+
+const isNonNegativeInteger = value => Number.isInteger(value) && value >= 0;
+
+/**
+ * 判断pattern能否作为JavaScript正则表达式使用
+ * @param {*} value - pattern
+ * @returns {boolean} 是否有效
+ */
+function isValidPattern(value) {
+  try {
+    new RegExp(value);
+    return typeof value === 'string';
+  } catch (error) {
+    return false;
+  }
+}
+
+// 可以从JSON Schema复制到参数定义的约束，以参数类型为键
+const SCHEMA_CONSTRAINTS = {
+  string: {
+    minLength: isNonNegativeInteger,
+    maxLength: isNonNegativeInteger,
+    pattern: isValidPattern,
+    format: value => STRING_FORMATS.includes(value)
+  },
+  number: {
+    minimum: value => typeof value === 'number',
+    maximum: value => typeof value === 'number'
+  },
+  array: {
+    minItems: isNonNegativeInteger,
+    maxItems: isNonNegativeInteger
+  }
+};
+
+/**
+ * 将JSON Schema转换为API定义中的参数定义
+ * @param {Object} schema - 已展开引用的JSON Schema
+ * @param {Object} [options={}] - 附加字段
+ * @param {boolean} [options.required=false] - 是否必填
+ * @param {string} [options.description] - 参数描述
+ * @param {string} [options.in] - 参数位置(path、query、header、cookie、body)
+ * @returns {Object} 参数定义
+ */
+function schemaToParameter(schema = {}, options = {}) {
+  const param = {
+    type: schemaToParamType(schema),
+    required: !!options.required,
+    description: options.description || schema.description || schema.title || ''
+  };
+
+  if (options.in) {
+    param.in = options.in;
+  }
+
+  // 只保留与参数类型一致的约束，避免文档中不规范的写法导致整个操作无法注册
+  const sameType = value => (param.type === 'string' ? typeof value === 'string' || typeof value === 'number'
+    : typeof value === param.type);
+
+  if (Array.isArray(schema.enum) && ['string', 'number', 'boolean'].includes(param.type)) {
+    const values = schema.enum.filter(value => value !== null && sameType(value));
+    if (values.length > 0) {
+      param.enum = values;
+    }
+  }
+
+  Object.entries(SCHEMA_CONSTRAINTS[param.type] || {}).forEach(([key, check]) => {
+    if (schema[key] !== undefined && check(schema[key])) {
+      param[key] = schema[key];
+    }
+  });
+
+  if (param.type === 'array' && schema.items && typeof schema.items === 'object') {
+    param.items = schemaToParameter(mergeAllOf(schema.items), { required: true });
+  }
+
+  if (param.type === 'object' && schema.properties && typeof schema.properties === 'object') {
+    const required = Array.isArray(schema.required) ? schema.required : [];
+    param.properties = {};
+    Object.entries(schema.properties).forEach(([name, property]) => {
+      param.properties[name] = schemaToParameter(mergeAllOf(property || {}), { required: required.includes(name) });
+    });
+  }
+
+  if (schema.default !== undefined && schema.default !== null &&
+    (['array', 'object'].includes(param.type) || sameType(schema.default))) {
+    param.default = param.type === 'string' ? String(schema.default) : schema.default;
+  }
+
+  return param;
+}
+
+module.exports = {
+  resolveLocalRef,
+  dereference,
+  mergeAllOf,
+  toToolName,
+  schemaToParamType,
+  schemaToParameter
+};
@@ -0,0 +1,226 @@
+/**
+ * @file swagger-parser.js
+ * @description 解析Swagger 2.0文档，将每个操作(operation)转换为一个API定义
+ */
+
+const { dereference, mergeAllOf, toToolName, schemaToParameter } = require('./spec-utils');
+
+// Swagger中可以定义操作的HTTP方法
+const HTTP_METHODS = ['get', 'post', 'put', 'delete', 'patch', 'head', 'options'];
+
+/**
+ * 判断对象是否为Swagger 2.0文档
+ * @param {Object} doc - 已解析的JSON或YAML对象
+ * @returns {boolean} 是否为Swagger 2.0文档
+ */
+function isSwaggerDocument(doc) {
+  return !!doc && typeof doc === 'object' && String(doc.swagger) === '2.0';
+}
+
+/**
+ * 根据schemes、host和basePath计算基础URL
+ * @param {Object} doc - Swagger文档对象
+ * @returns {string} 基础URL，未定义host时只返回basePath
+ */
+function resolveBaseUrl(doc) {
+  const basePath = (doc.basePath || '').replace(/\/+$/, '');
+  if (!doc.host) {
+    return basePath;
+  }
+
+  const schemes = Array.isArray(doc.schemes) ? doc.schemes : [];
+  const scheme = schemes.includes('https') ? 'https' : (schemes[0] || 'https');
+  return `${scheme}://${doc.host}${basePath}`;
+}
+
+/**
+ * 将securityDefinitions中的认证方式转换为请求参数
+ * @param {Object} securityDefinitions - 认证方式定义
+ * @param {Array} security - 操作或文档的security要求
+ * @returns {Object} 以参数名为键的参数定义
+ */
+function securityToParameters(securityDefinitions = {}, security = []) {
+  const parameters = {};
+
+  // security数组中的各项互为备选，使用第一项
+  const requirement = Array.isArray(security) && security.length > 0 ? security[0] : {};
+
+  Object.keys(requirement || {}).forEach(schemeName => {
+    const scheme = securityDefinitions[schemeName];
+    if (!scheme) {
+      return;
+    }
+
+    if (scheme.type === 'apiKey' && scheme.name) {
+      parameters[scheme.name] = {
+        type: 'string',
+        required: false,
+        description: scheme.description || `API密钥(${schemeName})`,
+        in: scheme.in === 'query' ? 'query' : 'header'
+      };
+    } else if (scheme.type === 'basic') {
+      parameters.Authorization = {
+        type: 'string',
+        required: false,
+        description: scheme.description || 'Basic认证凭据，格式: Basic base64(用户名:密码)',
+        in: 'header'
+      };
+    } else if (scheme.type === 'oauth2') {
+      parameters.Authorization = {
+        type: 'string',
+        required: false,
+        description: scheme.description || 'OAuth2访问令牌，格式: Bearer <token>',
+        in: 'header'
+      };
+    }
+  });
+
+  return parameters;
+}
+
+/**
+ * 选择请求的Content-Type，表单参数优先使用表单类型
+ * @param {string[]} consumes - 操作支持的媒体类型
+ * @param {boolean} hasFormData - 是否包含formData参数
+ * @param {boolean} hasFile - 是否包含文件参数
+ * @returns {string|null} Content-Type，使用默认JSON时返回null
+ */
+function selectContentType(consumes = [], hasFormData, hasFile) {
+  if (hasFormData) {
+    if (hasFile || consumes.includes('multipart/form-data')) {
+      return 'multipart/form-data';
+    }
+    return 'application/x-www-form-urlencoded';
+  }
+
+  if (consumes.length === 0 || consumes.some(type => /json/i.test(type))) {
+    return null;
+  }
+  return consumes[0];
+}
+
+/**
+ * 将单个Swagger操作转换为API定义
+ * @param {string} apiPath - 接口路径
+ * @param {string} method - HTTP方法(小写)
+ * @param {Object} operation - 已展开引用的操作对象
+ * @param {Object} pathItem - 已展开引用的路径对象
+ * @param {Object} doc - Swagger文档对象
+ * @param {string} baseUrl - 基础URL
+ * @returns {Object} API定义对象
+ */
+function operationToApiDefinition(apiPath, method, operation, pathItem, doc, baseUrl) {
+  const apiDef = {
+    name: toToolName(operation.operationId || `${method}_${apiPath}`),
+    description: [operation.summary, operation.description].filter(Boolean).join('\n\n') ||
+      `${method.toUpperCase()} ${apiPath}`,
+    url: `${baseUrl}/${apiPath.replace(/^\/+/, '')}`,
+    method: method.toUpperCase(),
+    parameters: {},
+    headers: {}
+  };
+
+  // 操作级参数按 name + in 覆盖路径级参数
+  const merged = new Map();
+  [...(pathItem.parameters || []), ...(operation.parameters || [])].forEach(param => {
+    if (param && param.name) {
+      merged.set(`${param.in}:${param.name}`, param);
+    }
+  });
+
+  let hasFormData = false;
+  let hasFile = false;
+
+  merged.forEach(param => {
+    if (param.in === 'body') {
+      const schema = mergeAllOf(param.schema || {});
+      if (schema.properties) {
+        const requiredProps = Array.isArray(schema.required) ? schema.required : [];
+        Object.entries(schema.properties).forEach(([propName, propSchema]) => {
+          if (!apiDef.parameters[propName]) {
+            apiDef.parameters[propName] = schemaToParameter(propSchema, {
+              required: !!param.required && requiredProps.includes(propName),
+              in: 'body'
+            });
+          }
+        });
+      } else {
+        apiDef.parameters.body = schemaToParameter(schema, {
+          required: !!param.required,
+          description: param.description || '请求体',
+          in: 'body'
+        });
+      }
+      return;
+    }
+
+    if (param.in === 'formData') {
+      hasFormData = true;
+      hasFile = hasFile || param.type === 'file';
+      apiDef.parameters[param.name] = schemaToParameter(param.type === 'file' ? { type: 'string' } : param, {
+        required: !!param.required,
+        description: param.description || (param.type === 'file' ? '要上传的本地文件路径' : ''),
+        in: 'body'
+      });
+      if (param.type === 'file') {
+        apiDef.parameters[param.name].type = 'file';
+      }
+      return;
+    }
+
+    // path、query和header参数的类型直接定义在参数对象上
+    apiDef.parameters[param.name] = schemaToParameter(param, {
+      required: param.in === 'path' || !!param.required,
+      description: param.description,
+      in: param.in
+    });
+  });
+
+  const contentType = selectContentType(operation.consumes || doc.consumes, hasFormData, hasFile);
+  if (contentType) {
+    apiDef.headers['Content-Type'] = contentType;
+  }
+
+  // 认证方式转换为可选的header或query参数，不覆盖同名的显式参数
+  const security = operation.security || doc.security;
+  Object.entries(securityToParameters(doc.securityDefinitions, security)).forEach(([name, param]) => {
+    if (!apiDef.parameters[name]) {
+      apiDef.parameters[name] = param;
+    }
+  });
+
+  return apiDef;
+}
+
+/**
+ * 将Swagger 2.0文档展开为API定义列表，每个操作对应一个API定义
+ * @param {Object} doc - Swagger文档对象
+ * @param {Object} [options={}] - 解析选项
+ * @param {string} [options.baseUrl] - 覆盖host和basePath计算出的基础URL
+ * @returns {Object[]} API定义对象数组
+ */
+function parseSwaggerDocument(doc, options = {}) {
+  if (!isSwaggerDocument(doc)) {
+    throw new Error('不是有效的Swagger 2.0文档');
+  }
+
+  const baseUrl = (options.baseUrl || resolveBaseUrl(doc)).replace(/\/+$/, '');
+  const apiDefs = [];
+
+  Object.entries(doc.paths || {}).forEach(([apiPath, rawPathItem]) => {
+    const pathItem = dereference(rawPathItem, doc);
+
+    HTTP_METHODS.forEach(method => {
+      if (pathItem[method]) {
+        apiDefs.push(operationToApiDefinition(apiPath, method, pathItem[method], pathItem, doc, baseUrl));
+      }
+    });
+  });
+
+  return apiDefs;
+}
+
+module.exports = {
+  isSwaggerDocument,
+  parseSwaggerDocument
+};
@@ -0,0 +1,408 @@
+/**
+ * @file wsdl-parser.js
+ * @description 解析本地WSDL 1.1文件(及其导入的XSD)，将每个SOAP操作转换为一个API定义
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { XMLParser } = require('fast-xml-parser');
+const { toToolName } = require('./spec-utils');
+
+// SOAP绑定的命名空间
+const SOAP11_NS = 'http://schemas.xmlsoap.org/wsdl/soap/';
+const SOAP12_NS = 'http://schemas.xmlsoap.org/wsdl/soap12/';
+
+// XSD内置类型到参数类型的映射
+const NUMBER_TYPES = ['int', 'integer', 'long', 'short', 'byte', 'decimal', 'float', 'double',
+  'unsignedInt', 'unsignedLong', 'unsignedShort', 'unsignedByte', 'positiveInteger',
+  'negativeInteger', 'nonNegativeInteger', 'nonPositiveInteger'];
+
+// 复杂类型最大展开深度
+const MAX_TYPE_DEPTH = 6;
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  parseTagValue: false,
+  isArray: (name, jpath, isLeafNode, isAttribute) => !isAttribute
+});
+
+/**
+ * 去掉限定名(QName)的前缀
+ * @param {string} name - 限定名，例如 tns:GetWeather
+ * @returns {string} 本地名，例如 GetWeather
+ */
+function localName(name) {
+  const value = String(name || '');
+  return value.includes(':') ? value.substring(value.indexOf(':') + 1) : value;
+}
+
+/**
+ * 获取节点中指定本地名的所有子元素(忽略命名空间前缀)
+ * @param {Object} node - XML节点
+ * @param {string} name - 子元素本地名
+ * @returns {Object[]} 子元素数组
+ */
+function children(node, name) {
+  if (!node || typeof node !== 'object') {
+    return [];
+  }
+  return Object.keys(node)
+    .filter(key => !key.startsWith('@_') && localName(key) === name)
+    .reduce((list, key) => list.concat(node[key]), []);
+}
+
+/**
+ * 获取节点中指定本地名的第一个子元素
+ * @param {Object} node - XML节点
+ * @param {string} name - 子元素本地名
+ * @returns {Object|undefined} 子元素
+ */
+function child(node, name) {
+  return children(node, name)[0];
+}
+
+/**
+ * 收集节点上声明的命名空间前缀
+ * @param {Object} node - XML节点
+ * @param {Object} [inherited={}] - 上级节点声明的前缀
+ * @returns {Object} 前缀到命名空间的映射
+ */
+function namespacesOf(node, inherited = {}) {
+  const namespaces = { ...inherited };
+  Object.keys(node || {}).forEach(key => {
+    if (key.startsWith('@_xmlns:')) {
+      namespaces[key.substring('@_xmlns:'.length)] = node[key];
+    }
+  });
+  return namespaces;
+}
+
+/**
+ * 获取子元素键名对应的命名空间
+ * @param {Object} node - 父节点
+ * @param {string} name - 子元素本地名
+ * @param {Object} namespaces - 前缀映射
+ * @returns {string|undefined} 命名空间URI
+ */
+function childNamespace(node, name, namespaces) {
+  const key = Object.keys(node || {}).find(item => !item.startsWith('@_') && localName(item) === name);
+  if (!key || !key.includes(':')) {
+    return undefined;
+  }
+  return namespaces[key.substring(0, key.indexOf(':'))];
+}
+
+/**
+ * 读取WSDL文件以及其导入的WSDL和XSD，收集schema、消息、端口类型、绑定和服务
+ * @param {string} filePath - WSDL或XSD文件路径
+ * @param {Object} context - 收集结果
+ * @param {Set<string>} visited - 已读取的文件，防止循环导入
+ */
+function collect(filePath, context, visited) {
+  const absolutePath = path.resolve(filePath);
+  if (visited.has(absolutePath)) {
+    return;
+  }
+  visited.add(absolutePath);
+
+  const doc = xmlParser.parse(fs.readFileSync(absolutePath, 'utf8'));
+  const baseDir = path.dirname(absolutePath);
+
+  const collectSchema = (schema) => {
+    context.schemas.push(schema);
+    [...children(schema, 'import'), ...children(schema, 'include')].forEach(item => {
+      const location = item['@_schemaLocation'];
+      if (location && !/^https?:/i.test(location)) {
+        collect(path.resolve(baseDir, location), context, visited);
+      }
+    });
+  };
+
+  // 单独的XSD文件
+  children(doc, 'schema').forEach(collectSchema);
+
+  children(doc, 'definitions').forEach(definitions => {
+    const namespaces = namespacesOf(definitions);
+    context.targetNamespace = context.targetNamespace || definitions['@_targetNamespace'];
+
+    children(definitions, 'import').forEach(item => {
+      const location = item['@_location'];
+      if (location && !/^https?:/i.test(location)) {
+        collect(path.resolve(baseDir, location), context, visited);
+      }
+    });
+
+    children(definitions, 'types').forEach(types => children(types, 'schema').forEach(collectSchema));
+    children(definitions, 'message').forEach(message => {
+      context.messages[message['@_name']] = message;
+    });
+    children(definitions, 'portType').forEach(portType => {
+      context.portTypes[portType['@_name']] = portType;
+    });
+    children(definitions, 'binding').forEach(binding => {
+      context.bindings[binding['@_name']] = { binding, namespaces: namespacesOf(binding, namespaces) };
+    });
+    children(definitions, 'service').forEach(service => {
+      context.services.push({ service, namespaces: namespacesOf(service, namespaces) });
+    });
+  });
+}
+
+/**
+ * 在所有schema中查找顶层定义
+ * @param {Object} context - 收集结果
+ * @param {string} kind - element、complexType或simpleType
+ * @param {string} name - 限定名或本地名
+ * @returns {{node: Object, schema: Object}|null} 定义节点及其所在的schema
+ */
+function findDefinition(context, kind, name) {
+  const target = localName(name);
+  for (const schema of context.schemas) {
+    const node = children(schema, kind).find(item => item['@_name'] === target);
+    if (node) {
+      return { node, schema };
+    }
+  }
+  return null;
+}
+
+/**
+ * 将XSD类型转换为参数定义
+ * @param {Object} context - 收集结果
+ * @param {string} typeName - 类型限定名
+ * @param {Object} [inlineType] - 内联的complexType或simpleType节点
+ * @param {number} depth - 当前展开深度
+ * @returns {Object} 参数定义(不含required)
+ */
+function typeToParameter(context, typeName, inlineType, depth) {
+  const name = localName(typeName);
+
+  if (!inlineType && name) {
+    if (NUMBER_TYPES.includes(name)) {
+      return { type: 'number' };
+    }
+    if (name === 'boolean') {
+      return { type: 'boolean' };
+    }
+  }
+
+  const simpleType = inlineType && inlineType.simple
+    ? inlineType.node
+    : (name && findDefinition(context, 'simpleType', name) || {}).node;
+  if (simpleType) {
+    const restriction = child(simpleType, 'restriction') || {};
+    const values = children(restriction, 'enumeration').map(item => item['@_value']);
+    const base = typeToParameter(context, restriction['@_base'], null, depth);
+    return values.length > 0 ? { type: 'string', enum: values } : base;
+  }
+
+  const complexType = inlineType && !inlineType.simple
+    ? inlineType.node
+    : (name && findDefinition(context, 'complexType', name) || {}).node;
+  if (complexType) {
+    if (depth >= MAX_TYPE_DEPTH) {
+      return { type: 'object' };
+    }
+    return { type: 'object', properties: complexTypeToProperties(context, complexType, depth + 1) };
+  }
+
+  return { type: 'string' };
+}
+
+/**
+ * 获取元素的参数定义
+ * @param {Object} context - 收集结果
+ * @param {Object} element - xsd:element节点
+ * @param {number} depth - 当前展开深度
+ * @returns {{name: string, param: Object}} 元素名称和参数定义
+ */
+function elementToParameter(context, element, depth) {
+  let node = element;
+  if (element['@_ref']) {
+    const ref = findDefinition(context, 'element', element['@_ref']);
+    node = ref ? { ...ref.node, ...element } : element;
+  }
+
+  const inlineComplex = child(node, 'complexType');
+  const inlineSimple = child(node, 'simpleType');
+  const inline = inlineComplex
+    ? { node: inlineComplex }
+    : (inlineSimple ? { node: inlineSimple, simple: true } : null);
+
+  let param = typeToParameter(context, node['@_type'], inline, depth);
+  const maxOccurs = node['@_maxOccurs'];
+  if (maxOccurs === 'unbounded' || Number(maxOccurs) > 1) {
+    param = { type: 'array', items: param };
+  }
+
+  const documentation = child(child(node, 'annotation'), 'documentation');
+  return {
+    name: node['@_name'] || localName(node['@_ref']),
+    param: {
+      ...param,
+      required: node['@_minOccurs'] !== '0' && node['@_nillable'] !== 'true',
+      description: typeof documentation === 'string' ? documentation.trim() : ''
+    }
+  };
+}
+
+/**
+ * 将complexType的sequence/all/choice子元素转换为参数定义
+ * @param {Object} context - 收集结果
+ * @param {Object} complexType - complexType节点
+ * @param {number} depth - 当前展开深度
+ * @returns {Object} 以元素名为键的参数定义
+ */
+function complexTypeToProperties(context, complexType, depth) {
+  const properties = {};
+
+  // complexContent/extension 先合并基类型的元素
+  const extension = child(child(complexType, 'complexContent'), 'extension');
+  if (extension) {
+    const base = findDefinition(context, 'complexType', extension['@_base']);
+    if (base && depth < MAX_TYPE_DEPTH) {
+      Object.assign(properties, complexTypeToProperties(context, base.node, depth + 1));
+    }
+  }
+
+  const container = extension || complexType;
+  ['sequence', 'all', 'choice'].forEach(group => {
+    children(container, group).forEach(groupNode => {
+      children(groupNode, 'element').forEach(element => {
+        const { name, param } = elementToParameter(context, element, depth);
+        if (name) {
+          // choice中的元素只能出现一个，均为可选
+          properties[name] = group === 'choice' ? { ...param, required: false } : param;
+        }
+      });
+    });
+  });
+
+  return properties;
+}
+
+/**
+ * 将WSDL文件展开为API定义列表，每个SOAP操作对应一个API定义
+ * @param {string} filePath - WSDL文件路径
+ * @param {Object} [options={}] - 解析选项
+ * @param {string} [options.endpoint] - 覆盖soap:address中的服务地址
+ * @param {string} [options.soapVersion] - 优先使用的SOAP版本(1.1或1.2)，默认1.1
+ * @returns {Object[]} API定义对象数组
+ */
+function parseWsdlFile(filePath, options = {}) {
+  const context = {
+    targetNamespace: null,
+    schemas: [],
+    messages: {},
+    portTypes: {},
+    bindings: {},
+    services: []
+  };
+  collect(filePath, context, new Set());
+
+  // 找出所有SOAP端口，按偏好的SOAP版本排序
+  const preferred = options.soapVersion === '1.2' ? '1.2' : '1.1';
+  const ports = [];
+  context.services.forEach(({ service, namespaces }) => {
+    children(service, 'port').forEach(port => {
+      const bindingEntry = context.bindings[localName(port['@_binding'])];
+      if (!bindingEntry) {
+        return;
+      }
+      const soapNs = childNamespace(bindingEntry.binding, 'binding', bindingEntry.namespaces);
+      if (soapNs !== SOAP11_NS && soapNs !== SOAP12_NS) {
+        return;
+      }
+      const address = child(port, 'address');
+      ports.push({
+        port,
+        bindingEntry,
+        version: soapNs === SOAP12_NS ? '1.2' : '1.1',
+        location: address && address['@_location']
+      });
+    });
+  });
+  ports.sort((a, b) => (a.version === preferred ? 0 : 1) - (b.version === preferred ? 0 : 1));
+
+  const apiDefs = [];
+  const usedNames = new Set();
+
+  ports.forEach(({ bindingEntry, version, location }) => {
+    const { binding } = bindingEntry;
+    const bindingStyle = (child(binding, 'binding') || {})['@_style'] || 'document';
+    const portType = context.portTypes[localName(binding['@_type'])];
+    if (!portType) {
+      return;
+    }
+
+    children(binding, 'operation').forEach(bindingOperation => {
+      const operationName = bindingOperation['@_name'];
+      const name = toToolName(operationName);
+      if (usedNames.has(name)) {
+        return;
+      }
+
+      const operation = children(portType, 'operation').find(item => item['@_name'] === operationName);
+      if (!operation) {
+        return;
+      }
+
+      const soapOperation = child(bindingOperation, 'operation') || {};
+      const style = soapOperation['@_style'] || bindingStyle;
+      const soapBody = child(child(bindingOperation, 'input'), 'body') || {};
+      const input = child(operation, 'input') || {};
+      const message = context.messages[localName(input['@_message'])] || {};
+      const parameters = {};
+      const soap = {
+        version,
+        action: soapOperation['@_soapAction'] || '',
+        style,
+        operation: operationName
+      };
+
+      const parts = children(message, 'part');
+      if (style === 'rpc') {
+        // rpc风格：操作名作为包装元素，每个part作为子元素
+        soap.namespace = soapBody['@_namespace'] || context.targetNamespace;
+        parts.forEach(part => {
+          parameters[part['@_name']] = {
+            ...typeToParameter(context, part['@_type'], null, 0),
+            required: true,
+            description: ''
+          };
+        });
+      } else if (parts.length > 0 && parts[0]['@_element']) {
+        // document/literal风格：part引用的元素作为请求体根元素，其子元素作为参数
+        const found = findDefinition(context, 'element', parts[0]['@_element']);
+        soap.element = localName(parts[0]['@_element']);
+        soap.namespace = found ? found.schema['@_targetNamespace'] : context.targetNamespace;
+        soap.qualified = !!found && found.schema['@_elementFormDefault'] === 'qualified';
+        if (found) {
+          const { param } = elementToParameter(context, found.node, 0);
+          Object.assign(parameters, param.properties || {});
+        }
+      }
+
+      const documentation = child(operation, 'documentation');
+      usedNames.add(name);
+      apiDefs.push({
+        name,
+        type: 'soap',
+        description: (typeof documentation === 'string' && documentation.trim()) ||
+          `SOAP操作: ${operationName}`,
+        url: options.endpoint || location,
+        method: 'POST',
+        parameters,
+        headers: {},
+        soap
+      });
+    });
+  });
+
+  return apiDefs;
+}
+
+module.exports = {
+  parseWsdlFile
+};
@@ -0,0 +1,255 @@
+/**
+ * @file graphql.js
+ * @description GraphQL API支持：根据schema文件将Query/Mutation字段展开为工具，并构建GraphQL请求
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const {
+  buildSchema,
+  buildClientSchema,
+  getNamedType,
+  isEnumType,
+  isInputObjectType,
+  isInterfaceType,
+  isLeafType,
+  isListType,
+  isNonNullType,
+  isObjectType,
+  isUnionType
+} = require('graphql');
+
+// 默认的选择集深度
+const DEFAULT_SELECTION_DEPTH = 2;
+
+/**
+ * 从本地文件加载GraphQL schema，支持SDL(.graphql/.gql)和introspection JSON
+ * @param {string} schemaFile - schema文件路径
+ * @returns {import('graphql').GraphQLSchema} GraphQL schema
+ */
+function loadGraphQLSchema(schemaFile) {
+  const content = fs.readFileSync(schemaFile, 'utf8');
+
+  if (path.extname(schemaFile).toLowerCase() === '.json') {
+    const introspection = JSON.parse(content);
+    // 兼容直接保存的响应 {data: {__schema}} 和 {__schema}
+    return buildClientSchema(introspection.data || introspection);
+  }
+
+  return buildSchema(content);
+}
+
+/**
+ * 将GraphQL输入类型转换为参数定义
+ * @param {import('graphql').GraphQLInputType} type - GraphQL输入类型
+ * @param {string} [description] - 参数描述
+ * @param {number} [depth=0] - 当前嵌套深度，防止递归输入类型无限展开
+ * @returns {Object} 参数定义
+ */
+function inputTypeToParameter(type, description, depth = 0) {
+  if (isNonNullType(type)) {
+    return { ...inputTypeToParameter(type.ofType, description, depth), required: true };
+  }
+
+  const param = { required: false, description: description || '' };
+
+  if (isListType(type)) {
+    return { ...param, type: 'array', items: inputTypeToParameter(type.ofType, undefined, depth) };
+  }
+
+  if (isEnumType(type)) {
+    return { ...param, type: 'string', enum: type.getValues().map(value => value.name) };
+  }
+
+  if (isInputObjectType(type)) {
+    if (depth >= 5) {
+      return { ...param, type: 'object' };
+    }
+    const properties = {};
+    Object.values(type.getFields()).forEach(field => {
+      properties[field.name] = inputTypeToParameter(field.type, field.description, depth + 1);
+    });
+    return { ...param, type: 'object', properties, description: description || type.description || '' };
+  }
+
+  switch (type.name) {
+    case 'Int':
+    case 'Float':
+      return { ...param, type: 'number' };
+    case 'Boolean':
+      return { ...param, type: 'boolean' };
+    default:
+      // String、ID和自定义标量
+      return { ...param, type: 'string' };
+  }
+}
+
+/**
+ * 为输出类型构建选择集
+ * @param {import('graphql').GraphQLOutputType} type - GraphQL输出类型
+ * @param {number} depth - 剩余可展开的深度
+ * @returns {string} 选择集字符串，叶子类型返回空字符串
+ */
+function buildSelectionSet(type, depth) {
+  const namedType = getNamedType(type);
+
+  if (isLeafType(namedType)) {
+    return '';
+  }
+
+  if (isUnionType(namedType)) {
+    const fragments = depth > 0
+      ? namedType.getTypes().map(member => {
+        const selection = buildSelectionSet(member, depth - 1);
+        return selection ? `... on ${member.name} ${selection}` : '';
+      }).filter(Boolean)
+      : [];
+    return fragments.length > 0 ? `{ __typename ${fragments.join(' ')} }` : '{ __typename }';
+  }
+
+  if (isObjectType(namedType) || isInterfaceType(namedType)) {
+    const fields = Object.values(namedType.getFields())
+      // 带必填参数的字段无法在选择集中直接查询
+      .filter(field => !field.args.some(arg => isNonNullType(arg.type) && arg.defaultValue === undefined))
+      .map(field => {
+        if (isLeafType(getNamedType(field.type))) {
+          return field.name;
+        }
+        if (depth <= 0) {
+          return '';
+        }
+        const selection = buildSelectionSet(field.type, depth - 1);
+        return selection ? `${field.name} ${selection}` : '';
+      })
+      .filter(Boolean);
+
+    return `{ ${fields.length > 0 ? fields.join(' ') : '__typename'} }`;
+  }
+
+  return '';
+}
+
+/**
+ * 将GraphQL API定义展开为每个Query/Mutation字段一个API定义
+ * @param {Object} apiDef - GraphQL API定义，需包含url和schemaFile
+ * @returns {Object[]} API定义对象数组
+ */
+function expandGraphQLApi(apiDef) {
+  if (!apiDef.schemaFile) {
+    throw new Error(`GraphQL API定义必须包含schemaFile字段: ${apiDef.name}`);
+  }
+
+  const schema = loadGraphQLSchema(apiDef.schemaFile);
+  const depth = apiDef.selectionDepth !== undefined ? Number(apiDef.selectionDepth) : DEFAULT_SELECTION_DEPTH;
+  const include = Array.isArray(apiDef.operations) ? apiDef.operations : null;
+  const apiDefs = [];
+  const usedNames = new Set();
+
+  [['query', schema.getQueryType()], ['mutation', schema.getMutationType()]].forEach(([operationType, rootType]) => {
+    if (!rootType) {
+      return;
+    }
+
+    Object.values(rootType.getFields()).forEach(field => {
+      if (include && !include.includes(field.name)) {
+        return;
+      }
+
+      let name = `${apiDef.name}_${field.name}`;
+      if (usedNames.has(name)) {
+        name = `${name}_${operationType}`;
+      }
+      usedNames.add(name);
+
+      const parameters = {};
+      field.args.forEach(arg => {
+        const param = inputTypeToParameter(arg.type, arg.description);
+        if (arg.defaultValue !== undefined) {
+          param.required = false;
+        }
+        parameters[arg.name] = param;
+      });
+
+      const variableDefs = field.args.map(arg => `$${arg.name}: ${String(arg.type)}`);
+      const fieldArgs = field.args.map(arg => `${arg.name}: $${arg.name}`);
+      const selection = buildSelectionSet(field.type, depth);
+      const operationName = field.name.charAt(0).toUpperCase() + field.name.slice(1);
+      const query = `${operationType} ${operationName}` +
+        `${variableDefs.length > 0 ? `(${variableDefs.join(', ')})` : ''} ` +
+        `{ ${field.name}${fieldArgs.length > 0 ? `(${fieldArgs.join(', ')})` : ''}` +
+        `${selection ? ` ${selection}` : ''} }`;
+
+      apiDefs.push({
+        name,
+        type: 'graphql',
+        description: field.description || `GraphQL ${operationType}: ${field.name}`,
+        url: apiDef.url,
+        method: 'POST',
+        parameters,
+        headers: { ...(apiDef.headers || {}) },
+        timeout: apiDef.timeout,
+        auth: apiDef.auth,
+        signing: apiDef.signing,
+        resultPath: apiDef.resultPath,
+        resultQuery: apiDef.resultQuery,
+        maxResultChars: apiDef.maxResultChars,
+        maxResultItems: apiDef.maxResultItems,
+        outputFormat: apiDef.outputFormat,
+        columns: apiDef.columns,
+        graphql: {
+          query,
+          operationName,
+          field: field.name
+        }
+      });
+    });
+  });
+
+  return apiDefs;
+}
+
+/**
+ * 构建GraphQL请求的axios配置
+ * @param {Object} apiDef - 展开后的GraphQL API定义
+ * @param {Object} params - 工具调用参数，作为GraphQL变量
+ * @returns {Object} axios请求配置
+ */
+function buildRequest(apiDef, params = {}) {
+  return {
+    method: 'POST',
+    url: apiDef.url,
+    headers: { 'Content-Type': 'application/json', ...(apiDef.headers || {}) },
+    timeout: apiDef.timeout || 30000,
+    data: {
+      query: apiDef.graphql.query,
+      operationName: apiDef.graphql.operationName,
+      variables: params
+    }
+  };
+}
+
+/**
+ * 解析GraphQL响应，errors非空时视为调用失败
+ * @param {Object} apiDef - 展开后的GraphQL API定义
+ * @param {Object} body - 响应体
+ * @returns {{result?: *, error?: Object}} 字段对应的数据或错误信息
+ */
+function parseResponse(apiDef, body) {
+  if (!body || typeof body !== 'object') {
+    return { error: { message: '无效的GraphQL响应', response: body } };
+  }
+
+  if (Array.isArray(body.errors) && body.errors.length > 0) {
+    return { error: { errors: body.errors, data: body.data || null } };
+  }
+
+  const data = body.data || {};
+  return { result: data[apiDef.graphql.field] };
+}
+
+module.exports = {
+  loadGraphQLSchema,
+  expandGraphQLApi,
+  buildRequest,
+  parseResponse
+};
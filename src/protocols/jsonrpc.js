@@ -0,0 +1,214 @@
+/**
+ * @file jsonrpc.js
+ * @description JSON-RPC 2.0 API支持：将定义中的每个方法展开为工具，并构建单个或批量的JSON-RPC请求
+ */
+
+const { toToolName } = require('../parsers/spec-utils');
+
+// 请求id计数器，同一进程内递增
+let nextId = 1;
+
+/**
+ * 将JSON-RPC API定义展开为每个方法一个API定义，并附加一个批量调用工具
+ * @param {Object} apiDef - JSON-RPC API定义，需包含url和methods
+ * @returns {Object[]} API定义对象数组
+ */
+function expandJsonRpcApi(apiDef) {
+  if (!Array.isArray(apiDef.methods) || apiDef.methods.length === 0) {
+    throw new Error(`JSON-RPC API定义必须包含methods数组: ${apiDef.name}`);
+  }
+
+  const defaultStyle = apiDef.paramsStyle || 'named';
+  const apiDefs = apiDef.methods.map(methodDef => {
+    if (!methodDef || !methodDef.name) {
+      throw new Error(`JSON-RPC方法定义必须包含name字段: ${apiDef.name}`);
+    }
+
+    return {
+      name: toToolName(`${apiDef.name}_${methodDef.name}`),
+      type: 'jsonrpc',
+      description: methodDef.description || `JSON-RPC方法: ${methodDef.name}`,
+      url: methodDef.url || apiDef.url,
+      method: 'POST',
+      parameters: methodDef.parameters || {},
+      headers: { ...(apiDef.headers || {}), ...(methodDef.headers || {}) },
+      timeout: methodDef.timeout || apiDef.timeout,
+      auth: methodDef.auth || apiDef.auth,
+      signing: methodDef.signing || apiDef.signing,
+      resultPath: methodDef.resultPath || apiDef.resultPath,
+      resultQuery: methodDef.resultQuery || apiDef.resultQuery,
+      maxResultChars: methodDef.maxResultChars !== undefined ? methodDef.maxResultChars : apiDef.maxResultChars,
+      maxResultItems: methodDef.maxResultItems !== undefined ? methodDef.maxResultItems : apiDef.maxResultItems,
+      outputFormat: methodDef.outputFormat || apiDef.outputFormat,
+      columns: methodDef.columns || apiDef.columns,
+      outputSchema: methodDef.outputSchema,
+      responseExample: methodDef.responseExample,
+      jsonrpc: {
+        method: methodDef.name,
+        paramsStyle: methodDef.paramsStyle || defaultStyle
+      }
+    };
+  });
+
+  if (apiDef.batch !== false) {
+    const methodNames = apiDef.methods.map(methodDef => methodDef.name);
+    apiDefs.push({
+      name: toToolName(`${apiDef.name}_batch`),
+      type: 'jsonrpc',
+      description: `在一个JSON-RPC批量请求中调用多个${apiDef.name}方法，按调用顺序返回每个方法的结果或错误`,
+      url: apiDef.url,
+      method: 'POST',
+      parameters: {
+        calls: {
+          type: 'array',
+          required: true,
+          description: '要调用的方法列表',
+          items: {
+            type: 'object',
+            properties: {
+              method: { type: 'string', required: true, enum: methodNames, description: '方法名' },
+              params: {
+                type: 'object',
+                required: false,
+                description: '方法参数，以参数名为键；按位置传递的方法会按参数定义的顺序转换为数组'
+              }
+            }
+          }
+        }
+      },
+      headers: { ...(apiDef.headers || {}) },
+      timeout: apiDef.timeout,
+      auth: apiDef.auth,
+      signing: apiDef.signing,
+      maxResultChars: apiDef.maxResultChars,
+      maxResultItems: apiDef.maxResultItems,
+      outputFormat: apiDef.outputFormat,
+      jsonrpc: {
+        batch: true,
+        methods: apiDefs.map(item => ({
+          method: item.jsonrpc.method,
+          paramsStyle: item.jsonrpc.paramsStyle,
+          parameters: item.parameters
+        }))
+      }
+    });
+  }
+
+  return apiDefs;
+}
+
+/**
+ * 根据参数传递方式构建params成员
+ * @param {Object} parameters - 方法的参数定义
+ * @param {Object|Array} params - 调用参数
+ * @param {string} paramsStyle - named(按名称)或positional(按位置)
+ * @returns {Object|Array|undefined} JSON-RPC的params成员
+ */
+function buildParams(parameters, params, paramsStyle) {
+  if (params === undefined || params === null || Array.isArray(params)) {
+    return params === null ? undefined : params;
+  }
+
+  if (paramsStyle !== 'positional') {
+    return Object.keys(params).length > 0 ? params : undefined;
+  }
+
+  // 按参数定义的顺序排列，缺失的中间参数用null占位，末尾缺失的参数省略
+  const values = Object.keys(parameters || {}).map(key => (params[key] === undefined ? null : params[key]));
+  while (values.length > 0 && values[values.length - 1] === null) {
+    values.pop();
+  }
+  return values;
+}
+
+/**
+ * 构建单个JSON-RPC请求对象
+ * @param {string} method - 方法名
+ * @param {Object|Array|undefined} params - params成员
+ * @returns {Object} JSON-RPC请求对象
+ */
+function buildCall(method, params) {
+  const call = { jsonrpc: '2.0', id: nextId++, method };
+  if (params !== undefined) {
+    call.params = params;
+  }
+  return call;
+}
+
+/**
+ * 构建JSON-RPC请求的axios配置
+ * @param {Object} apiDef - 展开后的JSON-RPC API定义
+ * @param {Object} params - 工具调用参数
+ * @returns {Object} axios请求配置
+ */
+function buildRequest(apiDef, params = {}) {
+  const { jsonrpc } = apiDef;
+  let data;
+
+  if (jsonrpc.batch) {
+    data = (params.calls || []).map(call => {
+      const methodDef = jsonrpc.methods.find(item => item.method === call.method) || {};
+      return buildCall(call.method, buildParams(methodDef.parameters, call.params, methodDef.paramsStyle));
+    });
+  } else {
+    data = buildCall(jsonrpc.method, buildParams(apiDef.parameters, params, jsonrpc.paramsStyle));
+  }
+
+  return {
+    method: 'POST',
+    url: apiDef.url,
+    headers: { 'Content-Type': 'application/json', ...(apiDef.headers || {}) },
+    timeout: apiDef.timeout || 30000,
+    data,
+    // JSON-RPC错误可能以非2xx状态码返回，需要解析响应体中的error成员
+    validateStatus: status => status >= 200 && status < 600
+  };
+}
+
+/**
+ * 解析JSON-RPC响应，error成员非空时视为调用失败
+ * 批量调用按请求顺序返回每个方法的result或error，全部失败时视为调用失败
+ * @param {Object} apiDef - 展开后的JSON-RPC API定义
+ * @param {Object|Array} body - 响应体
+ * @param {Object} [request] - 发送的请求数据，用于按id匹配批量响应
+ * @returns {{result?: *, error?: Object}} 方法返回的结果或错误信息
+ */
+function parseResponse(apiDef, body, request) {
+  if (apiDef.jsonrpc.batch) {
+    const calls = Array.isArray(request) ? request : [];
+    // 整个批量请求失败时服务端返回单个错误对象
+    if (!Array.isArray(body)) {
+      return { error: body && body.error ? body.error : { message: '无效的JSON-RPC批量响应', response: body } };
+    }
+
+    const results = calls.map(call => {
+      const response = body.find(item => item && item.id === call.id);
+      if (!response) {
+        return { method: call.method, error: { message: '缺少该请求的响应' } };
+      }
+      return response.error
+        ? { method: call.method, error: response.error }
+        : { method: call.method, result: response.result };
+    });
+
+    return results.length > 0 && results.every(item => item.error)
+      ? { error: { results } }
+      : { result: results };
+  }
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: { message: '无效的JSON-RPC响应', response: body } };
+  }
+
+  if (body.error) {
+    return { error: body.error };
+  }
+
+  return { result: body.result };
+}
+
+module.exports = {
+  expandJsonRpcApi,
+  buildRequest,
+  parseResponse
+};
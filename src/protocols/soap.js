@@ -0,0 +1,230 @@
+/**
+ * @file soap.js
+ * @description SOAP API支持：根据WSDL展开的操作定义构建SOAP 1.1/1.2请求信封，并解析XML响应
+ */
+
+const { XMLParser } = require('fast-xml-parser');
+const { parseWsdlFile } = require('../parsers/wsdl-parser');
+
+// SOAP信封命名空间
+const ENVELOPE_NS = {
+  '1.1': 'http://schemas.xmlsoap.org/soap/envelope/',
+  '1.2': 'http://www.w3.org/2003/05/soap-envelope'
+};
+
+// XML元素名(可带命名空间前缀)，参数对象的键原样作为元素名，不合法时拒绝，避免注入其他元素
+const XML_NAME = /^(?:[\p{L}_][\p{L}\p{N}._-]*:)?[\p{L}_][\p{L}\p{N}._-]*$/u;
+
+const responseParser = new XMLParser({
+  ignoreAttributes: true,
+  removeNSPrefix: true,
+  parseTagValue: true,
+  trimValues: true
+});
+
+/**
+ * 转义XML文本中的特殊字符
+ * @param {*} value - 原始值
+ * @returns {string} 转义后的文本
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * 将参数值序列化为XML元素，数组重复元素，对象嵌套子元素
+ * @param {string} name - 元素名(可带前缀)
+ * @param {*} value - 参数值
+ * @returns {string} XML片段
+ * @throws {Error} 如果元素名不是合法的XML名称
+ */
+function toXml(name, value) {
+  if (value === undefined) {
+    return '';
+  }
+  if (!XML_NAME.test(name)) {
+    throw new Error(`无效的XML元素名: ${JSON.stringify(name)}`);
+  }
+  if (value === null) {
+    return `<${name} xsi:nil="true"/>`;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => toXml(name, item)).join('');
+  }
+  if (typeof value === 'object') {
+    const prefix = name.includes(':') ? name.substring(0, name.indexOf(':') + 1) : '';
+    const inner = Object.entries(value).map(([key, item]) => toXml(`${prefix}${key}`, item)).join('');
+    return `<${name}>${inner}</${name}>`;
+  }
+  return `<${name}>${escapeXml(value)}</${name}>`;
+}
+
+/**
+ * 按schema中的元素顺序排列参数值，xsd:sequence要求子元素有序
+ * @param {Object} value - 参数值对象
+ * @param {Object} [definitions={}] - 以元素名为键的参数定义
+ * @returns {Object} 重新排序后的参数值对象
+ */
+function orderByDefinition(value, definitions = {}) {
+  const ordered = {};
+  Object.keys(definitions).concat(Object.keys(value)).forEach(key => {
+    if (value[key] === undefined || key in ordered) {
+      return;
+    }
+    const definition = definitions[key] || {};
+    const properties = definition.type === 'array' ? (definition.items || {}).properties : definition.properties;
+    const order = item => (properties && item && typeof item === 'object' && !Array.isArray(item)
+      ? orderByDefinition(item, properties)
+      : item);
+    ordered[key] = Array.isArray(value[key]) ? value[key].map(order) : order(value[key]);
+  });
+  return ordered;
+}
+
+/**
+ * 构建SOAP请求体
+ * @param {Object} soap - API定义中的soap配置
+ * @param {Object} params - 工具调用参数
+ * @returns {string} SOAP信封XML
+ */
+function buildEnvelope(soap, params) {
+  const version = soap.version === '1.2' ? '1.2' : '1.1';
+  const wrapper = soap.style === 'rpc' ? soap.operation : soap.element;
+  // rpc风格的子元素和未限定(unqualified)的元素不带命名空间前缀
+  const childPrefix = soap.style !== 'rpc' && soap.qualified ? 'ns:' : '';
+
+  let body = '';
+  if (wrapper) {
+    const inner = Object.entries(params).map(([key, value]) => toXml(`${childPrefix}${key}`, value)).join('');
+    const nsAttr = soap.namespace ? ` xmlns:ns="${escapeXml(soap.namespace)}"` : '';
+    const tag = soap.namespace ? `ns:${wrapper}` : wrapper;
+    body = `<${tag}${nsAttr}>${inner}</${tag}>`;
+  }
+
+  return '<?xml version="1.0" encoding="utf-8"?>' +
+    `<soap:Envelope xmlns:soap="${ENVELOPE_NS[version]}" ` +
+    'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+    `<soap:Body>${body}</soap:Body></soap:Envelope>`;
+}
+
+/**
+ * 将SOAP API定义展开为WSDL中每个操作一个API定义
+ * @param {Object} apiDef - SOAP API定义，需包含wsdl，可选url覆盖服务地址
+ * @returns {Object[]} API定义对象数组
+ */
+function expandSoapApi(apiDef) {
+  if (!apiDef.wsdl) {
+    throw new Error(`SOAP API定义必须包含wsdl字段: ${apiDef.name}`);
+  }
+
+  const include = Array.isArray(apiDef.operations) ? apiDef.operations : null;
+
+  return parseWsdlFile(apiDef.wsdl, { endpoint: apiDef.url, soapVersion: apiDef.soapVersion })
+    .filter(operationDef => !include || include.includes(operationDef.soap.operation))
+    .map(operationDef => ({
+      ...operationDef,
+      name: `${apiDef.name}_${operationDef.name}`,
+      headers: { ...(apiDef.headers || {}) },
+      timeout: apiDef.timeout,
+      auth: apiDef.auth,
+      signing: apiDef.signing,
+      resultPath: apiDef.resultPath,
+      resultQuery: apiDef.resultQuery,
+      maxResultChars: apiDef.maxResultChars,
+      maxResultItems: apiDef.maxResultItems,
+      outputFormat: apiDef.outputFormat,
+      columns: apiDef.columns
+    }));
+}
+
+/**
+ * 构建SOAP请求的axios配置
+ * @param {Object} apiDef - WSDL展开后的SOAP API定义
+ * @param {Object} params - 工具调用参数
+ * @returns {Object} axios请求配置
+ */
+function buildRequest(apiDef, params = {}) {
+  const soap = apiDef.soap || {};
+  const headers = {};
+
+  const ordered = orderByDefinition(params, apiDef.parameters);
+
+  if (soap.version === '1.2') {
+    headers['Content-Type'] = `application/soap+xml; charset=utf-8${soap.action ? `; action="${soap.action}"` : ''}`;
+  } else {
+    headers['Content-Type'] = 'text/xml; charset=utf-8';
+    headers.SOAPAction = `"${soap.action || ''}"`;
+  }
+
+  return {
+    method: 'POST',
+    url: apiDef.url,
+    headers: { ...headers, ...(apiDef.headers || {}) },
+    timeout: apiDef.timeout || 30000,
+    data: buildEnvelope(soap, ordered),
+    responseType: 'text',
+    // SOAP Fault通常以HTTP 500返回，需要解析响应体
+    validateStatus: status => (status >= 200 && status < 300) || status === 500
+  };
+}
+
+/**
+ * 将XML文本节点的值转换为字符串
+ * @param {*} value - 解析后的节点
+ * @returns {*} 文本值
+ */
+function textOf(value) {
+  if (value && typeof value === 'object' && '#text' in value) {
+    return value['#text'];
+  }
+  return value;
+}
+
+/**
+ * 解析SOAP响应，Fault视为调用失败，否则返回Body中的第一个元素
+ * @param {Object} apiDef - SOAP API定义
+ * @param {string} body - 响应XML
+ * @returns {{result?: *, error?: Object}} 响应数据或错误信息
+ */
+function parseResponse(apiDef, body) {
+  let doc;
+  try {
+    doc = responseParser.parse(typeof body === 'string' ? body : String(body));
+  } catch (error) {
+    return { error: { message: `无效的SOAP响应: ${error.message}`, response: body } };
+  }
+
+  const envelope = doc && doc.Envelope;
+  if (!envelope || envelope.Body === undefined) {
+    return { error: { message: '无效的SOAP响应: 缺少Envelope或Body', response: body } };
+  }
+
+  const soapBody = envelope.Body || {};
+  const fault = soapBody.Fault;
+  if (fault) {
+    // SOAP 1.2: Code/Value 和 Reason/Text；SOAP 1.1: faultcode 和 faultstring
+    const faultcode = fault.faultcode !== undefined ? fault.faultcode : textOf(fault.Code && fault.Code.Value);
+    const faultstring = fault.faultstring !== undefined ? fault.faultstring : textOf(fault.Reason && fault.Reason.Text);
+    const error = { faultcode, faultstring };
+    const detail = fault.detail !== undefined ? fault.detail : fault.Detail;
+    if (detail !== undefined) {
+      error.detail = detail;
+    }
+    return { error };
+  }
+
+  const keys = Object.keys(soapBody);
+  return { result: keys.length > 0 ? soapBody[keys[0]] : null };
+}
+
+module.exports = {
+  expandSoapApi,
+  buildEnvelope,
+  buildRequest,
+  parseResponse
+};
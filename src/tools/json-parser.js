@@ -3,6 +3,16 @@
  * @description JSON解析和处理工具
  */
 
+const jmespath = require('jmespath');
+const { JSONPath } = require('jsonpath-plus');
+const yaml = require('js-yaml');
+
+// 查询表达式的语言前缀，例如 "jmespath:items[0]"、"jsonpath:$.items[*].id"
+const QUERY_PREFIXES = ['jsonpath', 'jmespath', 'path'];
+
+// 结果的输出格式
+const OUTPUT_FORMATS = ['json', 'markdown', 'csv', 'yaml'];
+
 /**
  * 解析JSON字符串
  * @param {string} jsonString - JSON字符串
@@ -33,22 +43,294 @@ function stringify(object, indent = 2) {
 }
 
 /**
- * 通过点号路径获取对象中的值
+ * 确定查询表达式的语言
+ * 带 jsonpath:、jmespath:、path: 前缀时使用前缀指定的语言，以 $ 开头的表达式为JSONPath，否则使用默认语言
+ * @param {string} expression - 查询表达式
+ * @param {string} [defaultLanguage='path'] - 默认语言，path表示点号路径
+ * @returns {{language: string, expression: string}} 查询语言和去掉前缀后的表达式
+ */
+function parseQueryExpression(expression, defaultLanguage = 'path') {
+  const text = String(expression).trim();
+  const match = text.match(/^([a-z]+):(?!\/\/)/i);
+  if (match && QUERY_PREFIXES.includes(match[1].toLowerCase())) {
+    return { language: match[1].toLowerCase(), expression: text.substring(match[0].length).trim() };
+  }
+  if (text.startsWith('$')) {
+    return { language: 'jsonpath', expression: text };
+  }
+  return { language: defaultLanguage, expression: text };
+}
+
+/**
+ * 判断JSONPath表达式是否可能匹配多个值(包含通配符、递归、过滤、切片或联合)
+ * @param {string} expression - JSONPath表达式
+ * @returns {boolean} 是否可能匹配多个值
+ */
+function isIndefiniteJsonPath(expression) {
+  return /\*|\.\.|\?\(|\[[^\]]*[:,][^\]]*\]/.test(expression);
+}
+
+/**
+ * 检查JSONPath表达式的语法
+ * jsonpath-plus对不完整的表达式不报错，并且只在有数据项时才解析过滤条件，
+ * 因此先检查括号和引号是否成对，再单独解析每个过滤条件和脚本表达式
+ * @param {string} expression - 去掉前缀的JSONPath表达式
+ * @throws {Error} 如果表达式无效
+ */
+function validateJsonPath(expression) {
+  const fail = reason => {
+    throw new Error(`无效的JSONPath表达式 "${expression}": ${reason}`);
+  };
+  const closing = { '[': ']', '(': ')' };
+  const stack = [];
+  let quote = null;
+  for (let i = 0; i < expression.length; i++) {
+    const char = expression[i];
+    if (quote) {
+      if (char === '\\') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '\'' || char === '"') {
+      quote = char;
+    } else if (closing[char]) {
+      stack.push(closing[char]);
+    } else if (char === ']' || char === ')') {
+      if (stack.pop() !== char) {
+        fail(`第 ${i + 1} 个字符 ${char} 没有对应的左括号`);
+      }
+    } else if (/\s/.test(char) && stack.length === 0) {
+      fail(`第 ${i + 1} 个字符是括号外的空白`);
+    }
+  }
+  if (quote || stack.length > 0) {
+    fail('括号或引号没有闭合');
+  }
+  if (expression.endsWith('.')) {
+    fail('不能以.结尾');
+  }
+
+  // 过滤条件在解析失败时抛出错误，求值时的错误(如访问不存在的属性)忽略
+  JSONPath.toPathArray(expression).filter(segment => /^\??\(/.test(segment)).forEach(segment => {
+    try {
+      JSONPath({ path: `$[${segment}]`, json: [{}], ignoreEvalErrors: true });
+    } catch (error) {
+      fail(error.message);
+    }
+  });
+}
+
+/**
+ * 检查查询表达式的语法，JMESPath表达式会被预先编译，JSONPath表达式检查括号和过滤条件
+ * @param {string} expression - 查询表达式，可以带语言前缀
+ * @param {string} [defaultLanguage='path'] - 默认语言
+ * @throws {Error} 如果表达式无效
+ */
+function validateQueryExpression(expression, defaultLanguage = 'path') {
+  const query = parseQueryExpression(expression, defaultLanguage);
+  if (!query.expression) {
+    throw new Error(`查询表达式不能为空: ${expression}`);
+  }
+  if (query.language === 'jmespath') {
+    try {
+      jmespath.compile(query.expression);
+    } catch (error) {
+      throw new Error(`无效的JMESPath表达式 "${query.expression}": ${error.message}`);
+    }
+  } else if (query.language === 'jsonpath') {
+    validateJsonPath(query.expression);
+  }
+}
+
+/**
+ * 使用JSONPath、JMESPath或点号路径查询对象
+ * JSONPath中只匹配单个位置的路径返回该值，包含通配符或过滤条件的路径返回匹配值数组
  * @param {Object} object - 源对象
- * @param {string} path - 点号分隔的路径，如 "user.profile.name"
+ * @param {string} expression - 查询表达式，可以带语言前缀
+ * @param {string} [defaultLanguage='path'] - 默认语言
+ * @returns {*} 查询结果，没有匹配时为undefined(JMESPath为null)
+ */
+function queryJson(object, expression, defaultLanguage = 'path') {
+  const query = parseQueryExpression(expression, defaultLanguage);
+
+  if (query.language === 'jmespath') {
+    return jmespath.search(object === undefined ? null : object, query.expression);
+  }
+
+  if (query.language === 'jsonpath') {
+    const matches = JSONPath({ path: query.expression, json: object === undefined ? null : object, wrap: true }) || [];
+    return isIndefiniteJsonPath(query.expression) ? matches : matches[0];
+  }
+
+  // 点号路径，支持 items[0].name 和 items.0.name 形式的数组下标
+  return query.expression
+    .replace(/\[(\d+)\]/g, '.$1')
+    .split('.')
+    .filter(Boolean)
+    .reduce((obj, key) => ((obj !== undefined && obj !== null) ? obj[key] : undefined), object);
+}
+
+/**
+ * 通过路径获取对象中的值，支持点号路径、JSONPath(以$开头)和JMESPath(jmespath:前缀)
+ * @param {Object} object - 源对象
+ * @param {string} path - 路径，如 "user.profile.name"、"items[0].id"、"$.items[*].id"
  * @param {*} [defaultValue=undefined] - 路径不存在时返回的默认值
  * @returns {*} 获取到的值或默认值
  */
 function getValueByPath(object, path, defaultValue = undefined) {
   try {
-    return path.split('.').reduce((obj, key) => 
-      (obj && obj[key] !== undefined) ? obj[key] : defaultValue, object);
+    const value = queryJson(object, path);
+    return value === undefined ? defaultValue : value;
   } catch (error) {
     console.error('通过路径获取对象值失败:', error.message);
     return defaultValue;
   }
 }
 
+/**
+ * 按API定义的resultPath和resultQuery提取结果
+ * resultPath默认为点号路径(以$开头时为JSONPath)，resultQuery默认为JMESPath，两者同时存在时先应用resultPath
+ * @param {*} data - 响应数据
+ * @param {Object} apiDef - API定义
+ * @param {string} [apiDef.resultPath] - 结果路径
+ * @param {string} [apiDef.resultQuery] - 结果查询表达式
+ * @returns {*} 提取后的结果
+ */
+function extractResult(data, { resultPath, resultQuery } = {}) {
+  let result = data;
+  if (resultPath) {
+    result = queryJson(result, resultPath, 'path');
+  }
+  if (resultQuery) {
+    result = queryJson(result, resultQuery, 'jmespath');
+  }
+  return result;
+}
+
+/**
+ * 规范化列定义，字符串既是列标题也是取值路径
+ * @param {Array<string|{path: string, title?: string}>} columns - 列定义
+ * @returns {Array<{path: string, title: string}>} 规范化后的列定义
+ */
+function normalizeColumns(columns) {
+  return columns.map(column => (typeof column === 'string'
+    ? { path: column, title: column }
+    : { path: column.path, title: column.title || column.path }));
+}
+
+/**
+ * 把数组转换为表格的行和列，未指定列时按属性首次出现的顺序使用全部属性，非对象的数组项放在value列
+ * @param {Array} items - 数组结果
+ * @param {Array} [columns] - 列定义，值为点号路径、JSONPath或JMESPath
+ * @returns {{columns: Array<{path: string, title: string}>, rows: Array<Array>}} 表格的列和行
+ */
+function toTable(items, columns) {
+  const records = items.map(item => (item !== null && typeof item === 'object' && !Array.isArray(item) ? item : { value: item }));
+
+  let tableColumns;
+  if (columns && columns.length > 0) {
+    tableColumns = normalizeColumns(columns);
+  } else {
+    const keys = new Set();
+    records.forEach(record => Object.keys(record).forEach(key => keys.add(key)));
+    // 属性名作为点号路径时，包含点号和括号的属性名无法读取，直接按属性名取值
+    tableColumns = [...keys].map(key => ({ path: key, title: key, key }));
+  }
+
+  const rows = records.map(record => tableColumns.map(column =>
+    (column.key !== undefined ? record[column.key] : getValueByPath(record, column.path))));
+  return { columns: tableColumns, rows };
+}
+
+/**
+ * 将单元格的值转换为文本，对象和数组序列化为JSON
+ * @param {*} value - 单元格的值
+ * @returns {string} 文本
+ */
+function cellText(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * 将对象数组转换为Markdown表格
+ * @param {Array} items - 数组结果
+ * @param {Array} [columns] - 列定义
+ * @returns {string} Markdown表格
+ */
+function toMarkdownTable(items, columns) {
+  const table = toTable(items, columns);
+  const escape = text => text.replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+  const line = cells => `| ${cells.join(' | ')} |`;
+
+  return [
+    line(table.columns.map(column => escape(column.title))),
+    line(table.columns.map(() => '---')),
+    ...table.rows.map(row => line(row.map(value => escape(cellText(value)))))
+  ].join('\n');
+}
+
+/**
+ * 将对象数组转换为CSV文本(RFC 4180)，第一行为列标题
+ * @param {Array} items - 数组结果
+ * @param {Array} [columns] - 列定义
+ * @returns {string} CSV文本
+ */
+function toCsv(items, columns) {
+  const table = toTable(items, columns);
+  const escape = text => (/[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+  const line = cells => cells.map(cell => escape(cellText(cell))).join(',');
+
+  return [
+    line(table.columns.map(column => column.title)),
+    ...table.rows.map(line)
+  ].join('\n');
+}
+
+/**
+ * 按输出格式把结果转换为文本
+ * 数组结果可以输出为Markdown表格或CSV，指定列时只保留这些列；其他结果的markdown和csv格式按YAML输出
+ * @param {*} value - 结果
+ * @param {Object} [options={}] - 输出选项
+ * @param {string} [options.outputFormat='json'] - 输出格式：json(缩进的JSON)、markdown、csv或yaml
+ * @param {Array<string|{path: string, title?: string}>} [options.columns] - 数组结果的列选择和顺序
+ * @returns {string} 格式化后的文本
+ */
+function formatResult(value, { outputFormat = 'json', columns } = {}) {
+  const format = String(outputFormat).toLowerCase();
+  const isArray = Array.isArray(value);
+
+  if (isArray && format === 'markdown') {
+    return toMarkdownTable(value, columns);
+  }
+  if (isArray && format === 'csv') {
+    return toCsv(value, columns);
+  }
+
+  // JSON和YAML格式下，指定列的数组转换为只包含这些列的对象数组
+  let data = value;
+  if (isArray && columns && columns.length > 0) {
+    const table = toTable(value, columns);
+    data = table.rows.map(row => {
+      const record = {};
+      table.columns.forEach((column, index) => {
+        if (row[index] !== undefined) {
+          record[column.title] = row[index];
+        }
+      });
+      return record;
+    });
+  }
+
+  if (format === 'json') {
+    return stringify(data);
+  }
+  return yaml.dump(data === undefined ? null : data, { noRefs: true, lineWidth: -1 }).replace(/\n$/, '');
+}
+
 /**
  * 验证JSON是否符合指定的模式
  * @param {Object} json - 要验证的JSON对象
@@ -81,8 +363,16 @@ function validateJsonSchema(json, schema) {
 }
 
 module.exports = {
+  OUTPUT_FORMATS,
   parseJson,
   stringify,
   getValueByPath,
+  parseQueryExpression,
+  validateQueryExpression,
+  queryJson,
+  extractResult,
+  formatResult,
+  toMarkdownTable,
+  toCsv,
   validateJsonSchema
 }; 
\ No newline at end of file
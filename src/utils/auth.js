@@ -0,0 +1,643 @@
+/**
+ * @file auth.js
+ * @description 声明式认证：API Key(请求头/查询参数/Cookie)、Bearer、Basic、Digest和OAuth2(客户端凭据、授权码)认证
+ *
+ * API定义和配置文件中的auth可以是认证对象，也可以是配置文件auth中定义的认证提供者名称，
+ * 同一提供者的状态(如Digest质询、OAuth2访问令牌)由所有使用它的工具共享
+ */
+
+const axios = require('axios');
+const { hash, randomString } = require('./common');
+const credentialStore = require('./credential-store');
+const { hasSecretReference, resolveSecretReferences } = require('./secrets');
+
+// 支持的认证类型
+const AUTH_TYPES = ['apiKey', 'bearer', 'basic', 'digest', 'oauth2'];
+
+// API Key可以放置的位置
+const API_KEY_LOCATIONS = ['header', 'query', 'cookie'];
+
+// 认证对象中的敏感字段，列出API时会被隐藏
+const SECRET_FIELDS = ['value', 'token', 'password', 'clientSecret'];
+
+// 携带凭据的请求头名称，列出API时会被隐藏
+const SECRET_HEADER_PATTERN = /^(authorization|proxy-authorization|cookie)$|api[-_]?key|token|secret|password|session/i;
+
+// 隐藏敏感字段时使用的占位符
+const REDACTED = '******';
+
+// Digest算法名称到Node.js哈希算法的映射
+const DIGEST_ALGORITHMS = {
+  'MD5': 'md5',
+  'SHA-256': 'sha256',
+  'SHA-512-256': 'sha512-256'
+};
+
+// OAuth2授权流程：clientCredentials由服务器直接获取令牌，authorizationCode由用户通过命令行登录后使用保存的刷新令牌
+const OAUTH2_FLOWS = ['clientCredentials', 'authorizationCode'];
+
+// OAuth2客户端认证方式：basic使用Authorization请求头，body把客户端凭据放在请求体中
+const OAUTH2_CLIENT_AUTH = ['basic', 'body'];
+
+// OAuth2访问令牌默认提前刷新的秒数
+const DEFAULT_REFRESH_SKEW = 60;
+
+// 配置文件中定义的认证提供者，以名称为键
+const authProviders = new Map();
+
+// 认证的运行时状态(如Digest质询)，以规范化后的认证对象为键
+const authStates = new WeakMap();
+
+// OAuth2访问令牌缓存，以令牌端点、客户端、scope和认证提供者为键，相同配置的认证共享同一个令牌
+const tokenCache = new Map();
+
+/**
+ * 检查并规范化认证对象
+ * @param {Object} auth - 认证对象
+ * @param {string} [provider] - 认证提供者名称，OAuth2授权码流程的会话按提供者名称保存
+ * @returns {Object} 规范化后的认证对象
+ * @throws {Error} 如果认证对象无效
+ */
+function normalizeAuth(auth, provider) {
+  if (!auth || typeof auth !== 'object' || Array.isArray(auth)) {
+    throw new Error('auth必须是认证对象或认证提供者名称');
+  }
+
+  const type = AUTH_TYPES.find(item => item.toLowerCase() === String(auth.type || '').toLowerCase());
+  if (!type) {
+    throw new Error(`不支持的认证类型: ${auth.type}，支持 ${AUTH_TYPES.join(', ')}`);
+  }
+
+  const normalized = { ...auth, type };
+  const requireField = field => {
+    if (normalized[field] === undefined || normalized[field] === null || normalized[field] === '') {
+      throw new Error(`${type}认证缺少${field}字段`);
+    }
+  };
+
+  switch (type) {
+    case 'apiKey':
+      normalized.in = String(normalized.in || 'header').toLowerCase();
+      if (!API_KEY_LOCATIONS.includes(normalized.in)) {
+        throw new Error(`API Key的位置必须是 ${API_KEY_LOCATIONS.join(', ')} 之一: ${auth.in}`);
+      }
+      requireField('name');
+      requireField('value');
+      break;
+    case 'bearer':
+      requireField('token');
+      normalized.scheme = normalized.scheme || 'Bearer';
+      break;
+    case 'oauth2': {
+      const flow = OAUTH2_FLOWS.find(item => item.toLowerCase() === String(auth.flow || 'clientCredentials').replace(/[_-]/g, '').toLowerCase());
+      if (!flow) {
+        throw new Error(`不支持的OAuth2授权流程: ${auth.flow}，支持 ${OAUTH2_FLOWS.join(', ')}`);
+      }
+      normalized.flow = flow;
+      requireField('tokenUrl');
+      requireField('clientId');
+      if (flow === 'clientCredentials') {
+        requireField('clientSecret');
+      } else {
+        // 授权码流程需要用户登录，只能在配置文件的auth中定义为认证提供者
+        if (!provider) {
+          throw new Error('OAuth2授权码流程只能在配置文件的auth中定义为认证提供者，并通过 webapi-mcp-server auth login <provider> 登录');
+        }
+        requireField('authorizationUrl');
+        normalized.provider = provider;
+        if (normalized.redirectUri !== undefined) {
+          validateRedirectUri(normalized.redirectUri);
+        }
+      }
+      if (Array.isArray(normalized.scope)) {
+        normalized.scope = normalized.scope.join(' ');
+      }
+      normalized.clientAuth = String(normalized.clientAuth || 'basic').toLowerCase();
+      if (!OAUTH2_CLIENT_AUTH.includes(normalized.clientAuth)) {
+        throw new Error(`OAuth2客户端认证方式必须是 ${OAUTH2_CLIENT_AUTH.join(', ')} 之一: ${auth.clientAuth}`);
+      }
+      if (normalized.refreshSkew !== undefined && (typeof normalized.refreshSkew !== 'number' || normalized.refreshSkew < 0)) {
+        throw new Error(`refreshSkew必须是非负数: ${normalized.refreshSkew}`);
+      }
+      break;
+    }
+    default:
+      // basic和digest
+      requireField('username');
+      normalized.password = normalized.password !== undefined && normalized.password !== null ? String(normalized.password) : '';
+      break;
+  }
+
+  return normalized;
+}
+
+/**
+ * 检查OAuth2授权码流程的回调地址，命令行登录时在本机监听该地址，所以必须是本机回环地址(RFC 8252 7.3)
+ * @param {string} redirectUri - 回调地址
+ * @throws {Error} 如果不是本机的http地址
+ */
+function validateRedirectUri(redirectUri) {
+  let url;
+  try {
+    url = new URL(redirectUri);
+  } catch (error) {
+    throw new Error(`无效的redirectUri: ${redirectUri}`);
+  }
+  if (url.protocol !== 'http:' || !['127.0.0.1', 'localhost', '[::1]'].includes(url.hostname)) {
+    throw new Error(`redirectUri必须是本机回环地址，如 http://127.0.0.1:8765/callback: ${redirectUri}`);
+  }
+}
+
+/**
+ * 设置认证提供者，值为null时删除同名的提供者
+ * @param {Object} providers - 以提供者名称为键的认证对象
+ */
+function setAuthProviders(providers = {}) {
+  Object.entries(providers).forEach(([name, auth]) => {
+    if (auth === null) {
+      authProviders.delete(name);
+    } else {
+      authProviders.set(name, normalizeAuth(auth, name));
+    }
+  });
+}
+
+/**
+ * 获取API使用的认证对象
+ * @param {Object|string} [auth] - 认证对象或认证提供者名称
+ * @returns {Object|null} 规范化后的认证对象
+ * @throws {Error} 如果认证提供者不存在
+ */
+function resolveAuth(auth) {
+  if (!auth) {
+    return null;
+  }
+  if (typeof auth === 'string') {
+    if (!authProviders.has(auth)) {
+      throw new Error(`找不到认证提供者: ${auth}`);
+    }
+    return authProviders.get(auth);
+  }
+  return auth;
+}
+
+/**
+ * 隐藏认证对象中的敏感字段，密钥引用本身不是凭据，保持原样
+ * @param {Object|string} auth - 认证对象或认证提供者名称
+ * @returns {Object|string} 隐藏敏感字段后的副本
+ */
+function redactAuth(auth) {
+  if (!auth || typeof auth !== 'object') {
+    return auth;
+  }
+
+  const result = { ...auth };
+  SECRET_FIELDS.forEach(field => {
+    if (result[field] !== undefined && !hasSecretReference(result[field])) {
+      result[field] = REDACTED;
+    }
+  });
+  return result;
+}
+
+/**
+ * 设置请求头，删除大小写不同的同名请求头
+ * @param {Object} headers - 请求头
+ * @param {string} name - 请求头名称
+ * @param {string} value - 请求头的值
+ */
+function setHeader(headers, name, value) {
+  Object.keys(headers)
+    .filter(key => key.toLowerCase() === name.toLowerCase())
+    .forEach(key => delete headers[key]);
+  headers[name] = value;
+}
+
+/**
+ * 获取认证的运行时状态
+ * @param {Object} auth - 规范化后的认证对象
+ * @returns {Object} 运行时状态
+ */
+function getAuthState(auth) {
+  if (!authStates.has(auth)) {
+    authStates.set(auth, {});
+  }
+  return authStates.get(auth);
+}
+
+/**
+ * 解析WWW-Authenticate响应头中的Digest质询
+ * @param {string|string[]} header - WWW-Authenticate响应头
+ * @returns {Object|null} 质询参数(realm、nonce、qop、opaque、algorithm等)
+ */
+function parseDigestChallenge(header) {
+  const text = Array.isArray(header) ? header.join(', ') : String(header || '');
+  const index = text.search(/\bDigest\s/i);
+  if (index < 0) {
+    return null;
+  }
+
+  const challenge = {};
+  const pattern = /([\w-]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^\s,]+))/g;
+  const rest = text.substring(index + 'Digest'.length);
+  let match;
+  while ((match = pattern.exec(rest)) !== null) {
+    const key = match[1].toLowerCase();
+    // 遇到下一个质询的参数时停止
+    if (challenge[key] !== undefined) {
+      break;
+    }
+    challenge[key] = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3];
+  }
+
+  return challenge.nonce ? challenge : null;
+}
+
+/**
+ * 转义quoted-string中的双引号和反斜杠
+ * @param {string} value - 原始值
+ * @returns {string} 可以放在双引号中的值
+ */
+function quoteString(value) {
+  return String(value).replace(/[\\"]/g, '\\$&');
+}
+
+/**
+ * 获取qop为auth-int时参与摘要计算的请求体
+ * 对象请求体在这里序列化为JSON并写回请求配置，保证摘要使用的正是axios发送的字节
+ * @param {Object} config - axios请求配置，对象请求体会被替换为JSON文本
+ * @returns {string|Buffer|null} 请求体，流和表单等无法预先读取的请求体返回null
+ */
+function getDigestBody(config) {
+  const { data } = config;
+  if (data === undefined || data === null) {
+    return '';
+  }
+  if (typeof data === 'string' || Buffer.isBuffer(data)) {
+    return data;
+  }
+  if (data instanceof URLSearchParams) {
+    config.data = data.toString();
+    return config.data;
+  }
+  if (ArrayBuffer.isView(data) || data instanceof ArrayBuffer) {
+    config.data = ArrayBuffer.isView(data) ? Buffer.from(data.buffer, data.byteOffset, data.byteLength) : Buffer.from(data);
+    return config.data;
+  }
+  if (Array.isArray(data) || Object.getPrototypeOf(data) === Object.prototype) {
+    config.data = JSON.stringify(data);
+    if (!Object.keys(config.headers).some(key => key.toLowerCase() === 'content-type')) {
+      config.headers['Content-Type'] = 'application/json';
+    }
+    return config.data;
+  }
+  return null;
+}
+
+/**
+ * 根据缓存的Digest质询生成Authorization请求头(RFC 7616)
+ * @param {Object} config - axios请求配置，qop为auth-int时对象请求体会被序列化
+ * @param {Object} auth - Digest认证对象
+ * @param {Object} state - 认证的运行时状态，包含质询和请求计数
+ * @returns {string} Authorization请求头的值
+ * @throws {Error} 如果算法不支持，或者qop只能使用auth-int而请求体无法预先读取
+ */
+function buildDigestHeader(config, auth, state) {
+  const { challenge } = state;
+  const algorithm = (challenge.algorithm || 'MD5').toUpperCase();
+  const sess = algorithm.endsWith('-SESS');
+  const hashAlgorithm = DIGEST_ALGORITHMS[sess ? algorithm.slice(0, -'-SESS'.length) : algorithm];
+  if (!hashAlgorithm) {
+    throw new Error(`不支持的Digest算法: ${challenge.algorithm}`);
+  }
+  const H = data => hash(data, hashAlgorithm);
+
+  const url = new URL(axios.getUri(config));
+  const uri = url.pathname + url.search;
+  const method = (config.method || 'GET').toUpperCase();
+  const qops = (challenge.qop || '').split(',').map(item => item.trim()).filter(Boolean);
+  const qop = qops.includes('auth') ? 'auth' : qops.includes('auth-int') ? 'auth-int' : null;
+  const cnonce = randomString(16);
+  state.nc = (state.nc || 0) + 1;
+  const nc = state.nc.toString(16).padStart(8, '0');
+
+  let ha1 = H(`${auth.username}:${challenge.realm || ''}:${auth.password}`);
+  if (sess) {
+    ha1 = H(`${ha1}:${challenge.nonce}:${cnonce}`);
+  }
+  let ha2 = `${method}:${uri}`;
+  if (qop === 'auth-int') {
+    const body = getDigestBody(config);
+    if (body === null) {
+      throw new Error('服务器要求Digest认证的qop为auth-int，但请求体是流或表单，无法计算摘要');
+    }
+    ha2 += `:${H(body)}`;
+  }
+  ha2 = H(ha2);
+  const response = qop
+    ? H(`${ha1}:${challenge.nonce}:${nc}:${cnonce}:${qop}:${ha2}`)
+    : H(`${ha1}:${challenge.nonce}:${ha2}`);
+
+  const parts = [
+    `username="${quoteString(auth.username)}"`,
+    `realm="${quoteString(challenge.realm || '')}"`,
+    `nonce="${quoteString(challenge.nonce)}"`,
+    `uri="${quoteString(uri)}"`,
+    `algorithm=${challenge.algorithm || 'MD5'}`,
+    `response="${response}"`
+  ];
+  if (qop) {
+    parts.push(`qop=${qop}`, `nc=${nc}`, `cnonce="${cnonce}"`);
+  }
+  if (challenge.opaque !== undefined) {
+    parts.push(`opaque="${quoteString(challenge.opaque)}"`);
+  }
+  return `Digest ${parts.join(', ')}`;
+}
+
+/**
+ * 生成OAuth2访问令牌的缓存键
+ * 授权码流程的令牌属于登录的用户，不同提供者即使配置相同也不共享
+ * @param {Object} auth - OAuth2认证对象
+ * @returns {string} 缓存键
+ */
+function getTokenCacheKey(auth) {
+  return JSON.stringify([auth.tokenUrl, auth.clientId, auth.scope || '', auth.audience || '', auth.provider || '']);
+}
+
+/**
+ * 向令牌端点请求OAuth2访问令牌(RFC 6749 4.1.3、4.4、6)
+ * 没有clientSecret的公开客户端只在请求体中发送client_id
+ * @param {Object} auth - OAuth2认证对象
+ * @param {Object} grant - 授权参数，如 {grant_type: 'refresh_token', refresh_token}
+ * @returns {Promise<{accessToken: string, tokenType: string, expiresAt: number, refreshToken?: string, scope?: string}>}
+ *   访问令牌和过期时间(毫秒时间戳，没有过期时间时为Infinity)，以及服务器返回的刷新令牌和scope
+ * @throws {Error} 如果获取令牌失败
+ */
+async function requestOAuth2Token(auth, grant) {
+  // 令牌端点和客户端凭据中的密钥引用在请求时解析
+  const client = resolveSecretReferences(auth);
+  const body = new URLSearchParams(grant);
+  Object.entries(client.params || {}).forEach(([key, value]) => body.set(key, String(value)));
+
+  const headers = {
+    'Content-Type': 'application/x-www-form-urlencoded',
+    'Accept': 'application/json'
+  };
+  if (!client.clientSecret) {
+    body.set('client_id', client.clientId);
+  } else if (client.clientAuth === 'body') {
+    body.set('client_id', client.clientId);
+    body.set('client_secret', client.clientSecret);
+  } else {
+    const credentials = `${encodeURIComponent(client.clientId)}:${encodeURIComponent(client.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  let response;
+  try {
+    response = await axios.post(client.tokenUrl, body.toString(), { headers, timeout: client.timeout || 30000 });
+  } catch (error) {
+    const data = error.response && error.response.data;
+    const reason = data && (data.error_description || data.error);
+    const tokenError = new Error(`获取OAuth2访问令牌失败: ${error.response ? `HTTP ${error.response.status}` : error.message}${reason ? ` ${reason}` : ''}`);
+    tokenError.code = data && data.error;
+    throw tokenError;
+  }
+
+  const data = response.data || {};
+  if (!data.access_token) {
+    throw new Error('获取OAuth2访问令牌失败: 响应中没有access_token');
+  }
+
+  // 在过期之前提前刷新，有效期很短的令牌最多提前一半的有效期
+  const expiresIn = Number(data.expires_in);
+  const skew = auth.refreshSkew !== undefined ? auth.refreshSkew : DEFAULT_REFRESH_SKEW;
+  const expiresAt = Number.isFinite(expiresIn) && expiresIn > 0
+    ? Date.now() + (expiresIn - Math.min(skew, expiresIn / 2)) * 1000
+    : Infinity;
+
+  const token = {
+    accessToken: data.access_token,
+    tokenType: !data.token_type || data.token_type.toLowerCase() === 'bearer' ? 'Bearer' : data.token_type,
+    expiresAt
+  };
+  if (data.refresh_token) {
+    token.refreshToken = data.refresh_token;
+  }
+  if (data.scope) {
+    token.scope = data.scope;
+  }
+  return token;
+}
+
+/**
+ * 按授权流程获取新的OAuth2访问令牌
+ * 客户端凭据流程直接请求令牌；授权码流程使用登录时保存的刷新令牌，服务器轮换刷新令牌时保存新的刷新令牌
+ * @param {Object} auth - OAuth2认证对象
+ * @returns {Promise<{accessToken: string, tokenType: string, expiresAt: number}>} 访问令牌
+ * @throws {Error} 如果尚未登录或获取令牌失败
+ */
+async function fetchOAuth2Token(auth) {
+  if (auth.flow !== 'authorizationCode') {
+    const grant = { grant_type: 'client_credentials' };
+    if (auth.scope) {
+      grant.scope = auth.scope;
+    }
+    if (auth.audience) {
+      grant.audience = auth.audience;
+    }
+    return requestOAuth2Token(auth, grant);
+  }
+
+  const session = credentialStore.getSession(auth.provider);
+  if (!session || !session.refreshToken) {
+    throw new Error(`认证提供者 ${auth.provider} 尚未登录，请先运行: webapi-mcp-server auth login ${auth.provider}`);
+  }
+
+  let token;
+  try {
+    token = await requestOAuth2Token(auth, { grant_type: 'refresh_token', refresh_token: session.refreshToken });
+  } catch (error) {
+    if (error.code === 'invalid_grant') {
+      error.message += `，登录已失效，请重新运行: webapi-mcp-server auth login ${auth.provider}`;
+    }
+    throw error;
+  }
+
+  if (token.refreshToken && token.refreshToken !== session.refreshToken) {
+    credentialStore.saveSession(auth.provider, { refreshToken: token.refreshToken });
+  }
+  delete token.refreshToken;
+  return token;
+}
+
+/**
+ * 获取OAuth2访问令牌，优先使用未过期的缓存，并发请求共享同一次令牌请求
+ * @param {Object} auth - OAuth2认证对象
+ * @returns {Promise<{accessToken: string, tokenType: string, expiresAt: number}>} 访问令牌
+ */
+async function getOAuth2Token(auth) {
+  const key = getTokenCacheKey(auth);
+  const cached = tokenCache.get(key);
+  if (cached && (cached.pending || cached.expiresAt > Date.now())) {
+    return cached.pending || cached;
+  }
+
+  const pending = fetchOAuth2Token(auth);
+  tokenCache.set(key, { pending });
+  try {
+    const token = await pending;
+    tokenCache.set(key, token);
+    return token;
+  } catch (error) {
+    tokenCache.delete(key);
+    throw error;
+  }
+}
+
+/**
+ * 隐藏请求头中的凭据(如Authorization、Cookie、X-API-Key)，密钥引用保持原样
+ * @param {Object} [headers] - 请求头
+ * @returns {Object|undefined} 隐藏凭据后的副本
+ */
+function redactHeaders(headers) {
+  if (!headers || typeof headers !== 'object') {
+    return headers;
+  }
+
+  const result = { ...headers };
+  Object.keys(result).forEach(name => {
+    if (SECRET_HEADER_PATTERN.test(name) && !hasSecretReference(result[name])) {
+      result[name] = REDACTED;
+    }
+  });
+  return result;
+}
+
+/**
+ * 把认证信息添加到请求配置中
+ * 认证对象中的密钥引用在此时解析；Digest认证在收到服务器的质询之前不添加认证信息
+ * @param {Object} config - axios请求配置
+ * @param {Object|string} [auth] - 认证对象或认证提供者名称
+ * @returns {Promise<Object>} 添加了认证信息的请求配置副本
+ */
+async function applyAuth(config, auth) {
+  const resolved = resolveAuth(auth);
+  if (!resolved) {
+    return config;
+  }
+
+  // 运行时状态以认证对象本身为键，凭据使用解析了密钥引用的副本
+  const credentials = resolveSecretReferences(resolved);
+  const result = { ...config, headers: { ...(config.headers || {}) } };
+  switch (resolved.type) {
+    case 'apiKey':
+      if (credentials.in === 'query') {
+        result.params = { ...(config.params || {}), [credentials.name]: credentials.value };
+      } else if (credentials.in === 'cookie') {
+        const cookieKey = Object.keys(result.headers).find(key => key.toLowerCase() === 'cookie');
+        const cookie = `${credentials.name}=${credentials.value}`;
+        setHeader(result.headers, 'Cookie', cookieKey ? `${result.headers[cookieKey]}; ${cookie}` : cookie);
+      } else {
+        setHeader(result.headers, credentials.name, String(credentials.value));
+      }
+      break;
+    case 'bearer':
+      setHeader(result.headers, 'Authorization', `${credentials.scheme} ${credentials.token}`);
+      break;
+    case 'basic':
+      setHeader(result.headers, 'Authorization',
+        `Basic ${Buffer.from(`${credentials.username}:${credentials.password}`).toString('base64')}`);
+      break;
+    case 'digest': {
+      const state = getAuthState(resolved);
+      if (state.challenge) {
+        setHeader(result.headers, 'Authorization', buildDigestHeader(result, credentials, state));
+      }
+      break;
+    }
+    case 'oauth2': {
+      const token = await getOAuth2Token(resolved);
+      setHeader(result.headers, 'Authorization', `${token.tokenType} ${token.accessToken}`);
+      break;
+    }
+    default:
+      break;
+  }
+
+  return result;
+}
+
+/**
+ * 处理401响应，判断更新认证状态后是否应该重试请求
+ * Digest认证根据响应中的质询更新状态，之后的请求直接携带认证信息；
+ * OAuth2认证丢弃请求使用的访问令牌，重试时获取新的令牌
+ * @param {Object|string} [auth] - 认证对象或认证提供者名称
+ * @param {Object} [response] - axios响应对象
+ * @returns {boolean} 是否应该重试
+ */
+function handleUnauthorized(auth, response) {
+  const resolved = resolveAuth(auth);
+  if (!resolved || !response || response.status !== 401) {
+    return false;
+  }
+
+  if (resolved.type === 'digest') {
+    const challenge = parseDigestChallenge(response.headers && response.headers['www-authenticate']);
+    if (challenge) {
+      const state = getAuthState(resolved);
+      state.challenge = challenge;
+      state.nc = 0;
+      return true;
+    }
+  }
+
+  if (resolved.type === 'oauth2') {
+    // 其他请求可能已经刷新了令牌，只丢弃本次请求使用的令牌
+    const key = getTokenCacheKey(resolved);
+    const cached = tokenCache.get(key);
+    const headers = (response.config && response.config.headers) || {};
+    const authorization = String(headers.Authorization || headers.authorization || '');
+    if (cached && cached.accessToken && authorization.endsWith(` ${cached.accessToken}`)) {
+      tokenCache.delete(key);
+    }
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * 添加认证信息并发送请求，收到401响应且可以更新认证状态时重试一次
+ * 请求体是流(如multipart表单、二进制文件)时第一次发送后已被读取，需要传入生成请求配置的函数，重试时重新生成
+ * @param {Object|Function} config - axios请求配置，或每次发送前调用的生成请求配置的函数
+ * @param {Object|string} [auth] - 认证对象或认证提供者名称
+ * @param {Function} [send=axios] - 发送请求的函数
+ * @returns {Promise<Object>} axios响应对象
+ */
+async function sendWithAuth(config, auth, send = axios) {
+  const build = typeof config === 'function' ? config : () => config;
+  try {
+    return await send(await applyAuth(build(), auth));
+  } catch (error) {
+    if (!handleUnauthorized(auth, error.response)) {
+      throw error;
+    }
+    return send(await applyAuth(build(), auth));
+  }
+}
+
+module.exports = {
+  AUTH_TYPES,
+  OAUTH2_FLOWS,
+  normalizeAuth,
+  setAuthProviders,
+  resolveAuth,
+  redactAuth,
+  redactHeaders,
+  applyAuth,
+  handleUnauthorized,
+  sendWithAuth,
+  requestOAuth2Token
+};
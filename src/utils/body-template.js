@@ -0,0 +1,277 @@
+/**
+ * @file body-template.js
+ * @description 请求体模板：解析JSON、YAML和文本形式的bodyTemplate，并用工具参数和全局变量渲染 {{name}} 占位符
+ *
+ * 模板语法：
+ * - `"{{name}}"`：整个字符串只有一个占位符时按原类型插入(数字仍是数字，对象仍是对象)，值不存在时省略所在的属性或数组元素
+ * - `"前缀{{name}}"`：字符串中的占位符转换为文本，任一占位符的值不存在时省略所在的属性
+ * - `"{{#name}}": {...}`：可选片段，name有值时将对象合并到所在对象中，否则省略
+ * - 文本模板中使用 `{{#name}}...{{/name}}` 表示可选片段
+ * - name可以使用点号访问嵌套属性，例如 `{{filter.status}}`
+ */
+
+const yaml = require('js-yaml');
+
+// 占位符，例如 {{name}}、{{filter.status}}
+const PLACEHOLDER = /\{\{\s*([\w$-]+(?:\.[\w$-]+)*)\s*\}\}/g;
+
+// 只包含一个占位符的字符串
+const EXACT_PLACEHOLDER = /^\{\{\s*([\w$-]+(?:\.[\w$-]+)*)\s*\}\}$/;
+
+// 对象模板中的可选片段键，例如 "{{#filter}}"
+const SECTION_KEY = /^\{\{\s*#\s*([\w$-]+(?:\.[\w$-]+)*)\s*\}\}$/;
+
+// 文本模板中的可选片段
+const TEXT_SECTION = /\{\{\s*#\s*([\w$-]+(?:\.[\w$-]+)*)\s*\}\}([\s\S]*?)\{\{\s*\/\s*\1\s*\}\}/g;
+
+// 渲染时表示值不存在，所在的属性或数组元素会被省略
+const MISSING = Symbol('missing');
+
+/**
+ * 给JSON文本中不在字符串内的占位符加上引号，使模板成为合法的JSON
+ * @param {string} text - JSON模板文本
+ * @returns {string} 处理后的JSON文本
+ */
+function quoteJsonPlaceholders(text) {
+  let result = '';
+  let inString = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      result += char;
+      if (char === '\\') {
+        result += text[++i] || '';
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+      result += char;
+    } else if (text.startsWith('{{', i) && text.indexOf('}}', i) > i) {
+      const end = text.indexOf('}}', i) + 2;
+      result += JSON.stringify(text.substring(i, end));
+      i = end - 1;
+    } else {
+      result += char;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * 给YAML文本中作为完整值的占位符加上引号，避免被解析为流式映射
+ * @param {string} text - YAML模板文本
+ * @returns {string} 处理后的YAML文本
+ */
+function quoteYamlPlaceholders(text) {
+  return text.replace(/^(\s*(?:-\s+|[^#\n]*?:\s+)?)(\{\{[^}\n]+\}\})\s*$/gm, (match, prefix, placeholder) =>
+    `${prefix}${JSON.stringify(placeholder)}`);
+}
+
+/**
+ * 将字符串形式的模板解析为对象模板
+ * @param {string} text - 模板文本
+ * @param {string} [format] - json或yaml，未指定时先尝试JSON再尝试YAML
+ * @returns {Object|Array} 对象模板
+ * @throws {Error} 如果模板无法解析
+ */
+function parseBodyTemplate(text, format) {
+  const source = String(text).trim();
+
+  if (format !== 'yaml' && format !== 'yml') {
+    try {
+      return JSON.parse(quoteJsonPlaceholders(source));
+    } catch (error) {
+      if (format === 'json') {
+        throw new Error(`无效的JSON请求体模板: ${error.message}`);
+      }
+    }
+  }
+
+  let parsed;
+  try {
+    parsed = yaml.load(quoteYamlPlaceholders(source));
+  } catch (error) {
+    throw new Error(`无效的YAML请求体模板: ${error.message}`);
+  }
+  if (!parsed || typeof parsed !== 'object') {
+    throw new Error('请求体模板必须是对象或数组');
+  }
+  return parsed;
+}
+
+/**
+ * 按点号路径读取变量值
+ * @param {Object} scope - 工具参数和全局变量
+ * @param {string} name - 变量名，可以包含点号
+ * @returns {*} 变量值，不存在时为undefined
+ */
+function lookup(scope, name) {
+  return name.split('.').reduce((value, key) =>
+    (value !== undefined && value !== null && typeof value === 'object' ? value[key] : undefined), scope);
+}
+
+/**
+ * 判断可选片段是否应该输出：undefined、null、false和空数组视为不存在
+ * @param {*} value - 变量值
+ * @returns {boolean} 是否输出片段
+ */
+function isPresent(value) {
+  return value !== undefined && value !== null && value !== false &&
+    !(Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * 将变量值转换为插入字符串中的文本，对象序列化为JSON
+ * @param {*} value - 变量值
+ * @returns {string} 文本
+ */
+function toText(value) {
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * 渲染对象模板中的节点
+ * @param {*} node - 模板节点
+ * @param {Object} scope - 工具参数和全局变量
+ * @returns {*} 渲染结果，值不存在时为MISSING
+ */
+function renderNode(node, scope) {
+  if (typeof node === 'string') {
+    const exact = node.match(EXACT_PLACEHOLDER);
+    if (exact) {
+      const value = lookup(scope, exact[1]);
+      return value === undefined ? MISSING : value;
+    }
+
+    let missing = false;
+    const text = node.replace(PLACEHOLDER, (match, name) => {
+      const value = lookup(scope, name);
+      if (value === undefined) {
+        missing = true;
+        return '';
+      }
+      return toText(value);
+    });
+    return missing ? MISSING : text;
+  }
+
+  if (Array.isArray(node)) {
+    return node.map(item => renderNode(item, scope)).filter(item => item !== MISSING);
+  }
+
+  if (node && typeof node === 'object') {
+    const result = {};
+    Object.entries(node).forEach(([key, value]) => {
+      const section = key.match(SECTION_KEY);
+      if (section) {
+        const rendered = isPresent(lookup(scope, section[1])) ? renderNode(value, scope) : MISSING;
+        if (rendered !== MISSING && rendered && typeof rendered === 'object' && !Array.isArray(rendered)) {
+          Object.assign(result, rendered);
+        }
+        return;
+      }
+
+      const rendered = renderNode(value, scope);
+      if (rendered !== MISSING) {
+        result[key] = rendered;
+      }
+    });
+    return result;
+  }
+
+  return node;
+}
+
+/**
+ * 渲染文本模板，先处理可选片段再替换占位符，不存在的值替换为空字符串
+ * @param {string} template - 文本模板
+ * @param {Object} scope - 工具参数和全局变量
+ * @param {Function} [escape] - 插入值的转义函数
+ * @returns {string} 渲染后的文本
+ */
+function renderText(template, scope, escape = value => value) {
+  let text = template;
+  let previous;
+  // 嵌套的片段需要多次处理
+  do {
+    previous = text;
+    text = text.replace(TEXT_SECTION, (match, name, inner) => (isPresent(lookup(scope, name)) ? inner : ''));
+  } while (text !== previous);
+
+  return text.replace(PLACEHOLDER, (match, name) => {
+    const value = lookup(scope, name);
+    return value === undefined ? '' : escape(toText(value));
+  });
+}
+
+/**
+ * 转义XML文本中的特殊字符
+ * @param {string} value - 原始文本
+ * @returns {string} 转义后的文本
+ */
+function escapeXml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * 使用工具参数和全局变量渲染请求体模板
+ * @param {Object|Array|string} template - 请求体模板，字符串模板按文本渲染
+ * @param {Object} scope - 工具参数和全局变量，工具参数优先
+ * @param {string} [bodyType='json'] - 请求体类型，xml文本模板中插入的值会被转义
+ * @returns {*} 渲染后的请求体，整个模板的值不存在时为undefined
+ */
+function renderBodyTemplate(template, scope, bodyType = 'json') {
+  if (typeof template === 'string') {
+    return renderText(template, scope, bodyType === 'xml' ? escapeXml : undefined);
+  }
+
+  const rendered = renderNode(template, scope);
+  return rendered === MISSING ? undefined : rendered;
+}
+
+/**
+ * 收集模板中引用的变量名(点号路径的第一段)
+ * @param {Object|Array|string} template - 请求体模板
+ * @returns {Set<string>} 变量名集合
+ */
+function getTemplateVariables(template) {
+  const names = new Set();
+  const collect = text => {
+    const pattern = /\{\{\s*[#/]?\s*([\w$-]+)/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      names.add(match[1]);
+    }
+  };
+
+  const visit = node => {
+    if (typeof node === 'string') {
+      collect(node);
+    } else if (Array.isArray(node)) {
+      node.forEach(visit);
+    } else if (node && typeof node === 'object') {
+      Object.entries(node).forEach(([key, value]) => {
+        collect(key);
+        visit(value);
+      });
+    }
+  };
+
+  visit(template);
+  return names;
+}
+
+module.exports = {
+  parseBodyTemplate,
+  renderBodyTemplate,
+  renderText,
+  getTemplateVariables
+};
@@ -4,14 +4,13 @@
  */
 
 const crypto = require('crypto');
-const { v4: uuidv4 } = require('uuid');
 
 /**
  * 生成UUID
  * @returns {string} UUID字符串
  */
 function generateUUID() {
-  return uuidv4();
+  return crypto.randomUUID();
 }
 
 /**
@@ -269,6 +268,54 @@ function parseQueryString(queryString) {
   }, {});
 }
 
+// JSON Pointer中不允许的片段，避免修改对象原型
+const UNSAFE_POINTER_TOKENS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * 将JSON Pointer(RFC 6901)拆分为片段
+ * @param {string} pointer - JSON Pointer，例如 /filter/status 或 /items/0
+ * @returns {string[]} 解码后的片段
+ * @throws {Error} 如果包含 __proto__、constructor 或 prototype 片段
+ */
+function parsePointer(pointer) {
+  const tokens = String(pointer).split('/').slice(1)
+    .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+  const unsafe = tokens.find(token => UNSAFE_POINTER_TOKENS.includes(token));
+  if (unsafe !== undefined) {
+    throw new Error(`JSON Pointer中不能包含 ${unsafe}: ${pointer}`);
+  }
+  return tokens;
+}
+
+/**
+ * 按JSON Pointer(RFC 6901)设置对象中的值，中间缺失的层级自动创建
+ * @param {Object} target - 目标对象
+ * @param {string} pointer - JSON Pointer，例如 /filter/status 或 /items/0
+ * @param {any} value - 要设置的值
+ * @returns {Object} 目标对象
+ * @throws {Error} 如果包含 __proto__、constructor 或 prototype 片段
+ */
+function setByPointer(target, pointer, value) {
+  const tokens = parsePointer(pointer);
+  
+  let current = target;
+  tokens.forEach((token, index) => {
+    const key = Array.isArray(current) && token === '-' ? current.length : token;
+    if (index === tokens.length - 1) {
+      current[key] = value;
+      return;
+    }
+    
+    if (!current[key] || typeof current[key] !== 'object') {
+      // 下一级为数字或 - 时创建数组
+      current[key] = /^(\d+|-)$/.test(tokens[index + 1]) ? [] : {};
+    }
+    current = current[key];
+  });
+  
+  return target;
+}
+
 // 导出工具函数
 module.exports = {
   generateUUID,
@@ -285,5 +332,7 @@ module.exports = {
   tryExecute,
   once,
   toQueryString,
-  parseQueryString
+  parseQueryString,
+  parsePointer,
+  setByPointer
 }; 
\ No newline at end of file
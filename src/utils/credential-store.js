@@ -0,0 +1,114 @@
+/**
+ * @file credential-store.js
+ * @description 本地凭据存储：保存 webapi-mcp-server auth login 获得的OAuth2刷新令牌，以认证提供者名称为键
+ *
+ * 默认保存在 ~/.webapi-mcp-server/credentials.json，可以用环境变量WEBAPI_CREDENTIALS_FILE指定其他位置。
+ * 文件只允许当前用户读写；服务器每次刷新访问令牌时重新读取，登录或退出后不需要重启服务器
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 凭据文件格式版本
+const STORE_VERSION = 1;
+
+/**
+ * 获取凭据文件路径
+ * @returns {string} 凭据文件的绝对路径
+ */
+function getCredentialsFile() {
+  return path.resolve(process.env.WEBAPI_CREDENTIALS_FILE || path.join(os.homedir(), '.webapi-mcp-server', 'credentials.json'));
+}
+
+/**
+ * 读取凭据文件
+ * @returns {Object} 以认证提供者名称为键的会话
+ * @throws {Error} 如果凭据文件无法解析
+ */
+function readStore() {
+  const file = getCredentialsFile();
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+
+  try {
+    const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return content.sessions && typeof content.sessions === 'object' ? content.sessions : {};
+  } catch (error) {
+    throw new Error(`无法读取凭据文件 ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * 写入凭据文件，先写临时文件再重命名，避免写入中断时损坏已有的凭据
+ * @param {Object} sessions - 以认证提供者名称为键的会话
+ */
+function writeStore(sessions) {
+  const file = getCredentialsFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+
+  const temp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify({ version: STORE_VERSION, sessions }, null, 2), { mode: 0o600 });
+  fs.renameSync(temp, file);
+}
+
+/**
+ * 获取认证提供者保存的会话
+ * @param {string} provider - 认证提供者名称
+ * @returns {Object|null} 会话(refreshToken、scope、tokenUrl、clientId、createdAt、updatedAt)
+ */
+function getSession(provider) {
+  return readStore()[provider] || null;
+}
+
+/**
+ * 保存认证提供者的会话，与已有的会话合并
+ * @param {string} provider - 认证提供者名称
+ * @param {Object} session - 会话内容
+ * @returns {Object} 保存后的会话
+ */
+function saveSession(provider, session) {
+  const sessions = readStore();
+  const now = new Date().toISOString();
+  sessions[provider] = {
+    createdAt: now,
+    ...sessions[provider],
+    ...session,
+    updatedAt: now
+  };
+  writeStore(sessions);
+  return sessions[provider];
+}
+
+/**
+ * 删除认证提供者的会话
+ * @param {string} provider - 认证提供者名称
+ * @returns {Object|null} 被删除的会话，不存在时返回null
+ */
+function deleteSession(provider) {
+  const sessions = readStore();
+  const session = sessions[provider];
+  if (!session) {
+    return null;
+  }
+  delete sessions[provider];
+  writeStore(sessions);
+  return session;
+}
+
+/**
+ * 列出所有保存的会话
+ * @returns {Object} 以认证提供者名称为键的会话
+ */
+function listSessions() {
+  return readStore();
+}
+
+module.exports = {
+  getCredentialsFile,
+  getSession,
+  saveSession,
+  deleteSession,
+  listSessions
+};
@@ -5,6 +5,7 @@
 
 const axios = require('axios');
 const logger = require('./logger');
+const { normalizeAuth, applyAuth, handleUnauthorized } = require('./auth');
 
 /**
  * 默认配置
@@ -28,14 +29,24 @@ class HttpClient {
   /**
    * 构造函数
    * @param {Object} [config={}] - 全局配置参数
+   * @param {Object|string} [config.auth] - 认证对象或认证提供者名称，见auth.js
    */
   constructor(config = {}) {
-    this.config = { ...defaultConfig, ...config };
+    const { auth, ...axiosConfig } = config;
+    this.config = { ...defaultConfig, ...axiosConfig };
     this.instance = axios.create(this.config);
+    this.setAuth(auth);
     
     // 请求拦截器
     this.instance.interceptors.request.use(
-      (config) => {
+      async (config) => {
+        // 添加认证信息，axios的headers对象需要保留原有的方法
+        if (this.auth) {
+          const { headers, ...authConfig } = await applyAuth({ ...config, headers: config.headers.toJSON() }, this.auth);
+          Object.assign(config, authConfig);
+          config.headers.set(headers);
+        }
+        
         const contextLogger = logger.child({ 
           url: config.url,
           method: config.method.toUpperCase(),
@@ -76,6 +87,12 @@ class HttpClient {
       (error) => {
         const { config, response } = error;
         
+        // 收到401响应且可以更新认证状态(如Digest质询)时重试一次
+        if (config && !config._authRetried && handleUnauthorized(this.auth, response)) {
+          config._authRetried = true;
+          return this.instance.request(config);
+        }
+        
         if (!config) {
           logger.error('HTTP请求发生网络错误', { error: error.message });
           return Promise.reject(new HttpError('网络错误', 0, error));
@@ -124,6 +141,14 @@ class HttpClient {
     Object.assign(this.instance.defaults.headers.common, headers);
   }
   
+  /**
+   * 设置认证方式，之后的请求都会携带相应的认证信息
+   * @param {Object|string|null} auth - 认证对象或认证提供者名称，为null时取消认证
+   */
+  setAuth(auth) {
+    this.auth = auth && typeof auth === 'object' ? normalizeAuth(auth) : auth || null;
+  }
+  
   /**
    * 设置认证令牌
    * @param {string} token - 认证令牌
@@ -8,6 +8,7 @@ const path = require('path');
 const fs = require('fs-extra');
 const { format } = winston;
 const { combine, timestamp, printf, colorize, splat } = format;
+const { maskSecrets } = require('./secrets');
 
 // 日志目录
 const LOG_DIR = process.env.LOG_DIR || path.resolve(process.cwd(), './logs');
@@ -15,17 +16,49 @@ const LOG_DIR = process.env.LOG_DIR || path.resolve(process.cwd(), './logs');
 // 确保日志目录存在
 fs.ensureDirSync(LOG_DIR);
 
-// 自定义格式
+/**
+ * 将日志附加数据序列化为JSON
+ * 错误对象只保留名称、消息、状态码和堆栈，循环引用(如axios错误中的请求和响应)替换为占位符
+ * @param {Object} meta - 附加数据
+ * @returns {string} JSON文本
+ */
+function stringifyMeta(meta) {
+  const seen = new WeakSet();
+  return JSON.stringify(meta, (key, value) => {
+    if (value instanceof Error) {
+      const error = { name: value.name, message: value.message };
+      if (value.code) {
+        error.code = value.code;
+      }
+      if (value.response && value.response.status) {
+        error.status = value.response.status;
+      }
+      if (value.stack) {
+        error.stack = value.stack;
+      }
+      return error;
+    }
+    if (value && typeof value === 'object') {
+      if (seen.has(value)) {
+        return '[Circular]';
+      }
+      seen.add(value);
+    }
+    return value;
+  });
+}
+
+// 自定义格式，已解析的密钥引用的值替换为占位符
 const customFormat = printf(({ level, message, timestamp, ...rest }) => {
   let logMessage = `${timestamp} [${level}]: ${message}`;
   
   // 如果有其他数据，将其添加到日志中
   if (Object.keys(rest).length > 0) {
-    const meta = JSON.stringify(rest);
+    const meta = stringifyMeta(rest);
     logMessage += ` | ${meta}`;
   }
   
-  return logMessage;
+  return maskSecrets(logMessage);
 });
 
 // 创建 Winston 日志记录器
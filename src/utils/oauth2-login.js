@@ -0,0 +1,266 @@
+/**
+ * @file oauth2-login.js
+ * @description OAuth2授权码流程登录：使用PKCE(RFC 7636)和本机回环回调地址(RFC 8252)获取刷新令牌并保存到本地凭据存储
+ */
+
+const http = require('http');
+const { spawn } = require('child_process');
+const axios = require('axios');
+const { hash, randomString } = require('./common');
+const { requestOAuth2Token } = require('./auth');
+const credentialStore = require('./credential-store');
+const { resolveSecretReferences } = require('./secrets');
+
+// 未配置redirectUri时的回调地址，端口为0表示由系统分配空闲端口
+const DEFAULT_REDIRECT_URI = 'http://127.0.0.1:0/callback';
+
+// 等待用户在浏览器中完成授权的默认时间(毫秒)
+const DEFAULT_LOGIN_TIMEOUT = 5 * 60 * 1000;
+
+// PKCE code_verifier允许的字符(RFC 7636 4.1)
+const VERIFIER_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~';
+
+/**
+ * 生成PKCE的code_verifier和S256 code_challenge
+ * @returns {{verifier: string, challenge: string}} code_verifier和code_challenge
+ */
+function createPkcePair() {
+  const verifier = randomString(64, VERIFIER_CHARS);
+  return { verifier, challenge: hash(verifier, 'sha256', 'base64url') };
+}
+
+/**
+ * 生成授权地址
+ * @param {Object} auth - OAuth2授权码流程的认证对象
+ * @param {Object} request - 本次授权请求的参数
+ * @param {string} request.redirectUri - 回调地址
+ * @param {string} request.state - state参数
+ * @param {string} request.challenge - PKCE code_challenge
+ * @returns {string} 授权地址
+ */
+function buildAuthorizationUrl(auth, { redirectUri, state, challenge }) {
+  const url = new URL(auth.authorizationUrl);
+  const params = {
+    response_type: 'code',
+    client_id: auth.clientId,
+    redirect_uri: redirectUri,
+    state,
+    code_challenge: challenge,
+    code_challenge_method: 'S256'
+  };
+  if (auth.scope) {
+    params.scope = auth.scope;
+  }
+  if (auth.audience) {
+    params.audience = auth.audience;
+  }
+  Object.entries({ ...params, ...auth.authorizationParams }).forEach(([key, value]) => {
+    url.searchParams.set(key, String(value));
+  });
+  return url.href;
+}
+
+/**
+ * 在默认浏览器中打开地址，打开失败时忽略(用户可以手动复制地址)
+ * @param {string} url - 地址
+ */
+function openBrowser(url) {
+  const [command, args] = process.platform === 'darwin' ? ['open', [url]]
+    : process.platform === 'win32' ? ['cmd', ['/c', 'start', '', url]]
+      : ['xdg-open', [url]];
+  try {
+    const child = spawn(command, args, { stdio: 'ignore', detached: true });
+    child.on('error', () => {});
+    child.unref();
+  } catch (error) {
+    // 没有可用的浏览器
+  }
+}
+
+/**
+ * 转义HTML文本中的特殊字符
+ * @param {string} value - 原始文本
+ * @returns {string} 转义后的文本
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * 回复浏览器的回调请求
+ * @param {http.ServerResponse} res - 响应对象
+ * @param {number} status - 状态码
+ * @param {string} message - 显示给用户的消息，可能包含授权服务器返回的文本，输出前进行转义
+ */
+function respond(res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(`<!DOCTYPE html><html><head><meta charset="utf-8"><title>WebAPI MCP服务器</title></head><body><p>${escapeHtml(message)}</p></body></html>`);
+}
+
+/**
+ * 在回调地址上监听，等待授权服务器把浏览器重定向回来
+ * @param {string} redirectUri - 配置的回调地址
+ * @param {string} state - 本次授权请求的state参数
+ * @returns {Promise<{redirectUri: string, code: Promise<string>, close: Function}>}
+ *   实际的回调地址(分配端口后)、授权码和关闭监听的函数
+ */
+async function listenForCallback(redirectUri, state) {
+  const url = new URL(redirectUri);
+  let resolveCode;
+  let rejectCode;
+  const code = new Promise((resolve, reject) => {
+    resolveCode = resolve;
+    rejectCode = reject;
+  });
+  // 监听结束前可能没有人等待授权码，避免未处理的拒绝
+  code.catch(() => {});
+
+  const server = http.createServer((req, res) => {
+    const callback = new URL(req.url, url);
+    if (callback.pathname !== url.pathname) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+
+    const params = callback.searchParams;
+    if (params.get('state') !== state) {
+      respond(res, 400, '登录失败：state参数不匹配，请重新运行登录命令。');
+      rejectCode(new Error('授权回调的state参数不匹配'));
+    } else if (params.get('error')) {
+      const reason = params.get('error_description') || params.get('error');
+      respond(res, 400, `登录失败：${reason}`);
+      rejectCode(new Error(`授权失败: ${reason}`));
+    } else if (!params.get('code')) {
+      respond(res, 400, '登录失败：回调中没有授权码。');
+      rejectCode(new Error('授权回调中没有授权码'));
+    } else {
+      respond(res, 200, '登录成功，可以关闭此页面并返回命令行。');
+      resolveCode(params.get('code'));
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(Number(url.port) || 0, url.hostname.replace(/^\[|\]$/g, ''), resolve);
+  });
+
+  // 未指定端口时使用系统分配的端口
+  if (!Number(url.port)) {
+    url.port = server.address().port;
+  }
+
+  return {
+    redirectUri: url.href,
+    code,
+    close: () => new Promise(resolve => server.close(() => resolve()))
+  };
+}
+
+/**
+ * 使用授权码流程登录认证提供者，并保存刷新令牌
+ * @param {Object} auth - 规范化后的OAuth2授权码流程认证对象
+ * @param {Object} [options={}] - 登录选项
+ * @param {Function|null} [options.openBrowser] - 打开授权地址的函数，为null时只输出地址
+ * @param {Function} [options.onAuthorizationUrl] - 生成授权地址后调用，用于提示用户
+ * @param {number} [options.timeout] - 等待用户完成授权的时间(毫秒)
+ * @returns {Promise<Object>} 保存的会话
+ * @throws {Error} 如果授权失败、超时或授权服务器没有返回刷新令牌
+ */
+async function login(auth, options = {}) {
+  if (!auth || auth.type !== 'oauth2' || auth.flow !== 'authorizationCode') {
+    throw new Error('只有OAuth2授权码流程(flow: authorizationCode)的认证提供者需要登录');
+  }
+
+  const { verifier, challenge } = createPkcePair();
+  const state = randomString(32);
+  const listener = await listenForCallback(auth.redirectUri || DEFAULT_REDIRECT_URI, state);
+  const timeout = options.timeout || DEFAULT_LOGIN_TIMEOUT;
+  let timer;
+
+  try {
+    const authorizationUrl = buildAuthorizationUrl(resolveSecretReferences(auth), { redirectUri: listener.redirectUri, state, challenge });
+    if (options.onAuthorizationUrl) {
+      options.onAuthorizationUrl(authorizationUrl);
+    }
+    const open = options.openBrowser === undefined ? openBrowser : options.openBrowser;
+    if (open) {
+      open(authorizationUrl);
+    }
+
+    const code = await Promise.race([
+      listener.code,
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`等待授权超时(${Math.round(timeout / 1000)}秒)`)), timeout);
+      })
+    ]);
+
+    const token = await requestOAuth2Token(auth, {
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: listener.redirectUri,
+      code_verifier: verifier
+    });
+    if (!token.refreshToken) {
+      throw new Error('授权服务器没有返回refresh_token，可能需要在scope中添加offline_access或在authorizationParams中添加access_type=offline');
+    }
+
+    return credentialStore.saveSession(auth.provider, {
+      refreshToken: token.refreshToken,
+      scope: token.scope || auth.scope,
+      tokenUrl: auth.tokenUrl,
+      clientId: auth.clientId,
+      createdAt: new Date().toISOString()
+    });
+  } finally {
+    clearTimeout(timer);
+    await listener.close();
+  }
+}
+
+/**
+ * 退出登录：删除保存的会话，配置了revocationUrl时同时撤销刷新令牌(RFC 7009)
+ * @param {string} provider - 认证提供者名称
+ * @param {Object} [auth] - 规范化后的认证对象，用于撤销令牌
+ * @returns {Promise<{session: Object|null, revoked: boolean}>} 被删除的会话和是否已撤销
+ * @throws {Error} 如果撤销令牌失败(会话已经删除)
+ */
+async function logout(provider, auth) {
+  const session = credentialStore.deleteSession(provider);
+  if (!session || !auth || !auth.revocationUrl) {
+    return { session, revoked: false };
+  }
+
+  const credentials = resolveSecretReferences(auth);
+  const body = new URLSearchParams({ token: session.refreshToken, token_type_hint: 'refresh_token' });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  if (credentials.clientSecret && credentials.clientAuth !== 'body') {
+    const basic = `${encodeURIComponent(credentials.clientId)}:${encodeURIComponent(credentials.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(basic).toString('base64')}`;
+  } else {
+    body.set('client_id', credentials.clientId);
+    if (credentials.clientSecret) {
+      body.set('client_secret', credentials.clientSecret);
+    }
+  }
+
+  try {
+    await axios.post(credentials.revocationUrl, body.toString(), { headers, timeout: credentials.timeout || 30000 });
+  } catch (error) {
+    throw new Error(`本地会话已删除，但撤销刷新令牌失败: ${error.response ? `HTTP ${error.response.status}` : error.message}`);
+  }
+  return { session, revoked: true };
+}
+
+module.exports = {
+  createPkcePair,
+  buildAuthorizationUrl,
+  openBrowser,
+  login,
+  logout
+};
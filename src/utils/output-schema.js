@@ -0,0 +1,172 @@
+/**
+ * @file output-schema.js
+ * @description 工具的输出schema：从API定义中的outputSchema或响应示例推断JSON Schema，并转换为MCP工具的outputSchema
+ */
+
+const { z } = require('zod');
+const { buildJsonSchema } = require('./zod-schema');
+const { extractResult, queryJson } = require('../tools/json-parser');
+
+// MCP要求structuredContent是对象，其他类型的结果包装在该属性中
+const WRAPPED_RESULT_KEY = 'result';
+
+/**
+ * 根据示例值推断JSON Schema
+ * 数组元素的schema由所有元素合并得到；示例不能说明哪些值一定存在，所以推断出的属性都不是必填的，并且都可以为null
+ * @param {*} sample - 示例值
+ * @returns {Object} JSON Schema
+ */
+function inferJsonSchema(sample) {
+  return allowNullValues(inferSchema(sample));
+}
+
+/**
+ * 允许对象属性和数组元素为null
+ * @param {Object} schema - 推断出的JSON Schema
+ * @returns {Object} JSON Schema
+ */
+function allowNullValues(schema) {
+  const nullable = child => {
+    const result = allowNullValues(child);
+    return result.type ? { ...result, type: [result.type, 'null'] } : result;
+  };
+
+  if (schema.type === 'object') {
+    const properties = {};
+    Object.entries(schema.properties).forEach(([key, property]) => {
+      properties[key] = nullable(property);
+    });
+    return { ...schema, properties };
+  }
+  if (schema.type === 'array' && schema.items) {
+    return { ...schema, items: nullable(schema.items) };
+  }
+  return schema;
+}
+
+/**
+ * 根据示例值推断JSON Schema，null值不限制类型
+ * @param {*} sample - 示例值
+ * @returns {Object} JSON Schema
+ */
+function inferSchema(sample) {
+  if (sample === null || sample === undefined) {
+    return {};
+  }
+
+  if (Array.isArray(sample)) {
+    const schema = { type: 'array' };
+    const items = sample.map(inferSchema).reduce(mergeJsonSchemas, null);
+    if (items && Object.keys(items).length > 0) {
+      schema.items = items;
+    }
+    return schema;
+  }
+
+  if (typeof sample === 'object') {
+    const properties = {};
+    Object.entries(sample).forEach(([key, value]) => {
+      properties[key] = inferSchema(value);
+    });
+    return { type: 'object', properties };
+  }
+
+  if (typeof sample === 'number') {
+    return { type: 'number' };
+  }
+  return { type: typeof sample === 'boolean' ? 'boolean' : 'string' };
+}
+
+/**
+ * 合并两个推断出的JSON Schema，类型不同时不限制类型
+ * @param {Object|null} a - JSON Schema
+ * @param {Object} b - JSON Schema
+ * @returns {Object} 合并后的JSON Schema
+ */
+function mergeJsonSchemas(a, b) {
+  if (!a) {
+    return b;
+  }
+  if (!a.type || !b.type) {
+    return a.type ? a : b;
+  }
+  if (a.type !== b.type) {
+    return {};
+  }
+
+  if (a.type === 'object') {
+    const properties = { ...a.properties };
+    Object.entries(b.properties).forEach(([key, schema]) => {
+      properties[key] = properties[key] ? mergeJsonSchemas(properties[key], schema) : schema;
+    });
+    return { type: 'object', properties };
+  }
+  if (a.type === 'array') {
+    const items = mergeJsonSchemas(a.items || null, b.items || {});
+    return items && Object.keys(items).length > 0 ? { type: 'array', items } : { type: 'array' };
+  }
+  return a;
+}
+
+/**
+ * 根据API定义中的响应示例推断工具结果的JSON Schema
+ * 示例为完整的响应，先按resultPath和resultQuery提取结果；自动分页的API推断合并后的数据项
+ * @param {Object} apiDef - API定义
+ * @returns {Object} JSON Schema
+ */
+function inferOutputSchema(apiDef) {
+  const sample = apiDef.responseExample;
+
+  if (apiDef.pagination) {
+    const itemsPath = apiDef.pagination.itemsPath || apiDef.resultPath;
+    let items = itemsPath ? queryJson(sample, itemsPath) : sample;
+    if (apiDef.resultQuery) {
+      items = extractResult(items, { resultQuery: apiDef.resultQuery });
+    }
+    return {
+      type: 'object',
+      properties: {
+        items: inferJsonSchema(Array.isArray(items) ? items : []),
+        pagination: { type: 'object' }
+      }
+    };
+  }
+
+  return inferJsonSchema(extractResult(sample, apiDef));
+}
+
+/**
+ * 创建MCP工具的输出schema
+ * 结果不是对象时，structuredContent为 {result: 结果}
+ * @param {Object} schema - 工具结果的JSON Schema
+ * @returns {{schema: z.ZodObject, wrapped: boolean}} zod对象schema和结果是否被包装
+ */
+function buildOutputSchema(schema) {
+  if (schema.type === 'object') {
+    const output = buildJsonSchema(schema);
+    // 没有声明属性的对象会转换为record，而MCP工具的outputSchema需要是对象schema
+    return { schema: output instanceof z.ZodObject ? output : z.object({}).passthrough(), wrapped: false };
+  }
+
+  return {
+    schema: z.object({ [WRAPPED_RESULT_KEY]: buildJsonSchema(schema) }),
+    wrapped: true
+  };
+}
+
+/**
+ * 生成structuredContent
+ * @param {*} value - 工具结果
+ * @param {boolean} wrapped - 结果是否需要包装
+ * @returns {Object} structuredContent
+ */
+function toStructuredContent(value, wrapped) {
+  return wrapped ? { [WRAPPED_RESULT_KEY]: value } : value;
+}
+
+module.exports = {
+  inferJsonSchema,
+  inferOutputSchema,
+  buildOutputSchema,
+  toStructuredContent
+};
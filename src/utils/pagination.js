@@ -0,0 +1,242 @@
+/**
+ * @file pagination.js
+ * @description 自动分页：按页码、offset/limit、游标或RFC 5988 Link响应头依次请求多页，合并各页的数据项
+ */
+
+const { queryJson, validateQueryExpression } = require('../tools/json-parser');
+
+// 支持的分页方式
+const PAGINATION_TYPES = ['page', 'offset', 'cursor', 'link'];
+
+// 默认最多请求的页数
+const DEFAULT_MAX_PAGES = 5;
+
+/**
+ * 检查并补全分页配置的默认值
+ * @param {Object} pagination - API定义中的pagination配置
+ * @returns {Object} 规范化后的分页配置
+ * @throws {Error} 如果配置无效
+ */
+function normalizePagination(pagination) {
+  if (!pagination || typeof pagination !== 'object' || Array.isArray(pagination)) {
+    throw new Error('pagination必须是对象');
+  }
+
+  const config = { ...pagination, type: String(pagination.type || '').toLowerCase() };
+  if (!PAGINATION_TYPES.includes(config.type)) {
+    throw new Error(`不支持的分页方式: ${pagination.type}，支持 ${PAGINATION_TYPES.join(', ')}`);
+  }
+
+  ['maxPages', 'maxItems', 'pageSize', 'limit'].forEach(key => {
+    if (config[key] !== undefined && (!Number.isInteger(config[key]) || config[key] <= 0)) {
+      throw new Error(`pagination.${key}必须是正整数: ${config[key]}`);
+    }
+  });
+  config.maxPages = config.maxPages || DEFAULT_MAX_PAGES;
+
+  // 响应中数据项、游标、总数和是否还有更多数据的位置，与resultPath相同默认为点号路径
+  ['itemsPath', 'cursorPath', 'totalPath', 'hasMorePath'].forEach(key => {
+    if (config[key] !== undefined) {
+      validateQueryExpression(config[key], 'path');
+    }
+  });
+
+  switch (config.type) {
+    case 'page':
+      config.pageParam = config.pageParam || 'page';
+      config.startPage = config.startPage !== undefined ? config.startPage : 1;
+      break;
+    case 'offset':
+      config.offsetParam = config.offsetParam || 'offset';
+      config.limitParam = config.limitParam || 'limit';
+      break;
+    case 'cursor':
+      config.cursorParam = config.cursorParam || 'cursor';
+      if (!config.cursorPath && !config.cursorHeader) {
+        throw new Error('游标分页需要指定cursorPath(响应体中下一页游标的位置)或cursorHeader(响应头名称)');
+      }
+      break;
+    default:
+      break;
+  }
+
+  return config;
+}
+
+/**
+ * 从Link响应头中解析rel="next"的地址
+ * @param {string} header - Link响应头
+ * @param {string} baseUrl - 当前请求的URL，用于解析相对地址
+ * @returns {string|null} 下一页的URL
+ */
+function parseNextLink(header, baseUrl) {
+  if (!header) {
+    return null;
+  }
+
+  const links = String(header).split(/,(?=\s*<)/);
+  for (const link of links) {
+    const match = link.match(/<([^>]*)>(.*)/);
+    if (match && /;\s*rel\s*=\s*"?([^";]*\s)?next(\s[^";]*)?"?/i.test(match[2])) {
+      return new URL(match[1].trim(), baseUrl).href;
+    }
+  }
+  return null;
+}
+
+/**
+ * 获取响应头的值(忽略大小写)
+ * @param {Object} headers - 响应头
+ * @param {string} name - 响应头名称
+ * @returns {string|undefined} 响应头的值
+ */
+function getHeader(headers = {}, name) {
+  const key = Object.keys(headers).find(item => item.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : undefined;
+}
+
+/**
+ * 按分页配置依次请求多页并合并数据项
+ * @param {Object} pagination - 规范化后的分页配置
+ * @param {Object} params - 工具调用参数，分页参数的初始值可以由调用方传入
+ * @param {Function} fetchPage - 请求一页的函数 (params, url?) => Promise<{data, headers, url}>，
+ *   url存在时(Link分页)直接请求该地址
+ * @param {Object} [options={}] - 分页选项
+ * @param {string} [options.itemsPath] - 未在分页配置中指定itemsPath时使用的数据项位置
+ * @returns {Promise<{items: Array, pagination: Object}>} 合并后的数据项和分页信息
+ */
+async function paginate(pagination, params, fetchPage, options = {}) {
+  const itemsPath = pagination.itemsPath || options.itemsPath;
+  const maxItems = pagination.maxItems || Infinity;
+  const items = [];
+
+  // 当前页的请求参数，调用方传入的分页参数作为起始位置
+  const pageParams = { ...params };
+  let pageNumber;
+  let offset;
+  if (pagination.type === 'page') {
+    pageNumber = pageParams[pagination.pageParam] !== undefined ? Number(pageParams[pagination.pageParam]) : pagination.startPage;
+    pageParams[pagination.pageParam] = pageNumber;
+    if (pagination.sizeParam && pagination.pageSize && pageParams[pagination.sizeParam] === undefined) {
+      pageParams[pagination.sizeParam] = pagination.pageSize;
+    }
+  } else if (pagination.type === 'offset') {
+    offset = pageParams[pagination.offsetParam] !== undefined ? Number(pageParams[pagination.offsetParam]) : 0;
+    pageParams[pagination.offsetParam] = offset;
+    if (pagination.limit && pageParams[pagination.limitParam] === undefined) {
+      pageParams[pagination.limitParam] = pagination.limit;
+    }
+  }
+  const pageSize = pagination.type === 'page'
+    ? Number(pageParams[pagination.sizeParam]) || pagination.pageSize
+    : Number(pageParams[pagination.limitParam]) || pagination.limit;
+
+  let pages = 0;
+  let lastCount = 0;
+  // 第一页请求的来源，Link分页只跟随同一来源的地址，避免把认证信息发送到其他主机
+  let origin;
+  let nextUrl = null;
+  let next = null;
+  let hasMore = false;
+  let total;
+
+  for (;;) {
+    const page = await fetchPage(pageParams, nextUrl || undefined);
+    pages++;
+
+    const pageItems = itemsPath ? queryJson(page.data, itemsPath) : page.data;
+    if (!Array.isArray(pageItems)) {
+      throw new Error(`第 ${pages} 页的数据项不是数组，请检查pagination.itemsPath: ${itemsPath || '(响应本身)'}`);
+    }
+    items.push(...pageItems);
+    lastCount = pageItems.length;
+
+    if (pagination.totalPath) {
+      const value = Number(queryJson(page.data, pagination.totalPath));
+      total = Number.isFinite(value) ? value : total;
+    }
+
+    // 根据分页方式确定下一页的位置，null表示已经是最后一页
+    next = null;
+    if (pagination.type === 'page') {
+      const full = pageSize ? pageItems.length >= pageSize : pageItems.length > 0;
+      if (full) {
+        next = pageNumber + 1;
+      }
+    } else if (pagination.type === 'offset') {
+      const full = pageSize ? pageItems.length >= pageSize : pageItems.length > 0;
+      if (full) {
+        next = offset + pageItems.length;
+      }
+    } else if (pagination.type === 'cursor') {
+      const cursor = pagination.cursorPath
+        ? queryJson(page.data, pagination.cursorPath)
+        : getHeader(page.headers, pagination.cursorHeader);
+      if (cursor !== undefined && cursor !== null && cursor !== '') {
+        next = cursor;
+      }
+    } else {
+      origin = origin || new URL(page.url).origin;
+      next = parseNextLink(getHeader(page.headers, 'link'), page.url);
+      if (next !== null && new URL(next).origin !== origin) {
+        throw new Error(`Link响应头中下一页的地址 ${next} 与API地址的来源 ${origin} 不同，已拒绝请求`);
+      }
+    }
+
+    // 响应中明确表示没有更多数据，或者已经取完全部数据
+    if (pagination.hasMorePath && queryJson(page.data, pagination.hasMorePath) === false) {
+      next = null;
+    }
+    if (total !== undefined && (pagination.type === 'offset' ? next : items.length) >= total) {
+      next = null;
+    }
+    if (pageItems.length === 0) {
+      next = null;
+    }
+
+    hasMore = next !== null || items.length > maxItems;
+    if (next === null || pages >= pagination.maxPages || items.length >= maxItems) {
+      break;
+    }
+
+    if (pagination.type === 'page') {
+      pageNumber = next;
+      pageParams[pagination.pageParam] = next;
+    } else if (pagination.type === 'offset') {
+      offset = next;
+      pageParams[pagination.offsetParam] = next;
+    } else if (pagination.type === 'cursor') {
+      pageParams[pagination.cursorParam] = next;
+    } else {
+      nextUrl = next;
+    }
+  }
+
+  // 超出maxItems的数据项不返回
+  const dropped = Math.max(0, items.length - maxItems);
+  if (dropped > 0) {
+    items.length = maxItems;
+  }
+
+  const meta = { type: pagination.type, pages, items: items.length, hasMore };
+  if (total !== undefined) {
+    meta.total = total;
+  }
+  // 只给出调用工具时可以传入的分页参数：Link分页的地址不能作为参数传入，
+  // maxItems截断最后一页时页码和游标只能定位到该页，会重复返回数据项，这些情况只返回hasMore
+  if (hasMore && pagination.type === 'offset') {
+    // offset可以直接定位到第一条未返回的数据项
+    meta.next = { [pagination.offsetParam]: dropped > 0 ? offset + lastCount - dropped : next };
+  } else if (hasMore && dropped === 0 && pagination.type !== 'link') {
+    meta.next = { [pagination.type === 'page' ? pagination.pageParam : pagination.cursorParam]: next };
+  }
+
+  return { items, pagination: meta };
+}
+
+module.exports = {
+  PAGINATION_TYPES,
+  normalizePagination,
+  parseNextLink,
+  paginate
+};
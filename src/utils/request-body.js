@@ -0,0 +1,213 @@
+/**
+ * @file request-body.js
+ * @description 根据API定义的bodyType序列化请求体，支持JSON、表单、multipart、文本、XML和二进制文件
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const FormData = require('form-data');
+const mime = require('mime-types');
+
+// 支持的请求体类型
+const BODY_TYPES = ['json', 'form', 'multipart', 'text', 'xml', 'binary'];
+
+// 各请求体类型默认的Content-Type，multipart由form-data生成(包含boundary)
+const DEFAULT_CONTENT_TYPES = {
+  form: 'application/x-www-form-urlencoded',
+  text: 'text/plain; charset=utf-8',
+  xml: 'application/xml; charset=utf-8',
+  binary: 'application/octet-stream'
+};
+
+/**
+ * 获取请求头中的Content-Type(忽略大小写)
+ * @param {Object} headers - 请求头
+ * @returns {string} Content-Type，不存在时为空字符串
+ */
+function getContentType(headers = {}) {
+  const key = Object.keys(headers).find(name => name.toLowerCase() === 'content-type');
+  return key ? String(headers[key]) : '';
+}
+
+/**
+ * 设置请求头中的Content-Type，移除其他大小写形式的同名请求头
+ * @param {Object} headers - 请求头
+ * @param {string} value - Content-Type
+ */
+function setContentType(headers, value) {
+  Object.keys(headers)
+    .filter(name => name.toLowerCase() === 'content-type')
+    .forEach(name => delete headers[name]);
+  headers['Content-Type'] = value;
+}
+
+/**
+ * 确定API的请求体类型，未指定bodyType时根据Content-Type请求头推断
+ * @param {Object} apiDef - API定义
+ * @returns {string} 请求体类型
+ */
+function resolveBodyType(apiDef) {
+  if (apiDef.bodyType) {
+    return String(apiDef.bodyType).toLowerCase();
+  }
+
+  const contentType = getContentType(apiDef.headers).toLowerCase();
+  if (contentType.includes('x-www-form-urlencoded')) {
+    return 'form';
+  }
+  if (contentType.includes('multipart/form-data')) {
+    return 'multipart';
+  }
+  if (contentType.includes('xml')) {
+    return 'xml';
+  }
+  if (contentType.startsWith('text/')) {
+    return 'text';
+  }
+  if (contentType.includes('octet-stream')) {
+    return 'binary';
+  }
+  return 'json';
+}
+
+/**
+ * 解析要上传的本地文件路径，只允许读取配置的目录中的文件
+ * @param {string} filePath - 本地文件路径
+ * @param {string[]} fileDirectories - 允许读取的目录
+ * @returns {string} 文件的真实路径
+ * @throws {Error} 如果未配置目录、文件不存在或文件不在允许的目录中
+ */
+function resolveUploadPath(filePath, fileDirectories = []) {
+  if (fileDirectories.length === 0) {
+    throw new Error('未配置允许上传的文件目录(fileDirectories)，无法读取本地文件');
+  }
+
+  const resolved = path.resolve(String(filePath));
+  if (!fs.existsSync(resolved) || !fs.statSync(resolved).isFile()) {
+    throw new Error(`文件不存在: ${filePath}`);
+  }
+
+  // 使用真实路径比较，防止通过符号链接或 .. 访问目录之外的文件
+  const realPath = fs.realpathSync(resolved);
+  const allowed = fileDirectories.some(dir => {
+    if (!fs.existsSync(dir)) {
+      return false;
+    }
+    const relative = path.relative(fs.realpathSync(dir), realPath);
+    return relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+  });
+
+  if (!allowed) {
+    throw new Error(`文件不在允许上传的目录中: ${filePath}`);
+  }
+
+  return realPath;
+}
+
+/**
+ * 将字段值转换为表单中的字符串，对象序列化为JSON
+ * @param {*} value - 字段值
+ * @returns {string} 字符串值
+ */
+function toFieldValue(value) {
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * 遍历请求体字段，数组展开为多个同名字段
+ * @param {Object} fields - 请求体字段
+ * @param {Function} callback - 回调函数(key, value)
+ */
+function forEachField(fields, callback) {
+  Object.entries(fields || {}).forEach(([key, value]) => {
+    if (value === undefined) {
+      return;
+    }
+    if (Array.isArray(value)) {
+      value.forEach(item => callback(key, item));
+    } else {
+      callback(key, value);
+    }
+  });
+}
+
+/**
+ * 按请求体类型序列化请求体，并设置相应的Content-Type请求头
+ * @param {string} bodyType - 请求体类型
+ * @param {*} data - 按JSON方式组装的请求体
+ * @param {Object} options - 序列化选项
+ * @param {Object} options.parameters - API的参数定义，用于识别file类型的参数
+ * @param {Object} options.headers - 请求头，会被修改
+ * @param {string[]} [options.fileDirectories] - 允许上传的文件目录
+ * @returns {*} 序列化后的请求体，可直接作为axios的data
+ */
+function serializeBody(bodyType, data, options) {
+  const { parameters = {}, headers, fileDirectories = [] } = options;
+  const isFileParam = key => parameters[key] && parameters[key].type === 'file';
+  const contentType = getContentType(headers);
+
+  switch (bodyType) {
+    case 'form': {
+      const form = new URLSearchParams();
+      forEachField(data, (key, value) => form.append(key, toFieldValue(value)));
+      setContentType(headers, contentType || DEFAULT_CONTENT_TYPES.form);
+      return form.toString();
+    }
+
+    case 'multipart': {
+      const form = new FormData();
+      forEachField(data, (key, value) => {
+        if (isFileParam(key)) {
+          // 文件参数的值是本地文件路径，以流的方式上传
+          const filePath = resolveUploadPath(value, fileDirectories);
+          form.append(key, fs.createReadStream(filePath), {
+            filename: path.basename(filePath),
+            contentType: mime.lookup(filePath) || 'application/octet-stream'
+          });
+        } else {
+          form.append(key, toFieldValue(value));
+        }
+      });
+      // boundary由form-data生成，忽略定义中不带boundary的Content-Type
+      setContentType(headers, form.getHeaders()['content-type']);
+      return form;
+    }
+
+    case 'text':
+    case 'xml': {
+      setContentType(headers, contentType || DEFAULT_CONTENT_TYPES[bodyType]);
+      if (data === undefined || data === null || typeof data !== 'object') {
+        return data === undefined || data === null ? '' : String(data);
+      }
+      // 只有一个请求体字段时，该字段的值即为请求体
+      const values = Object.values(data).filter(value => value !== undefined);
+      return values.length === 1 && typeof values[0] !== 'object' ? String(values[0]) : JSON.stringify(data);
+    }
+
+    case 'binary': {
+      // 请求体为file参数指定的本地文件
+      const fileKey = data && typeof data === 'object'
+        ? Object.keys(data).find(key => isFileParam(key) && data[key] !== undefined)
+        : null;
+      const source = fileKey ? data[fileKey] : data;
+      if (typeof source !== 'string' || !source) {
+        throw new Error('binary请求体需要一个file类型的参数');
+      }
+
+      const filePath = resolveUploadPath(source, fileDirectories);
+      setContentType(headers, contentType || mime.lookup(filePath) || DEFAULT_CONTENT_TYPES.binary);
+      headers['Content-Length'] = String(fs.statSync(filePath).size);
+      return fs.createReadStream(filePath);
+    }
+
+    default:
+      return data;
+  }
+}
+
+module.exports = {
+  BODY_TYPES,
+  resolveBodyType,
+  resolveUploadPath,
+  serializeBody
+};
@@ -0,0 +1,216 @@
+/**
+ * @file response-content.js
+ * @description 根据响应的Content-Type将HTTP响应转换为MCP内容：JSON、文本、图片和二进制资源，超过大小限制的内容保存为本地文件
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const mime = require('mime-types');
+
+// 直接内联返回的响应内容的默认最大字节数
+const DEFAULT_MAX_RESPONSE_SIZE = 5 * 1024 * 1024;
+
+// 超过大小限制的响应内容默认保存的目录
+const DEFAULT_RESPONSE_DIRECTORY = path.join(os.tmpdir(), 'webapi-mcp-server', 'responses');
+
+/**
+ * 获取响应头中的值(忽略大小写)
+ * @param {Object} headers - 响应头
+ * @param {string} name - 响应头名称
+ * @returns {string} 响应头的值，不存在时为空字符串
+ */
+function getHeader(headers = {}, name) {
+  if (headers && typeof headers.get === 'function') {
+    const value = headers.get(name);
+    if (value !== undefined && value !== null) {
+      return String(value);
+    }
+  }
+  const key = Object.keys(headers || {}).find(item => item.toLowerCase() === name);
+  return key ? String(headers[key]) : '';
+}
+
+/**
+ * 根据MIME类型判断响应内容的种类
+ * @param {string} mimeType - 不含参数的MIME类型(小写)
+ * @returns {string} json、text、image或binary，无法判断时为空字符串
+ */
+function classifyMimeType(mimeType) {
+  if (!mimeType) {
+    return '';
+  }
+  if (mimeType === 'application/json' || mimeType.endsWith('+json')) {
+    return 'json';
+  }
+  // SVG是XML文本，作为文本返回
+  if (mimeType.startsWith('image/') && mimeType !== 'image/svg+xml') {
+    return 'image';
+  }
+  if (mimeType.startsWith('text/') || mimeType.endsWith('+xml') ||
+    ['application/xml', 'application/javascript', 'application/x-www-form-urlencoded', 'application/graphql']
+      .includes(mimeType)) {
+    return 'text';
+  }
+  return 'binary';
+}
+
+/**
+ * 按响应的字符集将字节解码为文本
+ * @param {Buffer} buffer - 响应字节
+ * @param {string} charset - 字符集，未指定时使用utf-8
+ * @returns {string} 文本
+ */
+function decodeText(buffer, charset) {
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(buffer);
+  } catch (error) {
+    return buffer.toString('utf8');
+  }
+}
+
+/**
+ * 根据Content-Type解析响应体
+ * 未声明Content-Type时，能解析为JSON的按JSON处理，否则按文本处理
+ * @param {Object} response - axios响应对象，data为Buffer(responseType: 'arraybuffer')
+ * @returns {{kind: string, mimeType: string, data: *, size: number}} 解析结果，
+ *   kind为json/text时data为解析后的值或文本，kind为image/binary时data为Buffer
+ */
+function decodeResponse(response) {
+  const raw = response.data;
+  const buffer = Buffer.isBuffer(raw) ? raw
+    : raw instanceof ArrayBuffer ? Buffer.from(raw)
+      : null;
+
+  // 非字节形式的响应体(例如被拦截器处理过)按原样作为JSON结果
+  if (!buffer) {
+    return { kind: 'json', mimeType: 'application/json', data: raw, size: 0 };
+  }
+
+  const contentType = getHeader(response.headers, 'content-type');
+  const mimeType = contentType.split(';')[0].trim().toLowerCase();
+  const charsetMatch = contentType.match(/charset\s*=\s*"?([^";]+)"?/i);
+  const charset = charsetMatch ? charsetMatch[1].trim() : '';
+  const kind = classifyMimeType(mimeType);
+
+  if (kind === 'image' || kind === 'binary') {
+    return { kind, mimeType, data: buffer, size: buffer.length };
+  }
+
+  const text = decodeText(buffer, charset);
+  if (kind === 'json' || !kind) {
+    try {
+      return { kind: 'json', mimeType: mimeType || 'application/json', data: text ? JSON.parse(text) : null, size: buffer.length };
+    } catch (error) {
+      // Content-Type声明为JSON但内容无效时作为文本返回
+    }
+  }
+
+  return { kind: 'text', mimeType: mimeType || 'text/plain', data: text, size: buffer.length };
+}
+
+/**
+ * 根据Content-Disposition或API名称生成保存响应内容的文件名
+ * @param {Object} response - axios响应对象
+ * @param {string} apiName - API名称
+ * @param {string} mimeType - MIME类型
+ * @returns {string} 文件名
+ */
+function buildFileName(response, apiName, mimeType) {
+  const disposition = getHeader(response.headers, 'content-disposition');
+  const match = disposition.match(/filename\*?=(?:UTF-8'')?"?([^";]+)"?/i);
+  let name = '';
+  if (match) {
+    try {
+      name = path.basename(decodeURIComponent(match[1]));
+    } catch (error) {
+      name = path.basename(match[1]);
+    }
+  }
+  if (!name) {
+    const extension = mime.extension(mimeType);
+    name = `${apiName}${extension ? `.${extension}` : ''}`;
+  }
+  // 加上时间戳和随机数，避免覆盖之前保存的文件
+  return `${Date.now()}-${Math.random().toString(36).slice(2, 8)}-${name.replace(/[^\w.\-]+/g, '_')}`;
+}
+
+/**
+ * 将超过大小限制的响应内容保存到本地文件，返回资源链接
+ * @param {Buffer} buffer - 响应字节
+ * @param {Object} decoded - decodeResponse的解析结果
+ * @param {Object} response - axios响应对象
+ * @param {Object} options - 转换选项
+ * @returns {Object[]} MCP内容数组
+ */
+function saveToFile(buffer, decoded, response, options) {
+  const directory = options.responseDirectory || DEFAULT_RESPONSE_DIRECTORY;
+  fs.ensureDirSync(directory);
+  const filePath = path.join(directory, buildFileName(response, options.apiName || 'response', decoded.mimeType));
+  fs.writeFileSync(filePath, buffer);
+
+  return [
+    {
+      type: 'text',
+      text: `响应内容大小为 ${decoded.size} 字节，超过限制 ${options.maxResponseSize} 字节，已保存到文件: ${filePath}`
+    },
+    {
+      type: 'resource_link',
+      uri: pathToFileURL(filePath).href,
+      name: path.basename(filePath),
+      mimeType: decoded.mimeType,
+      size: decoded.size
+    }
+  ];
+}
+
+/**
+ * 将响应转换为MCP内容
+ * 图片返回image内容，其他二进制返回内嵌的resource，文本返回text，超过大小限制时(包括JSON)保存为文件并返回resource_link
+ * @param {Object} decoded - decodeResponse的解析结果
+ * @param {Object} response - axios响应对象
+ * @param {Object} [options={}] - 转换选项
+ * @param {string} [options.apiName] - API名称，用于生成文件名
+ * @param {string} [options.uri] - 请求的URL，作为内嵌资源的URI
+ * @param {number} [options.maxResponseSize] - 内联返回的最大字节数
+ * @param {string} [options.responseDirectory] - 超过大小限制的内容保存的目录
+ * @returns {Object[]} MCP内容数组
+ */
+function toContent(decoded, response, options = {}) {
+  const maxResponseSize = options.maxResponseSize || DEFAULT_MAX_RESPONSE_SIZE;
+
+  if (decoded.size > maxResponseSize) {
+    // JSON保存原始的响应字节
+    const buffer = Buffer.isBuffer(decoded.data) ? decoded.data
+      : decoded.kind === 'json' && Buffer.isBuffer(response.data) ? response.data
+        : Buffer.from(String(decoded.data), 'utf8');
+    return saveToFile(buffer, decoded, response, { ...options, maxResponseSize });
+  }
+
+  switch (decoded.kind) {
+    case 'image':
+      return [{ type: 'image', data: decoded.data.toString('base64'), mimeType: decoded.mimeType }];
+    case 'binary':
+      return [{
+        type: 'resource',
+        resource: {
+          uri: options.uri || `${options.apiName || 'response'}:`,
+          mimeType: decoded.mimeType || 'application/octet-stream',
+          blob: decoded.data.toString('base64')
+        }
+      }];
+    case 'text':
+      return [{ type: 'text', text: decoded.data }];
+    default:
+      return [{ type: 'text', text: JSON.stringify(decoded.data) }];
+  }
+}
+
+module.exports = {
+  DEFAULT_MAX_RESPONSE_SIZE,
+  DEFAULT_RESPONSE_DIRECTORY,
+  classifyMimeType,
+  decodeResponse,
+  toContent
+};
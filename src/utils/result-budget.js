@@ -0,0 +1,290 @@
+/**
+ * @file result-budget.js
+ * @description 控制返回给模型的结果大小：截断过长的数组和字符串、省略过深的嵌套，并支持按offset分页查看完整结果
+ */
+
+// 默认的结果预算，0表示不限制
+const DEFAULT_RESULT_BUDGET = {
+  maxResultChars: 20000,
+  maxResultItems: 100
+};
+
+// 数组被截断时末尾追加的省略标记
+const ITEMS_MARKER = /^… 还有 \d+ 项$/;
+
+// 字符串和数组收缩的下限，低于下限时开始省略嵌套层级
+const MIN_STRING_LENGTH = 64;
+const MIN_ITEMS = 3;
+
+/**
+ * 计算值的最大嵌套深度
+ * @param {*} value - 任意值
+ * @returns {number} 嵌套深度，标量为0
+ */
+function getDepth(value) {
+  if (Array.isArray(value)) {
+    return 1 + value.reduce((max, item) => Math.max(max, getDepth(item)), 0);
+  }
+  if (value && typeof value === 'object') {
+    return 1 + Object.values(value).reduce((max, item) => Math.max(max, getDepth(item)), 0);
+  }
+  return 0;
+}
+
+/**
+ * 按限制收缩值，并统计被省略的内容
+ * @param {*} value - 原始值
+ * @param {Object} limits - 当前限制(maxItems、maxStringLength、maxDepth)
+ * @param {Object} stats - 统计信息，会被修改
+ * @param {number} depth - 当前深度
+ * @returns {*} 收缩后的值
+ */
+function shrink(value, limits, stats, depth) {
+  if (typeof value === 'string') {
+    if (value.length <= limits.maxStringLength) {
+      return value;
+    }
+    stats.strings++;
+    return `${value.substring(0, limits.maxStringLength)}…(省略 ${value.length - limits.maxStringLength} 个字符)`;
+  }
+
+  if (Array.isArray(value)) {
+    if (depth >= limits.maxDepth) {
+      stats.nested++;
+      return `[省略了包含 ${value.length} 项的数组]`;
+    }
+    const items = value.slice(0, limits.maxItems).map(item => shrink(item, limits, stats, depth + 1));
+    if (value.length > limits.maxItems) {
+      stats.items += value.length - limits.maxItems;
+      items.push(`… 还有 ${value.length - limits.maxItems} 项`);
+    }
+    return items;
+  }
+
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value);
+    if (depth >= limits.maxDepth) {
+      stats.nested++;
+      return `[省略了包含 ${keys.length} 个属性的对象]`;
+    }
+    const result = {};
+    keys.forEach(key => {
+      result[key] = shrink(value[key], limits, stats, depth + 1);
+    });
+    return result;
+  }
+
+  return value;
+}
+
+/**
+ * 按字符数和数组长度预算截断结果
+ * 先截断数组和长字符串，仍然超出时逐步收紧限制并省略深层嵌套，最后直接截断文本
+ * @param {*} value - 完整结果
+ * @param {Object} [budget={}] - 结果预算
+ * @param {number} [budget.maxResultChars] - 结果JSON文本的最大字符数，0表示不限制
+ * @param {number} [budget.maxResultItems] - 每个数组保留的最大项数，0表示不限制
+ * @returns {{text: string, truncated: boolean, dropped: Object}} 结果文本、是否截断和省略内容的统计
+ */
+function applyResultBudget(value, budget = {}) {
+  const maxChars = budget.maxResultChars || Infinity;
+  const maxItems = budget.maxResultItems || Infinity;
+  const serialize = item => (typeof item === 'string' ? item : JSON.stringify(item));
+
+  // 文本结果只能按字符截断
+  if (typeof value === 'string' || value === null || typeof value !== 'object') {
+    const text = value === undefined ? '' : serialize(value);
+    if (text.length <= maxChars) {
+      return { text, truncated: false, dropped: {} };
+    }
+    return {
+      text: text.substring(0, maxChars),
+      truncated: true,
+      dropped: { chars: text.length - maxChars }
+    };
+  }
+
+  const limits = {
+    maxItems,
+    maxStringLength: Number.isFinite(maxChars) ? Math.max(MIN_STRING_LENGTH, Math.floor(maxChars / 4)) : Infinity,
+    maxDepth: Infinity
+  };
+
+  let stats;
+  let text;
+  let depth = getDepth(value);
+  for (;;) {
+    stats = { items: 0, strings: 0, nested: 0 };
+    text = JSON.stringify(shrink(value, limits, stats, 0));
+    if (text.length <= maxChars) {
+      break;
+    }
+
+    if (limits.maxItems > MIN_ITEMS || limits.maxStringLength > MIN_STRING_LENGTH) {
+      limits.maxItems = Math.max(MIN_ITEMS, Math.floor(Math.min(limits.maxItems, 1000) / 2));
+      limits.maxStringLength = Math.max(MIN_STRING_LENGTH, Math.floor(limits.maxStringLength / 2));
+    } else if (depth > 1) {
+      depth--;
+      limits.maxDepth = depth;
+    } else {
+      // 所有收缩手段都用尽时直接截断文本
+      stats.chars = text.length - maxChars;
+      text = text.substring(0, maxChars);
+      break;
+    }
+  }
+
+  const truncated = stats.items > 0 || stats.strings > 0 || stats.nested > 0 || stats.chars > 0;
+  const dropped = {};
+  Object.entries(stats).forEach(([key, count]) => {
+    if (count > 0) {
+      dropped[key] = count;
+    }
+  });
+  return { text, truncated, dropped };
+}
+
+/**
+ * 生成截断说明，告诉模型省略了什么以及如何获取后续内容
+ * @param {Object} dropped - applyResultBudget返回的省略统计
+ * @param {Object} page - 分页信息
+ * @param {string} page.unit - items(数组项)或chars(完整JSON文本的字符)
+ * @param {number} page.offset - 本次结果的起始位置
+ * @param {number} page.total - 完整结果的项数或字符数
+ * @param {number} [page.next] - 下一页的offset，没有更多内容时为undefined
+ * @param {string} offsetName - 分页参数名称
+ * @returns {string} 截断说明
+ */
+function describeTruncation(dropped, page, offsetName) {
+  const parts = [];
+  if (dropped.items) {
+    parts.push(`数组中省略了 ${dropped.items} 项`);
+  }
+  if (dropped.strings) {
+    parts.push(`缩短了 ${dropped.strings} 个过长的字符串`);
+  }
+  if (dropped.nested) {
+    parts.push(`省略了 ${dropped.nested} 处深层嵌套`);
+  }
+  if (dropped.chars) {
+    parts.push(`截断了末尾 ${dropped.chars} 个字符`);
+  }
+
+  const unit = page.unit === 'items' ? '项' : '个字符';
+  const messages = [];
+  if (parts.length > 0) {
+    messages.push(`结果超出大小限制已截断：${parts.join('，')}。`);
+  }
+  messages.push(`完整结果共 ${page.total} ${unit}，本次从位置 ${page.offset} 开始。`);
+  if (page.unit === 'chars' && page.next === 0) {
+    messages.push(`使用相同参数并设置 ${offsetName}=0 可以按字符分页查看完整的JSON文本。`);
+  } else if (page.next !== undefined) {
+    messages.push(`使用相同参数并设置 ${offsetName}=${page.next} 可以查看后续内容。`);
+  }
+  return messages.join('');
+}
+
+/**
+ * 按预算截断结果，并计算分页信息
+ * 数组结果按项分页；其他结果未指定offset时返回收缩后的摘要，指定offset时按完整JSON文本的字符分页
+ * @param {*} value - 完整结果
+ * @param {number} [offset] - 起始位置，未指定时返回第一页
+ * @param {Object} budget - 结果预算
+ * @returns {{text: string, truncated: boolean, dropped: Object, page: Object}} 截断后的结果和分页信息
+ */
+function pageResult(value, offset, budget) {
+  if (Array.isArray(value)) {
+    const start = offset || 0;
+    const items = value.slice(start);
+    const budgeted = applyResultBudget(items, budget);
+    // 计算本页完整返回的项数，确定下一页的位置
+    let shown = items.length;
+    if (budgeted.truncated) {
+      try {
+        const parsed = JSON.parse(budgeted.text);
+        const last = parsed[parsed.length - 1];
+        shown = typeof last === 'string' && ITEMS_MARKER.test(last) ? parsed.length - 1 : parsed.length;
+      } catch (error) {
+        // 文本被直接截断时无法确定完整返回的项数
+        shown = 0;
+      }
+    }
+    const next = start + shown < value.length ? start + Math.max(shown, 1) : undefined;
+    return {
+      ...budgeted,
+      truncated: budgeted.truncated || start > 0,
+      page: { unit: 'items', offset: start, total: value.length, next }
+    };
+  }
+
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  if (offset === undefined) {
+    const budgeted = applyResultBudget(value, budget);
+    // 摘要被截断时，可以从头按字符查看完整JSON文本
+    const next = !budgeted.truncated ? undefined
+      : budgeted.dropped.chars && typeof value === 'string' ? budgeted.text.length : 0;
+    return { ...budgeted, page: { unit: 'chars', offset: 0, total: text.length, next } };
+  }
+
+  const budgeted = applyResultBudget(text.substring(offset), budget);
+  const end = offset + budgeted.text.length;
+  return {
+    ...budgeted,
+    truncated: true,
+    page: { unit: 'chars', offset, total: text.length, next: end < text.length ? end : undefined }
+  };
+}
+
+/**
+ * 去掉收缩后的结果中数组末尾的省略标记，省略的项数已经写在截断说明中
+ * @param {*} value - 收缩后的结果
+ * @returns {*} 去掉省略标记的结果
+ */
+function stripItemMarkers(value) {
+  if (Array.isArray(value)) {
+    const last = value[value.length - 1];
+    const items = typeof last === 'string' && ITEMS_MARKER.test(last) ? value.slice(0, -1) : value;
+    return items.map(stripItemMarkers);
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    Object.keys(value).forEach(key => {
+      result[key] = stripItemMarkers(value[key]);
+    });
+    return result;
+  }
+  return value;
+}
+
+/**
+ * 生成与被截断的文本结果对应的结构化结果
+ * 文本结果为本页的文本；数组和对象结果为收缩后的本页内容，去掉数组末尾的省略标记；
+ * 文本被直接截断的数组结果退回为本页完整返回的数据项，按字符分页的JSON文本无法还原为结构化结果
+ * @param {*} value - 完整结果
+ * @param {Object} paged - pageResult的返回值
+ * @param {boolean} [isText=false] - 结果是否为文本响应
+ * @returns {*} 结构化结果，无法生成时为undefined
+ */
+function pageStructuredResult(value, paged, isText = false) {
+  if (typeof value === 'string') {
+    return isText ? paged.text : undefined;
+  }
+
+  try {
+    return stripItemMarkers(JSON.parse(paged.text));
+  } catch (error) {
+    if (paged.page.unit === 'items') {
+      const end = paged.page.next !== undefined ? paged.page.next : paged.page.total;
+      return value.slice(paged.page.offset, end);
+    }
+    return undefined;
+  }
+}
+
+module.exports = {
+  DEFAULT_RESULT_BUDGET,
+  applyResultBudget,
+  pageResult,
+  pageStructuredResult,
+  describeTruncation
+};
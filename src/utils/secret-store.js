@@ -0,0 +1,210 @@
+/**
+ * @file secret-store.js
+ * @description 本地加密密钥存储：由 webapi-mcp-server secrets 命令管理，API定义中用 ${secret:name} 引用
+ *
+ * 默认保存在 ~/.webapi-mcp-server/secrets.json，可以用环境变量WEBAPI_SECRETS_FILE指定其他位置。
+ * 每个密钥使用AES-256-GCM单独加密，加密密钥由主密钥和文件中的salt经scrypt派生：
+ * 设置了环境变量WEBAPI_SECRETS_KEY时以其为主密钥，否则使用与密钥文件同目录的secrets.key(首次保存时自动生成)
+ * secrets.key以明文保存在密钥文件旁边，这种情况下密钥只是被混淆，能读取该目录就能解密全部密钥
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 密钥文件格式版本
+const STORE_VERSION = 1;
+
+// 密钥名称只能包含字母、数字、下划线、点和连字符
+const SECRET_NAME_PATTERN = /^[\w.-]+$/;
+
+// 加密算法
+const CIPHER = 'aes-256-gcm';
+
+// 派生出的加密密钥缓存，避免每次请求都执行scrypt
+const derivedKeys = new Map();
+
+/**
+ * 获取密钥文件路径
+ * @returns {string} 密钥文件的绝对路径
+ */
+function getSecretsFile() {
+  return path.resolve(process.env.WEBAPI_SECRETS_FILE || path.join(os.homedir(), '.webapi-mcp-server', 'secrets.json'));
+}
+
+/**
+ * 获取主密钥文件路径
+ * @returns {string} 主密钥文件的绝对路径
+ */
+function getMasterKeyFile() {
+  return path.join(path.dirname(getSecretsFile()), 'secrets.key');
+}
+
+/**
+ * 检查密钥名称
+ * @param {string} name - 密钥名称
+ * @throws {Error} 如果名称无效
+ */
+function validateSecretName(name) {
+  if (typeof name !== 'string' || !SECRET_NAME_PATTERN.test(name)) {
+    throw new Error(`无效的密钥名称: ${name}，只能包含字母、数字、下划线、点和连字符`);
+  }
+}
+
+/**
+ * 读取主密钥
+ * @param {boolean} create - 主密钥文件不存在时是否生成
+ * @returns {string} 主密钥
+ * @throws {Error} 如果没有可用的主密钥
+ */
+function getMasterKey(create) {
+  if (process.env.WEBAPI_SECRETS_KEY) {
+    return process.env.WEBAPI_SECRETS_KEY;
+  }
+
+  const keyFile = getMasterKeyFile();
+  if (fs.existsSync(keyFile)) {
+    return fs.readFileSync(keyFile, 'utf8').trim();
+  }
+  if (!create) {
+    throw new Error(`找不到主密钥文件 ${keyFile}，也没有设置环境变量WEBAPI_SECRETS_KEY`);
+  }
+
+  fs.mkdirSync(path.dirname(keyFile), { recursive: true, mode: 0o700 });
+  const key = crypto.randomBytes(32).toString('base64');
+  fs.writeFileSync(keyFile, key, { mode: 0o600, flag: 'wx' });
+  return key;
+}
+
+/**
+ * 派生加密密钥
+ * @param {string} masterKey - 主密钥
+ * @param {string} salt - base64编码的salt
+ * @returns {Buffer} 32字节的加密密钥
+ */
+function deriveKey(masterKey, salt) {
+  const cacheKey = `${salt}:${crypto.createHash('sha256').update(masterKey).digest('hex')}`;
+  if (!derivedKeys.has(cacheKey)) {
+    derivedKeys.set(cacheKey, crypto.scryptSync(masterKey, Buffer.from(salt, 'base64'), 32));
+  }
+  return derivedKeys.get(cacheKey);
+}
+
+/**
+ * 读取密钥文件
+ * @returns {{version: number, salt: string, secrets: Object}} 密钥文件内容，文件不存在时salt为null
+ * @throws {Error} 如果密钥文件无法解析
+ */
+function readStore() {
+  const file = getSecretsFile();
+  if (!fs.existsSync(file)) {
+    return { version: STORE_VERSION, salt: null, secrets: {} };
+  }
+
+  try {
+    const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { version: STORE_VERSION, salt: content.salt || null, secrets: content.secrets || {} };
+  } catch (error) {
+    throw new Error(`无法读取密钥文件 ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * 写入密钥文件，先写临时文件再重命名
+ * @param {Object} store - 密钥文件内容
+ */
+function writeStore(store) {
+  const file = getSecretsFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+
+  const temp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(store, null, 2), { mode: 0o600 });
+  fs.renameSync(temp, file);
+}
+
+/**
+ * 保存密钥，已存在的同名密钥会被覆盖
+ * @param {string} name - 密钥名称
+ * @param {string} value - 密钥的值
+ */
+function setSecret(name, value) {
+  validateSecretName(name);
+  const store = readStore();
+  if (!store.salt) {
+    store.salt = crypto.randomBytes(16).toString('base64');
+  }
+
+  const key = deriveKey(getMasterKey(true), store.salt);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  // 密钥名称作为附加数据，密文不能被换到其他名称下使用
+  cipher.setAAD(Buffer.from(name));
+  const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+  store.secrets[name] = {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+    updatedAt: new Date().toISOString()
+  };
+  writeStore(store);
+}
+
+/**
+ * 读取并解密密钥
+ * @param {string} name - 密钥名称
+ * @returns {string|undefined} 密钥的值，不存在时返回undefined
+ * @throws {Error} 如果主密钥不正确或密钥文件被修改
+ */
+function getSecret(name) {
+  validateSecretName(name);
+  const store = readStore();
+  const entry = store.secrets[name];
+  if (!entry) {
+    return undefined;
+  }
+
+  try {
+    const key = deriveKey(getMasterKey(false), store.salt);
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(entry.iv, 'base64'));
+    decipher.setAAD(Buffer.from(name));
+    decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(entry.data, 'base64')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new Error(`无法解密密钥 ${name}: ${/authenticate/.test(error.message) ? '主密钥不正确或密钥文件已被修改' : error.message}`);
+  }
+}
+
+/**
+ * 列出保存的密钥(不解密)
+ * @returns {Array<{name: string, updatedAt: string}>} 密钥名称和更新时间
+ */
+function listSecrets() {
+  const { secrets } = readStore();
+  return Object.keys(secrets).sort().map(name => ({ name, updatedAt: secrets[name].updatedAt }));
+}
+
+/**
+ * 删除密钥
+ * @param {string} name - 密钥名称
+ * @returns {boolean} 密钥是否存在
+ */
+function deleteSecret(name) {
+  validateSecretName(name);
+  const store = readStore();
+  if (!store.secrets[name]) {
+    return false;
+  }
+  delete store.secrets[name];
+  writeStore(store);
+  return true;
+}
+
+module.exports = {
+  getSecretsFile,
+  setSecret,
+  getSecret,
+  listSecrets,
+  deleteSecret
+};
@@ -0,0 +1,152 @@
+/**
+ * @file secrets.js
+ * @description 密钥引用：API定义和配置文件中的 ${env:NAME}、${file:/path}、${secret:name} 在发送请求时解析，
+ * 解析出的值会被记录下来，在日志和API列表中替换为占位符
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const secretStore = require('./secret-store');
+
+// 密钥引用的格式
+const SECRET_REFERENCE_PATTERN = /\$\{(env|file|secret):([^}]+)\}/g;
+
+// 隐藏密钥时使用的占位符
+const MASK = '******';
+
+// 短于该长度的值不做替换，避免把常见的短字符串替换掉
+const MIN_MASK_LENGTH = 4;
+
+// 已经解析出的密钥值
+const resolvedValues = new Set();
+
+/**
+ * 判断值中是否包含密钥引用
+ * @param {*} value - 字符串、对象或数组
+ * @returns {boolean} 是否包含引用
+ */
+function hasSecretReference(value) {
+  if (typeof value === 'string') {
+    return new RegExp(SECRET_REFERENCE_PATTERN.source).test(value);
+  }
+  if (Array.isArray(value)) {
+    return value.some(hasSecretReference);
+  }
+  if (isPlainObject(value)) {
+    return Object.values(value).some(hasSecretReference);
+  }
+  return false;
+}
+
+/**
+ * 判断是否为普通对象(不包括Buffer、流和表单等)
+ * @param {*} value - 任意值
+ * @returns {boolean} 是否为普通对象
+ */
+function isPlainObject(value) {
+  if (!value || typeof value !== 'object') {
+    return false;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * 解析一个密钥引用
+ * @param {string} kind - 引用类型：env、file或secret
+ * @param {string} name - 环境变量名、文件路径或密钥名称
+ * @returns {string} 引用的值
+ * @throws {Error} 如果引用的值不存在
+ */
+function resolveReference(kind, name) {
+  switch (kind) {
+    case 'env':
+      if (process.env[name] === undefined) {
+        throw new Error(`密钥引用 \${env:${name}} 对应的环境变量未设置`);
+      }
+      return process.env[name];
+    case 'file': {
+      const filePath = path.resolve(name.replace(/^~(?=$|[/\\])/, os.homedir()));
+      try {
+        // 去掉文件末尾的换行符
+        return fs.readFileSync(filePath, 'utf8').replace(/\r?\n$/, '');
+      } catch (error) {
+        throw new Error(`无法读取密钥引用 \${file:${name}} 的文件: ${error.message}`);
+      }
+    }
+    default: {
+      const value = secretStore.getSecret(name);
+      if (value === undefined) {
+        throw new Error(`密钥 ${name} 不存在，请先运行: webapi-mcp-server secrets set ${name}`);
+      }
+      return value;
+    }
+  }
+}
+
+/**
+ * 记录解析出的密钥值，之后的日志和API列表中会被替换
+ * @param {string} value - 密钥值
+ */
+function addMaskedValue(value) {
+  if (typeof value === 'string' && value.length >= MIN_MASK_LENGTH) {
+    resolvedValues.add(value);
+    // 作为查询参数发送时的URL编码形式
+    resolvedValues.add(encodeURIComponent(value));
+  }
+}
+
+/**
+ * 解析值中的所有密钥引用，对象和数组递归解析并返回副本
+ * @param {*} value - 字符串、对象或数组，其他类型原样返回
+ * @returns {*} 解析后的值
+ * @throws {Error} 如果引用的值不存在
+ */
+function resolveSecretReferences(value) {
+  if (typeof value === 'string') {
+    if (!value.includes('${')) {
+      return value;
+    }
+    return value.replace(SECRET_REFERENCE_PATTERN, (match, kind, name) => {
+      const resolved = resolveReference(kind, name.trim());
+      addMaskedValue(resolved);
+      return resolved;
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(resolveSecretReferences);
+  }
+  if (isPlainObject(value)) {
+    const result = {};
+    Object.entries(value).forEach(([key, item]) => {
+      result[key] = resolveSecretReferences(item);
+    });
+    return result;
+  }
+  return value;
+}
+
+/**
+ * 把文本中已解析出的密钥值替换为占位符
+ * @param {string} text - 文本
+ * @returns {string} 替换后的文本
+ */
+function maskSecrets(text) {
+  if (typeof text !== 'string' || resolvedValues.size === 0) {
+    return text;
+  }
+
+  // 先替换较长的值，避免一个值是另一个值的一部分时替换不完整
+  let result = text;
+  [...resolvedValues].sort((a, b) => b.length - a.length).forEach(value => {
+    result = result.split(value).join(MASK);
+  });
+  return result;
+}
+
+module.exports = {
+  hasSecretReference,
+  resolveSecretReferences,
+  maskSecrets
+};
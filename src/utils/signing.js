@@ -0,0 +1,432 @@
+/**
+ * @file signing.js
+ * @description 请求签名：在最终的URL、请求头和请求体确定之后计算签名，内置HMAC和AWS Signature V4签名器
+ *
+ * 签名器通过registerSigner注册，包含normalize(检查配置)和sign(修改请求)两个函数；
+ * sign收到的请求为 {method, url: URL, headers, body: Buffer|null, now: Date}，直接修改url和headers
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { hash, randomString } = require('./common');
+const { hasSecretReference, resolveSecretReferences } = require('./secrets');
+
+// 已注册的签名器，以签名类型为键
+const signers = new Map();
+
+// 签名配置中的敏感字段，列出API时会被隐藏
+const SECRET_FIELDS = ['secret', 'secretAccessKey', 'sessionToken'];
+
+// 隐藏敏感字段时使用的占位符
+const REDACTED = '******';
+
+// HMAC签名默认的待签名字符串模板
+const DEFAULT_HMAC_TEMPLATE = '{method}\n{path}\n{timestamp}\n{body}';
+
+// HMAC时间戳格式：unix为秒，unixMs为毫秒，iso为ISO 8601
+const TIMESTAMP_FORMATS = ['unix', 'unixMs', 'iso'];
+
+// 签名结果的编码
+const SIGNATURE_ENCODINGS = ['hex', 'base64', 'base64url'];
+
+// 由HTTP客户端或代理设置、发送时可能变化的请求头，不参与SigV4签名
+const UNSIGNED_HEADERS = ['authorization', 'user-agent', 'content-length', 'connection', 'expect', 'x-amzn-trace-id'];
+
+/**
+ * 注册签名器，已存在的同名签名器会被替换
+ * @param {string} type - 签名类型，API定义中signing.type的值
+ * @param {Object} signer - 签名器
+ * @param {Function} [signer.normalize] - 检查并补全签名配置 (signing) => signing，配置无效时抛出错误
+ * @param {Function} signer.sign - 修改请求的url和headers (request, signing) => void，可以返回Promise
+ */
+function registerSigner(type, signer) {
+  if (!signer || typeof signer.sign !== 'function') {
+    throw new Error(`签名器 ${type} 必须提供sign函数`);
+  }
+  signers.set(type, signer);
+}
+
+/**
+ * 检查并规范化签名配置
+ * @param {Object} signing - API定义中的signing配置
+ * @returns {Object} 规范化后的签名配置
+ * @throws {Error} 如果签名类型不存在或配置无效
+ */
+function normalizeSigning(signing) {
+  if (!signing || typeof signing !== 'object' || Array.isArray(signing)) {
+    throw new Error('signing必须是对象');
+  }
+
+  const type = [...signers.keys()].find(item => item.toLowerCase() === String(signing.type || '').toLowerCase());
+  if (!type) {
+    throw new Error(`不支持的签名类型: ${signing.type}，支持 ${[...signers.keys()].join(', ')}`);
+  }
+
+  const normalized = { ...signing, type };
+  const signer = signers.get(type);
+  return signer.normalize ? signer.normalize(normalized) : normalized;
+}
+
+/**
+ * 隐藏签名配置中的密钥，密钥引用保持原样
+ * @param {Object} signing - 签名配置
+ * @returns {Object} 隐藏密钥后的副本
+ */
+function redactSigning(signing) {
+  if (!signing || typeof signing !== 'object') {
+    return signing;
+  }
+
+  const result = { ...signing };
+  SECRET_FIELDS.forEach(field => {
+    if (result[field] !== undefined && !hasSecretReference(result[field])) {
+      result[field] = REDACTED;
+    }
+  });
+  return result;
+}
+
+/**
+ * 检查签名配置中的必填字段
+ * @param {Object} signing - 签名配置
+ * @param {string[]} fields - 必填字段
+ * @throws {Error} 如果缺少字段
+ */
+function requireFields(signing, fields) {
+  fields.forEach(field => {
+    if (signing[field] === undefined || signing[field] === null || signing[field] === '') {
+      throw new Error(`${signing.type}签名缺少${field}字段`);
+    }
+  });
+}
+
+/**
+ * 把请求体转换为发送时的字节，签名和发送使用同一份内容
+ * @param {Object} config - axios请求配置
+ * @param {Object} headers - 请求头，对象和URLSearchParams请求体会补充Content-Type
+ * @returns {{data: *, body: Buffer|null}} 发送的请求体和用于签名的字节，流式请求体的body为null
+ */
+function serializeRequestBody(config, headers) {
+  const { data } = config;
+  const hasContentType = Object.keys(headers).some(key => key.toLowerCase() === 'content-type');
+
+  if (data === undefined || data === null) {
+    return { data, body: Buffer.alloc(0) };
+  }
+  if (Buffer.isBuffer(data)) {
+    return { data, body: data };
+  }
+  if (typeof data === 'string') {
+    // 以Buffer发送，避免axios对JSON字符串做进一步处理
+    const body = Buffer.from(data);
+    return { data: body, body };
+  }
+  if (data instanceof URLSearchParams) {
+    if (!hasContentType) {
+      headers['Content-Type'] = 'application/x-www-form-urlencoded';
+    }
+    const body = Buffer.from(data.toString());
+    return { data: body, body };
+  }
+  if (ArrayBuffer.isView(data) || data instanceof ArrayBuffer) {
+    const body = ArrayBuffer.isView(data) ? Buffer.from(data.buffer, data.byteOffset, data.byteLength) : Buffer.from(data);
+    return { data: body, body };
+  }
+  if (typeof data.getBuffer === 'function') {
+    // 不包含文件流的multipart表单可以一次性生成请求体
+    try {
+      const body = data.getBuffer();
+      return { data: body, body };
+    } catch (error) {
+      return { data, body: null };
+    }
+  }
+  if (typeof data.pipe === 'function') {
+    return { data, body: null };
+  }
+
+  if (!hasContentType) {
+    headers['Content-Type'] = 'application/json';
+  }
+  const body = Buffer.from(JSON.stringify(data));
+  return { data: body, body };
+}
+
+/**
+ * 对请求签名
+ * 先按axios的规则合并baseURL和查询参数得到最终的URL并序列化请求体，签名后返回直接使用该URL和请求体的配置
+ * @param {Object} config - axios请求配置，请求头为普通对象
+ * @param {Object} [signing] - 规范化后的签名配置
+ * @param {Object} [options={}] - 签名选项
+ * @param {Date} [options.now] - 签名时间，默认为当前时间
+ * @returns {Promise<Object>} 签名后的请求配置副本
+ * @throws {Error} 如果签名失败
+ */
+async function signRequest(config, signing, options = {}) {
+  if (!signing) {
+    return config;
+  }
+
+  const signer = signers.get(signing.type);
+  if (!signer) {
+    throw new Error(`不支持的签名类型: ${signing.type}`);
+  }
+
+  const headers = {};
+  Object.entries(config.headers || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      headers[key] = String(value);
+    }
+  });
+  const { data, body } = serializeRequestBody(config, headers);
+
+  const request = {
+    method: (config.method || 'GET').toUpperCase(),
+    url: new URL(axios.getUri(config)),
+    headers,
+    body,
+    now: options.now || new Date()
+  };
+  // 签名配置中的密钥引用在签名时解析
+  await signer.sign(request, resolveSecretReferences(signing));
+
+  const { baseURL, params, ...rest } = config;
+  return { ...rest, url: request.url.href, headers: request.headers, data };
+}
+
+/**
+ * 创建先签名再发送请求的函数，可以作为sendWithAuth的send参数，认证重试时会重新签名
+ * @param {Object} [signing] - 规范化后的签名配置
+ * @param {Function} [send=axios] - 发送请求的函数
+ * @returns {Function} (config) => Promise<响应>
+ */
+function withSigning(signing, send = axios) {
+  if (!signing) {
+    return send;
+  }
+  return async config => send(await signRequest(config, signing));
+}
+
+/**
+ * 设置请求头，删除大小写不同的同名请求头
+ * @param {Object} headers - 请求头
+ * @param {string} name - 请求头名称
+ * @param {string} value - 请求头的值
+ */
+function setHeader(headers, name, value) {
+  Object.keys(headers)
+    .filter(key => key.toLowerCase() === name.toLowerCase())
+    .forEach(key => delete headers[key]);
+  headers[name] = value;
+}
+
+/**
+ * 格式化HMAC签名的时间戳
+ * @param {Date} now - 签名时间
+ * @param {string} format - 时间戳格式
+ * @returns {string} 时间戳
+ */
+function formatTimestamp(now, format) {
+  switch (format) {
+    case 'unixMs':
+      return String(now.getTime());
+    case 'iso':
+      return now.toISOString();
+    default:
+      return String(Math.floor(now.getTime() / 1000));
+  }
+}
+
+/**
+ * HMAC签名器：按模板拼接待签名字符串，计算HMAC后放入请求头
+ * 模板占位符：{method}、{path}(路径和查询字符串)、{pathname}、{query}、{host}、{timestamp}、{nonce}、{body}、{bodyHash}(请求体的SHA-256十六进制摘要)
+ */
+const hmacSigner = {
+  normalize(signing) {
+    requireFields(signing, ['secret']);
+    const normalized = {
+      algorithm: 'sha256',
+      header: 'X-Signature',
+      timestampHeader: 'X-Timestamp',
+      timestampFormat: 'unix',
+      encoding: 'hex',
+      prefix: '',
+      template: DEFAULT_HMAC_TEMPLATE,
+      ...signing
+    };
+    normalized.algorithm = String(normalized.algorithm).toLowerCase();
+    if (!crypto.getHashes().includes(normalized.algorithm)) {
+      throw new Error(`不支持的HMAC算法: ${signing.algorithm}`);
+    }
+    if (!TIMESTAMP_FORMATS.includes(normalized.timestampFormat)) {
+      throw new Error(`timestampFormat必须是 ${TIMESTAMP_FORMATS.join(', ')} 之一: ${signing.timestampFormat}`);
+    }
+    if (!SIGNATURE_ENCODINGS.includes(normalized.encoding)) {
+      throw new Error(`encoding必须是 ${SIGNATURE_ENCODINGS.join(', ')} 之一: ${signing.encoding}`);
+    }
+    if (normalized.keyId !== undefined && !normalized.keyIdHeader) {
+      normalized.keyIdHeader = 'X-Key-Id';
+    }
+    return normalized;
+  },
+
+  sign(request, signing) {
+    const { url, headers, body } = request;
+    if (body === null && /\{body(Hash)?\}/.test(signing.template)) {
+      throw new Error('请求体是文件流，无法计算HMAC签名');
+    }
+
+    const values = {
+      method: request.method,
+      path: url.pathname + url.search,
+      pathname: url.pathname,
+      query: url.search.replace(/^\?/, ''),
+      host: url.host,
+      timestamp: formatTimestamp(request.now, signing.timestampFormat),
+      nonce: signing.nonceHeader ? randomString(16) : '',
+      body: body ? body.toString('utf8') : '',
+      bodyHash: body ? hash(body) : ''
+    };
+    const stringToSign = signing.template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+    const signature = crypto.createHmac(signing.algorithm, signing.secret).update(stringToSign).digest(signing.encoding);
+
+    setHeader(headers, signing.header, `${signing.prefix}${signature}`);
+    if (signing.timestampHeader) {
+      setHeader(headers, signing.timestampHeader, values.timestamp);
+    }
+    if (signing.nonceHeader) {
+      setHeader(headers, signing.nonceHeader, values.nonce);
+    }
+    if (signing.keyId !== undefined) {
+      setHeader(headers, signing.keyIdHeader, String(signing.keyId));
+    }
+  }
+};
+
+/**
+ * 按RFC 3986编码，只保留非保留字符(SigV4的UriEncode)
+ * @param {string} value - 原始值
+ * @returns {string} 编码后的值
+ */
+function uriEncode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * 解码URL中的一部分，无效的编码保持原样
+ * @param {string} value - 编码后的值
+ * @returns {string} 解码后的值
+ */
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * 计算HMAC-SHA256
+ * @param {Buffer|string} key - 密钥
+ * @param {string} data - 数据
+ * @returns {Buffer} HMAC结果
+ */
+function hmacSha256(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * AWS Signature Version 4签名器，适用于AWS服务和S3兼容的对象存储
+ * 查询字符串按规范形式重写，签名除UNSIGNED_HEADERS外的所有请求头
+ */
+const awsSigV4Signer = {
+  normalize(signing) {
+    requireFields(signing, ['accessKeyId', 'secretAccessKey', 'region', 'service']);
+    return { ...signing, unsignedPayload: Boolean(signing.unsignedPayload) };
+  },
+
+  sign(request, signing) {
+    const { url, headers, body } = request;
+    const amzDate = request.now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const dateStamp = amzDate.substring(0, 8);
+    const isS3 = signing.service === 's3';
+
+    // 请求体是文件流或者明确不签名请求体时使用UNSIGNED-PAYLOAD
+    const payloadHash = signing.unsignedPayload || body === null ? 'UNSIGNED-PAYLOAD' : hash(body);
+    setHeader(headers, 'X-Amz-Date', amzDate);
+    if (signing.sessionToken) {
+      setHeader(headers, 'X-Amz-Security-Token', signing.sessionToken);
+    }
+    if (isS3) {
+      setHeader(headers, 'X-Amz-Content-Sha256', payloadHash);
+    }
+    Object.keys(headers)
+      .filter(key => key.toLowerCase() === 'authorization')
+      .forEach(key => delete headers[key]);
+
+    // 规范URI：S3对每段路径编码一次，其他服务编码两次
+    const canonicalUri = url.pathname.split('/')
+      .map(segment => {
+        const encoded = uriEncode(safeDecode(segment));
+        return isS3 ? encoded : uriEncode(encoded);
+      })
+      .join('/') || '/';
+
+    // 规范查询字符串：参数按名称和值排序，发送的URL使用同样的编码，保证服务器看到的查询字符串与签名一致
+    const canonicalQuery = url.search.replace(/^\?/, '').split('&')
+      .filter(Boolean)
+      .map(pair => {
+        const index = pair.indexOf('=');
+        const key = index < 0 ? pair : pair.substring(0, index);
+        const value = index < 0 ? '' : pair.substring(index + 1);
+        return [uriEncode(safeDecode(key.replace(/\+/g, ' '))), uriEncode(safeDecode(value.replace(/\+/g, ' ')))];
+      })
+      .sort((a, b) => (a[0] === b[0] ? (a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0) : a[0] < b[0] ? -1 : 1))
+      .map(([key, value]) => `${key}=${value}`)
+      .join('&');
+    url.search = canonicalQuery;
+
+    // 规范请求头：名称小写，值去掉首尾空白并合并连续空白，同名请求头用逗号连接
+    const canonicalHeaders = { host: url.host };
+    Object.entries(headers).forEach(([key, value]) => {
+      const name = key.toLowerCase();
+      if (UNSIGNED_HEADERS.includes(name) || name === 'host') {
+        return;
+      }
+      const normalized = String(value).trim().replace(/\s+/g, ' ');
+      canonicalHeaders[name] = canonicalHeaders[name] !== undefined ? `${canonicalHeaders[name]},${normalized}` : normalized;
+    });
+    const headerNames = Object.keys(canonicalHeaders).sort();
+    const signedHeaders = headerNames.join(';');
+
+    const canonicalRequest = [
+      request.method,
+      canonicalUri,
+      canonicalQuery,
+      headerNames.map(name => `${name}:${canonicalHeaders[name]}\n`).join(''),
+      signedHeaders,
+      payloadHash
+    ].join('\n');
+
+    const scope = `${dateStamp}/${signing.region}/${signing.service}/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, hash(canonicalRequest)].join('\n');
+    const kDate = hmacSha256(`AWS4${signing.secretAccessKey}`, dateStamp);
+    const kRegion = hmacSha256(kDate, signing.region);
+    const kService = hmacSha256(kRegion, signing.service);
+    const kSigning = hmacSha256(kService, 'aws4_request');
+    const signature = crypto.createHmac('sha256', kSigning).update(stringToSign).digest('hex');
+
+    headers.Authorization = `AWS4-HMAC-SHA256 Credential=${signing.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+  }
+};
+
+registerSigner('hmac', hmacSigner);
+registerSigner('awsSigV4', awsSigV4Signer);
+
+module.exports = {
+  registerSigner,
+  normalizeSigning,
+  redactSigning,
+  signRequest,
+  withSigning
+};
@@ -0,0 +1,246 @@
+/**
+ * @file zod-schema.js
+ * @description 根据API定义中的参数定义创建zod schema，用于MCP工具的输入参数
+ */
+
+const { z } = require('zod');
+
+// 支持的字符串格式
+const STRING_FORMATS = ['date', 'date-time', 'email', 'uri', 'uuid'];
+
+/**
+ * 创建字符串schema，支持长度、正则和格式约束
+ * @param {Object} param - 参数定义
+ * @returns {z.ZodString} zod schema
+ */
+function buildStringSchema(param) {
+  let schema = z.string();
+
+  switch (param.format) {
+    case 'date':
+      schema = schema.date();
+      break;
+    case 'date-time':
+      schema = schema.datetime({ offset: true });
+      break;
+    case 'email':
+      schema = schema.email();
+      break;
+    case 'uri':
+      schema = schema.url();
+      break;
+    case 'uuid':
+      schema = schema.uuid();
+      break;
+    default:
+      break;
+  }
+
+  if (param.minLength !== undefined) {
+    schema = schema.min(param.minLength);
+  }
+  if (param.maxLength !== undefined) {
+    schema = schema.max(param.maxLength);
+  }
+  if (param.pattern) {
+    schema = schema.regex(new RegExp(param.pattern));
+  }
+
+  return schema;
+}
+
+/**
+ * 创建数字schema，支持取值范围约束
+ * @param {Object} param - 参数定义
+ * @returns {z.ZodNumber} zod schema
+ */
+function buildNumberSchema(param) {
+  let schema = z.number();
+
+  if (param.minimum !== undefined) {
+    schema = schema.gte(param.minimum);
+  }
+  if (param.maximum !== undefined) {
+    schema = schema.lte(param.maximum);
+  }
+
+  return schema;
+}
+
+/**
+ * 创建枚举schema，字符串使用z.enum，其他类型使用字面量联合
+ * @param {Array} values - 可选值
+ * @param {string} type - 参数类型
+ * @returns {z.ZodTypeAny} zod schema
+ */
+function buildEnumSchema(values, type) {
+  if (type === 'string') {
+    return z.enum(values.map(String));
+  }
+
+  const literals = values.map(value => z.literal(value));
+  return literals.length === 1 ? literals[0] : z.union(literals);
+}
+
+/**
+ * 根据参数定义创建不含可选性和默认值的zod schema
+ * @param {Object} param - 参数定义
+ * @returns {z.ZodTypeAny} zod schema
+ */
+function buildTypeSchema(param) {
+  if (Array.isArray(param.enum) && param.enum.length > 0) {
+    return buildEnumSchema(param.enum, param.type);
+  }
+
+  switch (param.type) {
+    case 'string':
+      // 路径参数最终都会转换为字符串，同时接受数字形式的ID
+      return param.in === 'path'
+        ? z.union([buildStringSchema(param), buildNumberSchema(param)])
+        : buildStringSchema(param);
+    case 'number':
+      return buildNumberSchema(param);
+    case 'boolean':
+      return z.boolean();
+    case 'file':
+      // 上传文件的本地路径
+      return z.string();
+    case 'array': {
+      let schema = z.array(param.items ? buildParamSchema({ ...param.items, required: true }) : z.any());
+      if (param.minItems !== undefined) {
+        schema = schema.min(param.minItems);
+      }
+      if (param.maxItems !== undefined) {
+        schema = schema.max(param.maxItems);
+      }
+      return schema;
+    }
+    case 'object':
+      return param.properties
+        ? z.object(buildParamsShape(param.properties)).passthrough()
+        : z.record(z.any());
+    default:
+      return z.any();
+  }
+}
+
+/**
+ * 根据单个参数定义创建zod schema
+ * 支持enum、minimum/maximum、minLength/maxLength、pattern、format、default、
+ * 数组元素(items)、嵌套对象(properties)和路径参数
+ * @param {Object} param - 参数定义
+ * @returns {z.ZodTypeAny} zod schema
+ */
+function buildParamSchema(param = {}) {
+  let schema = buildTypeSchema(param);
+
+  if (param.description) {
+    schema = schema.describe(param.description);
+  }
+
+  // 有默认值的参数可以省略，调用时使用默认值
+  if (param.default !== undefined) {
+    return schema.default(param.default);
+  }
+
+  return param.required ? schema : schema.optional();
+}
+
+/**
+ * 根据参数定义集合创建zod原始形状(raw shape)，可直接用于server.tool
+ * @param {Object} parameters - 以参数名为键的参数定义
+ * @returns {Object} 以参数名为键的zod schema
+ */
+function buildParamsShape(parameters = {}) {
+  const shape = {};
+  Object.entries(parameters).forEach(([key, param]) => {
+    shape[key] = buildParamSchema(param);
+  });
+  return shape;
+}
+
+/**
+ * 根据JSON Schema创建zod schema，用于声明和校验工具的输出
+ * 支持type(包括类型数组)、enum、const、properties/required、items、anyOf/oneOf以及字符串、数字和数组的约束，
+ * 对象允许出现未声明的属性，无法转换的关键字不做限制
+ * @param {Object} schema - JSON Schema
+ * @returns {z.ZodTypeAny} zod schema
+ */
+function buildJsonSchema(schema = {}) {
+  if (!schema || typeof schema !== 'object') {
+    return z.any();
+  }
+
+  let result;
+  if (schema.const !== undefined) {
+    result = z.literal(schema.const);
+  } else if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    result = buildEnumSchema(schema.enum, schema.enum.every(value => typeof value === 'string') ? 'string' : undefined);
+  } else if (Array.isArray(schema.anyOf || schema.oneOf)) {
+    const options = (schema.anyOf || schema.oneOf).map(buildJsonSchema);
+    result = options.length === 1 ? options[0] : z.union(options);
+  } else if (Array.isArray(schema.type)) {
+    const types = schema.type.filter(type => type !== 'null');
+    const options = types.map(type => buildJsonSchema({ ...schema, type }));
+    result = options.length === 0 ? z.null()
+      : options.length === 1 ? options[0] : z.union(options);
+    if (types.length < schema.type.length && types.length > 0) {
+      result = result.nullable();
+    }
+  } else {
+    result = buildJsonSchemaType(schema);
+  }
+
+  return schema.description ? result.describe(schema.description) : result;
+}
+
+/**
+ * 根据JSON Schema中的单个type创建zod schema
+ * @param {Object} schema - JSON Schema
+ * @returns {z.ZodTypeAny} zod schema
+ */
+function buildJsonSchemaType(schema) {
+  switch (schema.type) {
+    case 'string':
+      return buildStringSchema(schema);
+    case 'number':
+      return buildNumberSchema(schema);
+    case 'integer':
+      return buildNumberSchema(schema).int();
+    case 'boolean':
+      return z.boolean();
+    case 'null':
+      return z.null();
+    case 'array': {
+      let result = z.array(schema.items ? buildJsonSchema(schema.items) : z.any());
+      if (schema.minItems !== undefined) {
+        result = result.min(schema.minItems);
+      }
+      if (schema.maxItems !== undefined) {
+        result = result.max(schema.maxItems);
+      }
+      return result;
+    }
+    case 'object': {
+      if (!schema.properties) {
+        return z.record(z.any());
+      }
+      const required = Array.isArray(schema.required) ? schema.required : [];
+      const shape = {};
+      Object.entries(schema.properties).forEach(([key, property]) => {
+        const propertySchema = buildJsonSchema(property);
+        shape[key] = required.includes(key) ? propertySchema : propertySchema.optional();
+      });
+      return z.object(shape).passthrough();
+    }
+    default:
+      return z.any();
+  }
+}
+
+module.exports = {
+  STRING_FORMATS,
+  buildParamSchema,
+  buildParamsShape,
+  buildJsonSchema
+};
@@ -3,6 +3,36 @@
  * @description 验证API定义的完整性和正确性
  */
 
+const { STRING_FORMATS, buildParamSchema } = require('../utils/zod-schema');
+const { BODY_TYPES, resolveBodyType } = require('../utils/request-body');
+const { parseBodyTemplate } = require('../utils/body-template');
+const { OUTPUT_FORMATS, validateQueryExpression } = require('../tools/json-parser');
+const { normalizePagination } = require('../utils/pagination');
+const { inferOutputSchema, buildOutputSchema } = require('../utils/output-schema');
+const { normalizeAuth } = require('../utils/auth');
+const { normalizeSigning } = require('../utils/signing');
+const { parsePointer } = require('../utils/common');
+
+// 支持的参数类型，file类型的参数值为本地文件路径
+const PARAM_TYPES = ['string', 'number', 'boolean', 'object', 'array', 'file'];
+
+// 参数可以放置的位置
+const PARAM_LOCATIONS = ['query', 'path', 'header', 'cookie', 'body'];
+
+// 约束条件及其适用的参数类型
+const CONSTRAINT_TYPES = {
+  minimum: 'number',
+  maximum: 'number',
+  minLength: 'string',
+  maxLength: 'string',
+  pattern: 'string',
+  format: 'string',
+  minItems: 'array',
+  maxItems: 'array',
+  items: 'array',
+  properties: 'object'
+};
+
 /**
  * 验证API定义
  * @param {Object} apiDef - API定义对象
@@ -23,6 +53,27 @@ function validateApiDefinition(apiDef) {
     throw new Error('API定义必须包含URL字段');
   }
   
+  // 规范化API类型，未指定时为普通REST API
+  if (apiDef.type) {
+    apiDef.type = String(apiDef.type).toLowerCase();
+    
+    if (!['rest', 'graphql', 'soap', 'jsonrpc'].includes(apiDef.type)) {
+      throw new Error(`不支持的API类型: ${apiDef.type}`);
+    }
+    
+    if (apiDef.type === 'graphql' && !apiDef.graphql && !apiDef.schemaFile) {
+      throw new Error('GraphQL API定义必须包含schemaFile字段');
+    }
+    
+    if (apiDef.type === 'soap' && !apiDef.soap && !apiDef.wsdl) {
+      throw new Error('SOAP API定义必须包含wsdl字段');
+    }
+    
+    if (apiDef.type === 'jsonrpc' && !apiDef.jsonrpc && !Array.isArray(apiDef.methods)) {
+      throw new Error('JSON-RPC API定义必须包含methods数组');
+    }
+  }
+  
   // 规范化方法
   if (apiDef.method) {
     apiDef.method = apiDef.method.toUpperCase();
@@ -39,35 +90,70 @@ function validateApiDefinition(apiDef) {
     apiDef.description = `${apiDef.name} API`;
   }
   
+  // URL中的路径参数占位符自动添加为必填参数
+  if (!apiDef.type || apiDef.type === 'rest') {
+    const pathParams = extractPathParams(apiDef.url);
+    if (pathParams.length > 0) {
+      apiDef.parameters = apiDef.parameters || {};
+      pathParams.forEach(name => {
+        const paramDef = apiDef.parameters[name];
+        if (paramDef && typeof paramDef === 'object') {
+          paramDef.in = 'path';
+          paramDef.required = true;
+        } else {
+          apiDef.parameters[name] = {
+            type: 'string',
+            required: true,
+            description: `路径参数 ${name}`,
+            in: 'path'
+          };
+        }
+      });
+    }
+  }
+  
   // 验证参数定义
   if (apiDef.parameters) {
     for (const [paramName, paramDef] of Object.entries(apiDef.parameters)) {
-      // 确保参数定义是对象
-      if (typeof paramDef !== 'object' || paramDef === null) {
-        throw new Error(`参数定义必须是对象: ${paramName}`);
-      }
+      // 规范化参数类型、必填标记和约束条件
+      normalizeParameter(paramName, paramDef);
       
-      // 规范化参数类型
-      if (paramDef.type) {
-        paramDef.type = paramDef.type.toLowerCase();
+      // 规范化参数位置，body位置可以用 body:/a/b 的简写指定JSON Pointer
+      if (paramDef.in) {
+        const location = String(paramDef.in).trim();
+        const separator = location.indexOf(':');
+        if (separator !== -1) {
+          paramDef.pointer = location.substring(separator + 1).trim();
+          paramDef.in = location.substring(0, separator).trim().toLowerCase();
+        } else {
+          paramDef.in = location.toLowerCase();
+        }
+        
+        if (!PARAM_LOCATIONS.includes(paramDef.in)) {
+          throw new Error(`不支持的参数位置: ${paramDef.in} (${paramName})`);
+        }
         
-        if (!['string', 'number', 'boolean', 'object', 'array'].includes(paramDef.type)) {
-          throw new Error(`不支持的参数类型: ${paramDef.type} (${paramName})`);
+        if (paramDef.in === 'path') {
+          if (!extractPathParams(apiDef.url).includes(paramName)) {
+            throw new Error(`URL中缺少路径参数占位符: {${paramName}} (${paramName})`);
+          }
+          paramDef.required = true;
         }
-      } else {
-        paramDef.type = 'string';
       }
       
-      // 确保required字段是布尔值
-      if ('required' in paramDef) {
-        if (typeof paramDef.required === 'string') {
-          paramDef.required = paramDef.required.toLowerCase() === 'true' || 
-                             paramDef.required.toLowerCase() === '是';
-        } else {
-          paramDef.required = !!paramDef.required;
+      if (paramDef.pointer !== undefined) {
+        if (paramDef.in && paramDef.in !== 'body') {
+          throw new Error(`只有body位置的参数可以指定pointer: ${paramName}`);
+        }
+        if (paramDef.pointer !== '' && !String(paramDef.pointer).startsWith('/')) {
+          throw new Error(`无效的JSON Pointer: ${paramDef.pointer} (${paramName})`);
         }
-      } else {
-        paramDef.required = false;
+        try {
+          parsePointer(paramDef.pointer);
+        } catch (error) {
+          throw new Error(`${error.message} (${paramName})`);
+        }
+        paramDef.in = 'body';
       }
       
       // 确保description字段存在
@@ -84,9 +170,286 @@ function validateApiDefinition(apiDef) {
     apiDef.headers = {};
   }
   
+  // 认证提供者名称在请求时解析，认证对象在注册时检查
+  if (apiDef.auth !== undefined && apiDef.auth !== null) {
+    if (typeof apiDef.auth !== 'string') {
+      apiDef.auth = normalizeAuth(apiDef.auth);
+    }
+  } else {
+    delete apiDef.auth;
+  }
+  
+  // 请求签名在发送时计算，签名配置在注册时检查
+  if (apiDef.signing !== undefined && apiDef.signing !== null) {
+    apiDef.signing = normalizeSigning(apiDef.signing);
+  } else {
+    delete apiDef.signing;
+  }
+  
+  // 检查结果提取表达式，resultPath默认为点号路径，resultQuery默认为JMESPath
+  if (apiDef.resultPath) {
+    validateQueryExpression(apiDef.resultPath, 'path');
+  }
+  if (apiDef.resultQuery) {
+    validateQueryExpression(apiDef.resultQuery, 'jmespath');
+  }
+  
+  // 输出格式和数组结果的列，列可以是路径字符串或 {path, title} 对象
+  if (apiDef.outputFormat) {
+    apiDef.outputFormat = String(apiDef.outputFormat).toLowerCase();
+    
+    if (!OUTPUT_FORMATS.includes(apiDef.outputFormat)) {
+      throw new Error(`不支持的输出格式: ${apiDef.outputFormat}，支持 ${OUTPUT_FORMATS.join(', ')}`);
+    }
+  }
+  if (apiDef.columns !== undefined) {
+    if (!Array.isArray(apiDef.columns)) {
+      throw new Error('columns必须是数组');
+    }
+    apiDef.columns.forEach(column => {
+      const columnPath = typeof column === 'string' ? column : column && column.path;
+      if (typeof columnPath !== 'string' || !columnPath) {
+        throw new Error(`无效的列定义: ${JSON.stringify(column)}`);
+      }
+      validateQueryExpression(columnPath, 'path');
+    });
+  }
+  
+  ['maxResultChars', 'maxResultItems'].forEach(key => {
+    if (apiDef[key] !== undefined && (!Number.isInteger(apiDef[key]) || apiDef[key] < 0)) {
+      throw new Error(`${key}必须是非负整数: ${apiDef[key]}`);
+    }
+  });
+  
+  if (apiDef.maxResponseSize !== undefined &&
+    (!Number.isInteger(apiDef.maxResponseSize) || apiDef.maxResponseSize <= 0)) {
+    throw new Error(`maxResponseSize必须是正整数: ${apiDef.maxResponseSize}`);
+  }
+  
+  // 自动分页只支持REST API
+  if (apiDef.pagination !== undefined && apiDef.pagination !== null) {
+    if (apiDef.type && apiDef.type !== 'rest') {
+      throw new Error(`${apiDef.type}类型的API不支持pagination`);
+    }
+    apiDef.pagination = normalizePagination(apiDef.pagination);
+    
+    // 分页结果中的next是继续分页时传入的参数，没有同名参数时添加为可选参数
+    const { type, pageParam, offsetParam, cursorParam } = apiDef.pagination;
+    const positionParam = { page: pageParam, offset: offsetParam, cursor: cursorParam }[type];
+    apiDef.parameters = apiDef.parameters || {};
+    if (positionParam && !apiDef.parameters[positionParam]) {
+      apiDef.parameters[positionParam] = {
+        type: type === 'cursor' ? 'string' : 'number',
+        required: false,
+        description: '从该位置开始分页，传入上次结果中pagination.next的值'
+      };
+    }
+  } else {
+    delete apiDef.pagination;
+  }
+  
+  // 输出schema为JSON Schema，没有声明时根据响应示例推断
+  if (apiDef.outputSchema !== undefined && apiDef.outputSchema !== null) {
+    if (typeof apiDef.outputSchema !== 'object' || Array.isArray(apiDef.outputSchema)) {
+      throw new Error('outputSchema必须是JSON Schema对象');
+    }
+  } else if (apiDef.responseExample !== undefined && apiDef.responseExample !== null) {
+    apiDef.outputSchema = inferOutputSchema(apiDef);
+  } else {
+    delete apiDef.outputSchema;
+  }
+  if (apiDef.outputSchema) {
+    try {
+      buildOutputSchema(apiDef.outputSchema);
+    } catch (error) {
+      throw new Error(`无效的outputSchema: ${error.message}`);
+    }
+  }
+  
+  // 规范化请求体类型，file参数只能通过multipart或binary请求体上传
+  if (apiDef.bodyType) {
+    apiDef.bodyType = String(apiDef.bodyType).toLowerCase();
+    
+    if (!BODY_TYPES.includes(apiDef.bodyType)) {
+      throw new Error(`不支持的请求体类型: ${apiDef.bodyType}，支持 ${BODY_TYPES.join(', ')}`);
+    }
+  }
+  
+  // JSON和表单请求体的字符串模板解析为对象模板，文本和XML请求体的模板保持为字符串
+  if (apiDef.bodyTemplate !== undefined && apiDef.bodyTemplate !== null) {
+    if (typeof apiDef.bodyTemplate === 'string') {
+      if (['json', 'form', 'multipart'].includes(resolveBodyType(apiDef))) {
+        apiDef.bodyTemplate = parseBodyTemplate(apiDef.bodyTemplate);
+      }
+    } else if (typeof apiDef.bodyTemplate !== 'object') {
+      throw new Error('bodyTemplate必须是对象、数组或字符串');
+    }
+  } else {
+    delete apiDef.bodyTemplate;
+  }
+  
+  const fileParams = Object.keys(apiDef.parameters).filter(name => apiDef.parameters[name].type === 'file');
+  if (fileParams.length > 0) {
+    const bodyType = resolveBodyType(apiDef);
+    if (bodyType !== 'multipart' && bodyType !== 'binary') {
+      throw new Error(`file类型的参数需要bodyType为multipart或binary: ${fileParams.join(', ')}`);
+    }
+    fileParams.forEach(name => {
+      const location = apiDef.parameters[name].in;
+      if (location && location !== 'body') {
+        throw new Error(`file类型的参数只能放在请求体中: ${name}`);
+      }
+    });
+  }
+  
   return apiDef;
 }
 
+/**
+ * 规范化单个参数定义并检查约束条件的一致性，递归处理items和properties
+ * @param {string} paramName - 参数名称，用于错误信息
+ * @param {Object} paramDef - 参数定义
+ * @throws {Error} 如果参数定义无效或约束条件相互矛盾
+ */
+function normalizeParameter(paramName, paramDef) {
+  // 确保参数定义是对象
+  if (typeof paramDef !== 'object' || paramDef === null) {
+    throw new Error(`参数定义必须是对象: ${paramName}`);
+  }
+  
+  // 规范化参数类型
+  if (paramDef.type) {
+    paramDef.type = paramDef.type.toLowerCase();
+    
+    if (!PARAM_TYPES.includes(paramDef.type)) {
+      throw new Error(`不支持的参数类型: ${paramDef.type} (${paramName})`);
+    }
+  } else {
+    paramDef.type = 'string';
+  }
+  
+  // 确保required字段是布尔值
+  if ('required' in paramDef) {
+    if (typeof paramDef.required === 'string') {
+      paramDef.required = paramDef.required.toLowerCase() === 'true' || 
+                         paramDef.required.toLowerCase() === '是';
+    } else {
+      paramDef.required = !!paramDef.required;
+    }
+  } else {
+    paramDef.required = false;
+  }
+  
+  // 约束条件只能用于对应的参数类型
+  Object.entries(CONSTRAINT_TYPES).forEach(([constraint, type]) => {
+    if (paramDef[constraint] !== undefined && paramDef.type !== type) {
+      throw new Error(`${constraint}只能用于${type}类型的参数 (${paramName})`);
+    }
+  });
+  
+  checkRange(paramName, paramDef, 'minimum', 'maximum', false);
+  checkRange(paramName, paramDef, 'minLength', 'maxLength', true);
+  checkRange(paramName, paramDef, 'minItems', 'maxItems', true);
+  
+  if (paramDef.pattern !== undefined) {
+    try {
+      new RegExp(paramDef.pattern);
+    } catch (error) {
+      throw new Error(`无效的正则表达式: ${paramDef.pattern} (${paramName})`);
+    }
+  }
+  
+  if (paramDef.format !== undefined && !STRING_FORMATS.includes(paramDef.format)) {
+    throw new Error(`不支持的字符串格式: ${paramDef.format} (${paramName})，支持 ${STRING_FORMATS.join(', ')}`);
+  }
+  
+  if (paramDef.enum !== undefined) {
+    if (!Array.isArray(paramDef.enum) || paramDef.enum.length === 0) {
+      throw new Error(`enum必须是非空数组 (${paramName})`);
+    }
+    if (!['string', 'number', 'boolean'].includes(paramDef.type)) {
+      throw new Error(`enum只能用于string、number或boolean类型的参数 (${paramName})`);
+    }
+    if (paramDef.type === 'string') {
+      paramDef.enum = paramDef.enum.map(String);
+    } else if (paramDef.enum.some(value => typeof value !== paramDef.type)) {
+      throw new Error(`enum中的值必须是${paramDef.type}类型 (${paramName})`);
+    }
+  }
+  
+  // 递归规范化数组元素和对象属性
+  if (paramDef.items !== undefined) {
+    normalizeParameter(`${paramName}[]`, paramDef.items);
+  }
+  if (paramDef.properties !== undefined) {
+    if (typeof paramDef.properties !== 'object' || paramDef.properties === null) {
+      throw new Error(`properties必须是对象 (${paramName})`);
+    }
+    Object.entries(paramDef.properties).forEach(([name, property]) => {
+      normalizeParameter(`${paramName}.${name}`, property);
+    });
+  }
+  
+  // 默认值必须满足参数自身的类型和约束
+  if (paramDef.default !== undefined) {
+    const result = buildParamSchema({ ...paramDef, default: undefined, required: true }).safeParse(paramDef.default);
+    if (!result.success) {
+      throw new Error(`默认值不满足参数约束: ${JSON.stringify(paramDef.default)} (${paramName})`);
+    }
+  }
+}
+
+/**
+ * 检查最小值和最大值约束
+ * @param {string} paramName - 参数名称，用于错误信息
+ * @param {Object} paramDef - 参数定义
+ * @param {string} minKey - 最小值字段名
+ * @param {string} maxKey - 最大值字段名
+ * @param {boolean} nonNegativeInteger - 是否必须为非负整数
+ * @throws {Error} 如果约束条件无效
+ */
+function checkRange(paramName, paramDef, minKey, maxKey, nonNegativeInteger) {
+  [minKey, maxKey].forEach(key => {
+    const value = paramDef[key];
+    if (value === undefined) {
+      return;
+    }
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      throw new Error(`${key}必须是数字 (${paramName})`);
+    }
+    if (nonNegativeInteger && (!Number.isInteger(value) || value < 0)) {
+      throw new Error(`${key}必须是非负整数 (${paramName})`);
+    }
+  });
+  
+  if (paramDef[minKey] !== undefined && paramDef[maxKey] !== undefined && paramDef[minKey] > paramDef[maxKey]) {
+    throw new Error(`${minKey}不能大于${maxKey} (${paramName})`);
+  }
+}
+
+/**
+ * 提取URL路径中的参数占位符，支持 {id} 和 :id 两种形式
+ * @param {string} url - API的URL
+ * @returns {string[]} 参数名称数组
+ */
+function extractPathParams(url) {
+  // 只在路径和查询部分查找，避免把协议和端口号当作占位符
+  const rest = String(url || '').replace(/^[a-z][a-z0-9+.-]*:\/\/[^/?#]*/i, '');
+  const pathPart = rest.split(/[?#]/)[0];
+  const names = [];
+  
+  // {{参数名}} 是渲染时替换的模板占位符，不是路径参数
+  for (const match of rest.matchAll(/(?<!\{)\{([A-Za-z_][\w-]*)\}(?!\})/g)) {
+    names.push(match[1]);
+  }
+  for (const match of pathPart.matchAll(/(?:^|[/.;]):([A-Za-z_]\w*)/g)) {
+    names.push(match[1]);
+  }
+  
+  return [...new Set(names)];
+}
+
 module.exports = {
-  validateApiDefinition
+  validateApiDefinition,
+  extractPathParams
 }; 
\ No newline at end of file
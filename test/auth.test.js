@@ -0,0 +1,219 @@
+/**
+ * @file auth.test.js
+ * @description 认证的测试：OAuth2客户端凭据流程的令牌缓存、过期刷新和收到401后重新获取令牌，Digest认证的请求头
+ */
+
+const http = require('http');
+const axios = require('axios');
+const { hash } = require('../src/utils/common');
+const { normalizeAuth, applyAuth, sendWithAuth } = require('../src/utils/auth');
+
+let server;
+let baseUrl;
+// 令牌端点收到的请求
+let tokenRequests;
+// 令牌端点下一次返回的有效期(秒)
+let expiresIn;
+// API当前接受的访问令牌，为null时接受任何令牌
+let acceptedToken;
+// 已创建的认证对象数量
+let authCount = 0;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      res.setHeader('Content-Type', 'application/json');
+      if (req.url === '/token') {
+        tokenRequests.push({ authorization: req.headers.authorization, body: new URLSearchParams(body) });
+        if (req.headers.authorization !== `Basic ${Buffer.from('client:secret').toString('base64')}`) {
+          res.statusCode = 401;
+          res.end(JSON.stringify({ error: 'invalid_client', error_description: 'bad client credentials' }));
+          return;
+        }
+        res.end(JSON.stringify({ access_token: `token-${tokenRequests.length}`, token_type: 'bearer', expires_in: expiresIn }));
+        return;
+      }
+
+      const authorization = req.headers.authorization || '';
+      if (!authorization.startsWith('Bearer ') || (acceptedToken && authorization !== `Bearer ${acceptedToken}`)) {
+        res.statusCode = 401;
+        res.end(JSON.stringify({ error: 'unauthorized' }));
+        return;
+      }
+      res.end(JSON.stringify({ authorization }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  tokenRequests = [];
+  expiresIn = 3600;
+  acceptedToken = null;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+/**
+ * 创建客户端凭据认证对象，每个测试使用不同的scope，避免共享令牌缓存
+ * @param {Object} [overrides] - 覆盖的字段
+ * @returns {Object} 规范化后的认证对象
+ */
+function createAuth(overrides = {}) {
+  return normalizeAuth({
+    type: 'oauth2',
+    tokenUrl: `${baseUrl}/token`,
+    clientId: 'client',
+    clientSecret: 'secret',
+    scope: `test-${++authCount}`,
+    ...overrides
+  });
+}
+
+describe('OAuth2客户端凭据', () => {
+  test('使用Basic客户端认证请求令牌，并在有效期内复用缓存', async () => {
+    const auth = createAuth({ scope: ['read', 'write'] });
+
+    const first = await applyAuth({ url: `${baseUrl}/api` }, auth);
+    const second = await applyAuth({ url: `${baseUrl}/api` }, auth);
+
+    expect(first.headers.Authorization).toBe('Bearer token-1');
+    expect(second.headers.Authorization).toBe('Bearer token-1');
+    expect(tokenRequests).toHaveLength(1);
+    expect(tokenRequests[0].body.get('grant_type')).toBe('client_credentials');
+    expect(tokenRequests[0].body.get('scope')).toBe('read write');
+  });
+
+  test('并发请求共享同一次令牌请求', async () => {
+    const auth = createAuth();
+
+    const configs = await Promise.all([1, 2, 3].map(() => applyAuth({}, auth)));
+
+    expect(configs.map(config => config.headers.Authorization)).toEqual(['Bearer token-1', 'Bearer token-1', 'Bearer token-1']);
+    expect(tokenRequests).toHaveLength(1);
+  });
+
+  test('令牌过期之前按refreshSkew提前获取新令牌', async () => {
+    expiresIn = 600;
+    const auth = createAuth({ refreshSkew: 60 });
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    await applyAuth({}, auth);
+    clock.mockReturnValue(now + 539 * 1000);
+    expect((await applyAuth({}, auth)).headers.Authorization).toBe('Bearer token-1');
+    expect(tokenRequests).toHaveLength(1);
+
+    clock.mockReturnValue(now + 541 * 1000);
+    expect((await applyAuth({}, auth)).headers.Authorization).toBe('Bearer token-2');
+    expect(tokenRequests).toHaveLength(2);
+  });
+
+  test('收到401时丢弃缓存的令牌，获取新令牌后重试一次', async () => {
+    const auth = createAuth();
+    await applyAuth({}, auth);
+    // 服务器撤销了缓存中的令牌，只接受下一次签发的令牌
+    acceptedToken = 'token-2';
+
+    const response = await sendWithAuth({ url: `${baseUrl}/api`, method: 'GET' }, auth, axios);
+
+    expect(response.data).toEqual({ authorization: 'Bearer token-2' });
+    expect(tokenRequests).toHaveLength(2);
+    // 新令牌被缓存，之后的请求不再请求令牌
+    await sendWithAuth({ url: `${baseUrl}/api`, method: 'GET' }, auth, axios);
+    expect(tokenRequests).toHaveLength(2);
+  });
+
+  test('重试后仍然是401时返回错误，不再继续重试', async () => {
+    const auth = createAuth();
+    acceptedToken = 'never';
+
+    await expect(sendWithAuth({ url: `${baseUrl}/api`, method: 'GET' }, auth, axios))
+      .rejects.toMatchObject({ response: { status: 401 } });
+    expect(tokenRequests).toHaveLength(2);
+  });
+
+  test('令牌端点返回错误时报告原因，并且不缓存失败的结果', async () => {
+    const auth = createAuth({ clientSecret: 'wrong' });
+
+    await expect(applyAuth({}, auth)).rejects.toThrow('获取OAuth2访问令牌失败: HTTP 401 bad client credentials');
+    await expect(applyAuth({}, auth)).rejects.toThrow('获取OAuth2访问令牌失败');
+    expect(tokenRequests).toHaveLength(2);
+  });
+});
+
+describe('Digest认证', () => {
+  let digestServer;
+  let digestUrl;
+  // 服务器收到的Authorization请求头参数和请求体
+  let received;
+
+  /**
+   * 解析Digest Authorization请求头
+   * @param {string} header - 请求头
+   * @returns {Object} 参数
+   */
+  function parseAuthorization(header) {
+    const params = {};
+    for (const match of header.matchAll(/(\w+)=(?:"((?:[^"\\]|\\.)*)"|([^\s,]+))/g)) {
+      params[match[1]] = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3];
+    }
+    return params;
+  }
+
+  beforeAll(async () => {
+    digestServer = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        const body = Buffer.concat(chunks);
+        if (!req.headers.authorization) {
+          res.statusCode = 401;
+          res.setHeader('WWW-Authenticate', 'Digest realm="api", qop="auth-int", nonce="n1", opaque="o1"');
+          res.end();
+          return;
+        }
+
+        // 按收到的字节验证auth-int摘要
+        const params = parseAuthorization(req.headers.authorization);
+        const ha1 = hash(`${params.username}:api:pass`, 'md5');
+        const ha2 = hash(`${req.method}:${params.uri}:${hash(body, 'md5')}`, 'md5');
+        const expected = hash(`${ha1}:${params.nonce}:${params.nc}:${params.cnonce}:${params.qop}:${ha2}`, 'md5');
+        received = { params, body: body.toString(), contentType: req.headers['content-type'] };
+        res.statusCode = params.response === expected ? 200 : 403;
+        res.end();
+      });
+    });
+    await new Promise(resolve => digestServer.listen(0, '127.0.0.1', resolve));
+    digestUrl = `http://127.0.0.1:${digestServer.address().port}`;
+  });
+
+  afterAll(() => new Promise(resolve => digestServer.close(resolve)));
+
+  test('qop为auth-int时按实际发送的JSON请求体计算摘要', async () => {
+    const auth = normalizeAuth({ type: 'digest', username: 'user', password: 'pass' });
+
+    const response = await sendWithAuth({ url: `${digestUrl}/orders`, method: 'POST', data: { id: 1, tags: ['a'] } }, auth, axios);
+
+    expect(response.status).toBe(200);
+    expect(received.body).toBe('{"id":1,"tags":["a"]}');
+    expect(received.contentType).toBe('application/json');
+    expect(received.params.qop).toBe('auth-int');
+  });
+
+  test('用户名中的双引号和反斜杠被转义', async () => {
+    const auth = normalizeAuth({ type: 'digest', username: 'a"b\\c', password: 'pass' });
+
+    const response = await sendWithAuth({ url: `${digestUrl}/orders`, method: 'POST', data: 'text' }, auth, axios);
+
+    expect(response.status).toBe(200);
+    expect(received.params.username).toBe('a"b\\c');
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * @file common.test.js
+ * @description JSON Pointer工具函数的测试
+ */
+
+const { setByPointer, parsePointer } = require('../src/utils/common');
+const { validateApiDefinition } = require('../src/validators/api-validator');
+
+describe('setByPointer', () => {
+  test('按JSON Pointer设置嵌套的值并创建缺失的层级', () => {
+    const target = {};
+    setByPointer(target, '/filter/status', 'open');
+    setByPointer(target, '/items/0', 'a');
+    setByPointer(target, '/a~1b/c~0d', 1);
+    expect(target).toEqual({ filter: { status: 'open' }, items: ['a'], 'a/b': { 'c~d': 1 } });
+  });
+
+  test.each(['/__proto__/polluted', '/constructor/prototype/polluted', '/a/__proto__'])(
+    '拒绝修改对象原型的JSON Pointer: %s',
+    (pointer) => {
+      expect(() => setByPointer({}, pointer, 'yes')).toThrow(/不能包含/);
+      expect({}.polluted).toBeUndefined();
+      expect(Object.prototype.polluted).toBeUndefined();
+    }
+  );
+
+  test('只拒绝完整的 __proto__ 片段', () => {
+    expect(() => parsePointer('/__proto__~1x')).not.toThrow();
+    expect(() => parsePointer('/x/__proto__')).toThrow();
+  });
+});
+
+describe('参数的JSON Pointer位置', () => {
+  test('验证API定义时拒绝 body:/__proto__/x', () => {
+    expect(() => validateApiDefinition({
+      name: 'polluting_api',
+      url: 'https://api.example.com/items',
+      method: 'POST',
+      parameters: {
+        x: { type: 'string', in: 'body:/__proto__/x' }
+      }
+    })).toThrow(/__proto__/);
+    expect({}.x).toBeUndefined();
+  });
+});
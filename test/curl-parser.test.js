@@ -0,0 +1,80 @@
+/**
+ * @file curl-parser.test.js
+ * @description curl命令导入的测试：命令行拆分、标记的参数位置、认证和请求体
+ */
+
+const { tokenize, parseCurlCommand, curlToApiDefinition } = require('../src/parsers/curl-parser');
+const { validateApiDefinition } = require('../src/validators/api-validator');
+const { buildRequestConfig } = require('../src/mcp-server');
+
+const COMMAND = `curl -X POST 'https://api.example.com/orgs/acme/members?role=admin&x=1' \\
+  -H 'X-Trace: t-1' -u 'bob:s3cret' --digest \\
+  -d '{"email":"a@b.c","notify":true}'`;
+
+describe('tokenize', () => {
+  test('支持单引号、双引号、$\'...\'和续行符', () => {
+    expect(tokenize(`curl "a \\"b\\"" 'c d' $'e\\nf' \\\n -s`)).toEqual(['curl', 'a "b"', 'c d', 'e\nf', '-s']);
+  });
+});
+
+describe('parseCurlCommand', () => {
+  test('解析组合的短选项和--option=value写法', () => {
+    const parsed = parseCurlCommand("curl -sSXPUT --url=example.com/a -HAccept:json -G -d q=1");
+
+    expect(parsed).toMatchObject({ method: 'PUT', url: 'http://example.com/a', headers: { Accept: 'json' }, data: ['q=1'], get: true });
+  });
+
+  test('不是curl命令或缺少URL时报错', () => {
+    expect(() => parseCurlCommand('wget https://example.com')).toThrow('不是有效的curl命令');
+    expect(() => parseCurlCommand('curl -s')).toThrow('curl命令中缺少URL');
+  });
+});
+
+describe('curlToApiDefinition', () => {
+  /**
+   * 使用测试命令生成API定义
+   * @param {Array} parameters - 标记的字面值
+   * @returns {Object} API定义
+   */
+  const convert = parameters => curlToApiDefinition(parseCurlCommand(COMMAND), { name: 'add_member', parameters });
+
+  test('标记的值按出现的位置成为路径、查询、请求头或请求体参数', () => {
+    const apiDef = convert([{ value: 'acme', name: 'org' }, { value: 'admin' }, { value: 't-1' }, { value: 'a@b.c' }]);
+
+    expect(apiDef.url).toBe('https://api.example.com/orgs/{org}/members?x=1');
+    expect(apiDef.parameters).toEqual({
+      org: { type: 'string', required: true, description: '', in: 'path' },
+      role: { type: 'string', required: true, description: '', in: 'query' },
+      'X-Trace': { type: 'string', required: true, description: '', in: 'header' },
+      email: { type: 'string', required: true, description: '', in: 'body' },
+      notify: { type: 'boolean', required: false, description: '', in: 'body', default: true }
+    });
+    expect(apiDef.headers).toEqual({ 'Content-Type': 'application/json' });
+
+    const config = buildRequestConfig(validateApiDefinition(apiDef), { org: 'a/b', role: 'owner', 'X-Trace': 't-2', email: 'x@y.z' });
+    expect(config.url).toBe('https://api.example.com/orgs/a%2Fb/members?x=1');
+    expect(config.params).toEqual({ role: 'owner' });
+    expect(config.headers['X-Trace']).toBe('t-2');
+    expect(config.data).toEqual({ email: 'x@y.z', notify: true });
+  });
+
+  test('-u转换为认证，使用--digest时为digest认证', () => {
+    expect(convert([]).auth).toEqual({ type: 'digest', username: 'bob', password: 's3cret' });
+    expect(curlToApiDefinition(parseCurlCommand('curl -u bob https://example.com'), { name: 'a' }).auth)
+      .toEqual({ type: 'basic', username: 'bob', password: '' });
+  });
+
+  test('-F上传文件转换为file参数，请求体为multipart', () => {
+    const apiDef = curlToApiDefinition(parseCurlCommand("curl https://example.com/upload -F 'file=@/tmp/a.png' -F title=hi"), { name: 'upload' });
+
+    expect(apiDef.bodyType).toBe('multipart');
+    expect(apiDef.parameters).toMatchObject({
+      file: { type: 'file', in: 'body' },
+      title: { type: 'string', required: false, in: 'body', default: 'hi' }
+    });
+  });
+
+  test('标记的值不在命令中时报错', () => {
+    expect(() => convert([{ value: 'missing' }])).toThrow('未在curl命令中找到以下参数值: missing');
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * @file har-parser.test.js
+ * @description HAR文件导入的测试：按路径模板合并请求，推断路径、查询和请求体参数
+ */
+
+const har = require('./fixtures/har.json');
+const { isHarDocument, parseHarDocument } = require('../src/parsers/har-parser');
+const { validateApiDefinition } = require('../src/validators/api-validator');
+const { buildRequestConfig } = require('../src/mcp-server');
+
+/**
+ * 解析测试文件并按工具名称返回API定义
+ * @param {Object} [options] - 解析选项
+ * @returns {Object} 工具名称到API定义的映射
+ */
+function parseFixture(options) {
+  return parseHarDocument(har, options).reduce((map, apiDef) => ({ ...map, [apiDef.name]: apiDef }), {});
+}
+
+describe('parseHarDocument', () => {
+  test('识别HAR文件，默认跳过静态资源请求', () => {
+    expect(isHarDocument(har)).toBe(true);
+    expect(Object.keys(parseFixture())).toEqual(['get_api_orders_orderId', 'post_api_orders', 'post_api_login']);
+    expect(Object.keys(parseFixture({ includeStatic: true }))).toContain('get_static_app_js');
+    expect(Object.keys(parseFixture({ urlFilter: '/login' }))).toEqual(['post_api_login']);
+  });
+
+  test('ID路径段合并为路径参数，所有请求都出现的查询参数为必填', () => {
+    const { get_api_orders_orderId: getOrder } = parseFixture();
+
+    expect(getOrder.url).toBe('https://shop.example.com/api/orders/{orderId}');
+    expect(getOrder.parameters).toMatchObject({
+      orderId: { type: 'number', required: true, in: 'path' },
+      lang: { type: 'string', required: true, in: 'query' },
+      page: { type: 'number', required: false, in: 'query' }
+    });
+    expect(getOrder.sampleResponse).toContain('"status": "open"');
+  });
+
+  test('JSON请求体字段成为body参数，只在部分请求中出现的字段为可选', () => {
+    const createOrder = validateApiDefinition(parseFixture().post_api_orders);
+
+    expect(createOrder.parameters).toMatchObject({
+      sku: { type: 'string', required: true, in: 'body' },
+      quantity: { type: 'number', required: true, in: 'body' },
+      gift: { type: 'boolean', required: false, in: 'body' }
+    });
+    expect(createOrder.headers).toEqual({});
+    expect(buildRequestConfig(createOrder, { sku: 'C-3', quantity: 5 }).data).toEqual({ sku: 'C-3', quantity: 5 });
+  });
+
+  test('表单请求体保留Content-Type，字段按表单序列化', () => {
+    const login = validateApiDefinition(parseFixture().post_api_login);
+
+    expect(login.headers).toEqual({ 'Content-Type': 'application/x-www-form-urlencoded' });
+    expect(login.parameters).toMatchObject({
+      user: { type: 'string', required: true, in: 'body' },
+      remember: { type: 'boolean', required: true, in: 'body' }
+    });
+    expect(String(buildRequestConfig(login, { user: 'bob', remember: false }).data)).toBe('user=bob&remember=false');
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * @file json-parser.test.js
+ * @description 查询表达式的测试：注册时检查JSONPath和JMESPath的语法
+ */
+
+const { validateQueryExpression } = require('../src/tools/json-parser');
+const { validateApiDefinition } = require('../src/validators/api-validator');
+
+describe('validateQueryExpression', () => {
+  test.each([
+    '$.data.items[*].id',
+    "$.data.items[?(@.status=='open')].id",
+    '$.items[?(@.meta.score > 1 && @.name == "a]b")]',
+    "$['first name'].value",
+    '$..book[0,1]',
+    '$.items[-1:]',
+    '$.items[(@.length-1)]',
+    'jsonpath:items[*]'
+  ])('接受有效的JSONPath: %s', expression => {
+    expect(() => validateQueryExpression(expression)).not.toThrow();
+  });
+
+  test.each([
+    ['$.items[', '括号或引号没有闭合'],
+    ["$['name", '括号或引号没有闭合'],
+    ['$.items]', '没有对应的左括号'],
+    ['$.data items', '括号外的空白'],
+    ['$.items..', '不能以.结尾'],
+    ['$.items[?(@.price <)]', '无效的JSONPath表达式']
+  ])('拒绝无效的JSONPath: %s', (expression, message) => {
+    expect(() => validateQueryExpression(expression)).toThrow(message);
+  });
+
+  test('拒绝无效的JMESPath', () => {
+    expect(() => validateQueryExpression('items[?', 'jmespath')).toThrow('无效的JMESPath表达式');
+  });
+});
+
+describe('注册时检查API定义中的查询表达式', () => {
+  test.each([
+    ['resultPath', { resultPath: '$.items[?(@.id ==)]' }],
+    ['resultQuery', { resultQuery: 'jsonpath:$.items[' }],
+    ['pagination.itemsPath', { pagination: { type: 'page', itemsPath: '$.data[' } }],
+    ['pagination.cursorPath', { pagination: { type: 'cursor', cursorPath: '$.meta.next]' } }]
+  ])('%s中的无效JSONPath导致注册失败', (field, definition) => {
+    expect(() => validateApiDefinition({ name: 'list', url: 'https://api.example.com/items', ...definition }))
+      .toThrow('无效的JSONPath表达式');
+  });
+});
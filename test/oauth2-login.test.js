@@ -0,0 +1,37 @@
+/**
+ * @file oauth2-login.test.js
+ * @description OAuth2授权码登录的测试：授权回调页面中的错误信息
+ */
+
+const axios = require('axios');
+const { normalizeAuth } = require('../src/utils/auth');
+const { login } = require('../src/utils/oauth2-login');
+
+describe('login', () => {
+  test('授权服务器返回的错误描述在回调页面中被转义', async () => {
+    const auth = normalizeAuth({
+      type: 'oauth2',
+      flow: 'authorizationCode',
+      authorizationUrl: 'https://auth.example.com/authorize',
+      tokenUrl: 'https://auth.example.com/token',
+      clientId: 'cli'
+    }, 'example');
+    let page;
+
+    // 模拟浏览器：授权服务器带着错误重定向回回调地址
+    const openBrowser = authorizationUrl => {
+      const params = new URL(authorizationUrl).searchParams;
+      const callback = new URL(params.get('redirect_uri'));
+      callback.searchParams.set('state', params.get('state'));
+      callback.searchParams.set('error', 'access_denied');
+      callback.searchParams.set('error_description', '<script>alert("x")</script>');
+      page = axios.get(callback.href, { validateStatus: () => true });
+    };
+
+    await expect(login(auth, { openBrowser, timeout: 5000 })).rejects.toThrow('授权失败: <script>alert("x")</script>');
+    const response = await page;
+    expect(response.status).toBe(400);
+    expect(response.data).toContain('登录失败：&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;');
+    expect(response.data).not.toContain('<script>');
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * @file openapi-parser.test.js
+ * @description OpenAPI 3.x文档导入的测试：服务器地址、参数位置、引用展开和请求体字段
+ */
+
+const doc = require('./fixtures/openapi.json');
+const { isOpenApiDocument, parseOpenApiDocument } = require('../src/parsers/openapi-parser');
+const { validateApiDefinition } = require('../src/validators/api-validator');
+const { buildRequestConfig } = require('../src/mcp-server');
+
+/**
+ * 解析测试文档并按工具名称返回API定义
+ * @param {Object} [options] - 解析选项
+ * @returns {Object} 工具名称到API定义的映射
+ */
+function parseFixture(options) {
+  return parseOpenApiDocument(JSON.parse(JSON.stringify(doc)), options)
+    .reduce((map, apiDef) => ({ ...map, [apiDef.name]: apiDef }), {});
+}
+
+describe('parseOpenApiDocument', () => {
+  test('识别OpenAPI 3.x文档', () => {
+    expect(isOpenApiDocument(doc)).toBe(true);
+    expect(isOpenApiDocument({ swagger: '2.0' })).toBe(false);
+    expect(() => parseOpenApiDocument({ swagger: '2.0', paths: {} })).toThrow('不是有效的OpenAPI 3.x文档');
+  });
+
+  test('每个操作生成一个API定义，服务器变量使用默认值', () => {
+    const defs = parseFixture();
+
+    expect(Object.keys(defs)).toEqual(['getPet', 'updatePet', 'uploadPhoto']);
+    expect(defs.getPet).toMatchObject({
+      url: 'https://eu.example.com/v1/pets/{petId}',
+      method: 'GET',
+      description: 'Get a pet'
+    });
+    expect(parseFixture({ baseUrl: 'http://localhost:8080/' }).getPet.url).toBe('http://localhost:8080/pets/{petId}');
+  });
+
+  test('路径级和操作级参数保留位置、类型和约束', () => {
+    const { getPet } = parseFixture();
+
+    expect(getPet.parameters).toEqual({
+      petId: { type: 'number', required: true, description: '', in: 'path', minimum: 1 },
+      fields: { type: 'string', required: false, description: '', in: 'query', enum: ['id', 'name'] },
+      'X-Request-Id': { type: 'string', required: true, description: '', in: 'header' },
+      session: { type: 'string', required: false, description: '', in: 'cookie' }
+    });
+  });
+
+  test('参数按声明的位置放到请求中', () => {
+    const getPet = validateApiDefinition(parseFixture().getPet);
+
+    const config = buildRequestConfig(getPet, { petId: 7, fields: 'name', 'X-Request-Id': 'r-1', session: 's 1' });
+
+    expect(config.url).toBe('https://eu.example.com/v1/pets/7');
+    expect(config.params).toEqual({ fields: 'name' });
+    expect(config.headers).toMatchObject({ 'X-Request-Id': 'r-1', Cookie: 'session=s%201' });
+    expect(config.data).toBeUndefined();
+  });
+
+  test('JSON请求体展开$ref和allOf，顶层属性成为body参数', () => {
+    const updatePet = validateApiDefinition(parseFixture().updatePet);
+
+    expect(updatePet.parameters).toMatchObject({
+      name: { type: 'string', required: true, in: 'body' },
+      age: { type: 'number', required: false, in: 'body' },
+      tags: { type: 'array', required: false, in: 'body' }
+    });
+    expect(updatePet.headers).toEqual({});
+    expect(buildRequestConfig(updatePet, { petId: 1, name: 'Rex', tags: ['a'] }).data).toEqual({ name: 'Rex', tags: ['a'] });
+  });
+
+  test('multipart请求体中的binary字段成为file参数', () => {
+    const { uploadPhoto } = parseFixture();
+
+    expect(uploadPhoto.headers).toEqual({ 'Content-Type': 'multipart/form-data' });
+    expect(uploadPhoto.parameters.file).toMatchObject({ type: 'file', in: 'body' });
+    expect(uploadPhoto.parameters.caption).toMatchObject({ type: 'string', in: 'body', maxLength: 80 });
+  });
+});
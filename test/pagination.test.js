@@ -0,0 +1,129 @@
+/**
+ * @file pagination.test.js
+ * @description 自动分页的测试：各分页方式的终止条件、maxItems截断和继续分页的参数
+ */
+
+const { normalizePagination, paginate } = require('../src/utils/pagination');
+
+/**
+ * 创建按请求顺序返回响应的fetchPage函数，并记录每次请求的参数和地址
+ * @param {Function} respond - (params, url) => {data, headers?, url?}
+ * @returns {Function} fetchPage函数，calls属性为请求记录
+ */
+function createFetchPage(respond) {
+  const calls = [];
+  const fetchPage = async (params, url) => {
+    calls.push({ params: { ...params }, url });
+    return { headers: {}, url: url || 'https://api.example.com/items', ...respond(params, url) };
+  };
+  fetchPage.calls = calls;
+  return fetchPage;
+}
+
+describe('Link分页', () => {
+  test('跟随同一来源的下一页地址', async () => {
+    const fetchPage = createFetchPage((params, url) => (url
+      ? { data: [3] }
+      : { data: [1, 2], headers: { Link: '</items?page=2>; rel="next"' } }));
+
+    const { items, pagination } = await paginate(normalizePagination({ type: 'link' }), {}, fetchPage);
+
+    expect(items).toEqual([1, 2, 3]);
+    expect(fetchPage.calls[1].url).toBe('https://api.example.com/items?page=2');
+    expect(pagination).toEqual({ type: 'link', pages: 2, items: 3, hasMore: false });
+  });
+
+  test('拒绝指向其他来源的下一页地址', async () => {
+    const fetchPage = createFetchPage(() =>
+      ({ data: [1], headers: { link: '<https://attacker.example/steal>; rel="next"' } }));
+
+    await expect(paginate(normalizePagination({ type: 'link' }), {}, fetchPage))
+      .rejects.toThrow('与API地址的来源 https://api.example.com 不同');
+    expect(fetchPage.calls).toHaveLength(1);
+  });
+
+  test('达到maxPages时只返回hasMore，不返回无法传入的地址', async () => {
+    const fetchPage = createFetchPage(() => ({ data: [1], headers: { link: '</items?page=2>; rel="next"' } }));
+
+    const { pagination } = await paginate(normalizePagination({ type: 'link', maxPages: 1 }), {}, fetchPage);
+
+    expect(pagination).toEqual({ type: 'link', pages: 1, items: 1, hasMore: true });
+  });
+});
+
+describe('页码分页', () => {
+  test('数据项不足一页时停止，从调用方传入的页码开始', async () => {
+    const fetchPage = createFetchPage(params => ({ data: { list: params.page === 3 ? [5, 6] : [7] } }));
+
+    const { items, pagination } = await paginate(
+      normalizePagination({ type: 'page', pageSize: 2, sizeParam: 'size', itemsPath: 'list' }), { page: 3 }, fetchPage);
+
+    expect(items).toEqual([5, 6, 7]);
+    expect(fetchPage.calls.map(call => call.params)).toEqual([{ page: 3, size: 2 }, { page: 4, size: 2 }]);
+    expect(pagination).toEqual({ type: 'page', pages: 2, items: 3, hasMore: false });
+  });
+
+  test('达到maxPages时返回下一页的页码', async () => {
+    const fetchPage = createFetchPage(() => ({ data: [1, 2] }));
+
+    const { pagination } = await paginate(normalizePagination({ type: 'page', pageSize: 2, maxPages: 2 }), {}, fetchPage);
+
+    expect(pagination).toEqual({ type: 'page', pages: 2, items: 4, hasMore: true, next: { page: 3 } });
+  });
+
+  test('maxItems截断最后一页时只返回hasMore', async () => {
+    const fetchPage = createFetchPage(params => ({ data: [params.page * 10, params.page * 10 + 1] }));
+
+    const { items, pagination } = await paginate(normalizePagination({ type: 'page', pageSize: 2, maxItems: 3 }), {}, fetchPage);
+
+    expect(items).toEqual([10, 11, 20]);
+    expect(pagination).toEqual({ type: 'page', pages: 2, items: 3, hasMore: true });
+  });
+});
+
+describe('offset分页', () => {
+  test('恰好取到totalPath给出的总数时不再请求', async () => {
+    const fetchPage = createFetchPage(params => ({ data: { total: 4, items: [params.offset, params.offset + 1] } }));
+
+    const { items, pagination } = await paginate(
+      normalizePagination({ type: 'offset', limit: 2, itemsPath: 'items', totalPath: 'total' }), {}, fetchPage);
+
+    expect(items).toEqual([0, 1, 2, 3]);
+    expect(fetchPage.calls).toHaveLength(2);
+    expect(pagination).toEqual({ type: 'offset', pages: 2, items: 4, hasMore: false, total: 4 });
+  });
+
+  test('maxItems截断时next指向第一条未返回的数据项', async () => {
+    const fetchPage = createFetchPage(params => ({ data: [params.offset, params.offset + 1, params.offset + 2] }));
+
+    const { items, pagination } = await paginate(
+      normalizePagination({ type: 'offset', limit: 3, maxItems: 4 }), { offset: 10 }, fetchPage);
+
+    expect(items).toEqual([10, 11, 12, 13]);
+    expect(pagination).toEqual({ type: 'offset', pages: 2, items: 4, hasMore: true, next: { offset: 14 } });
+  });
+});
+
+describe('游标分页', () => {
+  test('按响应中的游标请求下一页，hasMorePath为false时停止', async () => {
+    const fetchPage = createFetchPage(params => (params.cursor
+      ? { data: { items: [2], next: 'c2', more: false } }
+      : { data: { items: [1], next: 'c1', more: true } }));
+
+    const { items, pagination } = await paginate(
+      normalizePagination({ type: 'cursor', cursorPath: 'next', hasMorePath: 'more', itemsPath: 'items' }), {}, fetchPage);
+
+    expect(items).toEqual([1, 2]);
+    expect(fetchPage.calls[1].params).toEqual({ cursor: 'c1' });
+    expect(pagination).toEqual({ type: 'cursor', pages: 2, items: 2, hasMore: false });
+  });
+
+  test('达到maxPages时返回响应头中的下一页游标', async () => {
+    const fetchPage = createFetchPage(() => ({ data: [1], headers: { 'X-Next-Cursor': 'abc' } }));
+
+    const { pagination } = await paginate(
+      normalizePagination({ type: 'cursor', cursorHeader: 'x-next-cursor', maxPages: 1 }), {}, fetchPage);
+
+    expect(pagination).toEqual({ type: 'cursor', pages: 1, items: 1, hasMore: true, next: { cursor: 'abc' } });
+  });
+});
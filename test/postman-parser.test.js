@@ -0,0 +1,99 @@
+/**
+ * @file postman-parser.test.js
+ * @description Postman集合导入的测试：变量转换为同名参数、请求头和URL中的变量渲染、认证中的变量读取环境变量
+ */
+
+const collection = require('./fixtures/postman-collection.json');
+const logger = require('../src/utils/logger');
+const { parsePostmanCollection } = require('../src/parsers/postman-parser');
+const { validateApiDefinition } = require('../src/validators/api-validator');
+const { buildRequestConfig } = require('../src/mcp-server');
+
+/**
+ * 解析测试集合并按工具名称返回校验后的API定义
+ * @returns {Object} 工具名称到API定义的映射
+ */
+function parseFixture() {
+  return parsePostmanCollection(JSON.parse(JSON.stringify(collection))).reduce((map, apiDef) =>
+    ({ ...map, [apiDef.name]: validateApiDefinition(apiDef) }), {});
+}
+
+let warn;
+
+beforeEach(() => {
+  warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('parsePostmanCollection', () => {
+  test('多处使用的变量只生成一个以变量命名的参数', () => {
+    const { Orders_Search: search } = parseFixture();
+
+    expect(search.url).toBe('https://api.example.com/tenants/{tenant}/orders?q={{query}}&status=open');
+    expect(search.headers).toEqual({ 'X-Tenant': '{{tenant}}', Accept: 'application/json' });
+    expect(Object.keys(search.parameters).sort()).toEqual(['query', 'tenant']);
+    expect(search.parameters.tenant).toMatchObject({ type: 'string', required: true, in: 'path' });
+    expect(search.parameters.query).toMatchObject({ type: 'string', required: true, in: 'query' });
+  });
+
+  test('变量的值替换到路径、查询字符串和请求头中', () => {
+    const { Orders_Search: search } = parseFixture();
+
+    const config = buildRequestConfig(search, { tenant: 'acme corp', query: 'a&b' });
+
+    expect(config.url).toBe('https://api.example.com/tenants/acme%20corp/orders?q=a%26b&status=open');
+    expect(config.headers['X-Tenant']).toBe('acme corp');
+    expect(config.params).toBeUndefined();
+  });
+
+  test('JSON请求体中的变量成为请求体模板的参数，并按位置推断类型', () => {
+    const { Orders_Create: create } = parseFixture();
+
+    expect(create.parameters).toMatchObject({
+      customer: { type: 'string', required: true, in: 'body' },
+      quantity: { type: 'number', required: true, in: 'body' },
+      channel: { type: 'string', required: false, in: 'body', default: 'web' }
+    });
+    expect(buildRequestConfig(create, { customer: 'c-1', quantity: 2 }).data)
+      .toEqual({ customer: 'c-1', quantity: 2, channel: 'web' });
+  });
+
+  test('表单字段中的变量通过请求体模板渲染', () => {
+    const { Login: login } = parseFixture();
+
+    expect(login.parameters.device).toMatchObject({ type: 'string', required: true, in: 'body' });
+    expect(login.parameters.grant).toMatchObject({ in: 'body', default: 'password' });
+    expect(new URLSearchParams(buildRequestConfig(login, { device: '42' }).data).toString())
+      .toBe('device=cli-42&grant=password');
+  });
+
+  test('认证中未解析的变量转换为环境变量引用，不成为工具参数', () => {
+    const defs = parseFixture();
+
+    expect(defs.Orders_Search.auth).toMatchObject({ type: 'bearer', token: '${env:accessToken}' });
+    expect(defs.Login.auth).toEqual({ type: 'basic', username: '${env:user}', password: '${env:password}' });
+    expect(defs.Login.parameters).not.toHaveProperty('Authorization');
+    expect(defs.Login.parameters).not.toHaveProperty('password');
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('user, password'));
+  });
+
+  test('digest认证被保留，而不是被忽略', () => {
+    const { Report: report } = parseFixture();
+
+    expect(report.auth).toEqual({ type: 'digest', username: 'reporter', password: '${env:reportPassword}' });
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('"Report" 的认证包含未解析的变量'));
+  });
+
+  test('不支持的认证类型记录警告', () => {
+    const doc = {
+      info: { schema: 'collection/v2.1' },
+      item: [{ name: 'hawk', request: { url: 'https://h/x', auth: { type: 'hawk', hawk: [] } } }]
+    };
+
+    expect(parsePostmanCollection(doc)[0].auth).toBeUndefined();
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('不支持的认证类型 hawk'));
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * @file request-config.test.js
+ * @description 请求配置构建的测试：路径参数替换、参数位置、表单和文件请求体、请求体模板
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FormData = require('form-data');
+const logger = require('../src/utils/logger');
+const { createServer, buildRequestConfig } = require('../src/mcp-server');
+const { validateApiDefinition } = require('../src/validators/api-validator');
+
+// 允许上传文件的目录和目录之外的文件
+let uploadDir;
+let outsideDir;
+
+beforeAll(() => {
+  jest.spyOn(logger, 'info').mockImplementation(() => {});
+  uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webapi-upload-'));
+  outsideDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webapi-outside-'));
+  fs.writeFileSync(path.join(uploadDir, 'photo.png'), 'PNGDATA');
+  fs.writeFileSync(path.join(outsideDir, 'secret.txt'), 'SECRET');
+  createServer({ fileDirectories: [uploadDir], variables: { tenant: 'acme' } });
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+  fs.rmSync(outsideDir, { recursive: true, force: true });
+});
+
+/**
+ * 校验API定义后构建请求配置
+ * @param {Object} apiDef - API定义
+ * @param {Object} params - 工具调用参数
+ * @returns {Object} axios请求配置
+ */
+function build(apiDef, params) {
+  return buildRequestConfig(validateApiDefinition({ name: 'test_api', ...apiDef }), params);
+}
+
+/**
+ * 读取流形式的请求体(multipart表单或文件流)的全部内容
+ * @param {Stream} stream - 请求体
+ * @returns {Promise<string>} 请求体文本
+ */
+function readBody(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(Buffer.from(chunk)));
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString()));
+    stream.on('error', reject);
+    stream.resume();
+  });
+}
+
+describe('路径参数', () => {
+  test('替换 {id} 和 :id 占位符并进行URL编码', () => {
+    const config = build({ url: 'https://api.example.com/orgs/{org}/users/:userId/avatar.:format' },
+      { org: 'a/b c', userId: 42, format: 'png' });
+
+    expect(config.url).toBe('https://api.example.com/orgs/a%2Fb%20c/users/42/avatar.png');
+    expect(config.params).toBeUndefined();
+  });
+
+  test('不替换主机部分的端口号', () => {
+    const config = build({ url: 'http://localhost:8080/items/:id' }, { id: 8080 });
+
+    expect(config.url).toBe('http://localhost:8080/items/8080');
+  });
+});
+
+describe('参数位置', () => {
+  test('按in放到查询参数、请求头、Cookie和请求体中', () => {
+    const config = build({
+      url: 'https://api.example.com/items',
+      method: 'POST',
+      headers: { Cookie: 'theme=dark' },
+      parameters: {
+        q: { type: 'string', in: 'query' },
+        'X-Trace': { type: 'string', in: 'header' },
+        session: { type: 'string', in: 'cookie' },
+        name: { type: 'string', in: 'body' },
+        note: { type: 'string' }
+      }
+    }, { q: 'a b', 'X-Trace': 7, session: 's=1', name: 'pen', note: 'n' });
+
+    expect(config).toMatchObject({
+      method: 'POST',
+      url: 'https://api.example.com/items',
+      params: { q: 'a b' },
+      headers: { 'X-Trace': '7', Cookie: 'theme=dark; session=s%3D1' },
+      data: { name: 'pen', note: 'n' }
+    });
+  });
+
+  test('未指定位置的参数在GET和DELETE请求中作为查询参数', () => {
+    const config = build({ url: 'https://api.example.com/items', method: 'DELETE', parameters: { id: { type: 'number' } } }, { id: 1 });
+
+    expect(config.params).toEqual({ id: 1 });
+    expect(config.data).toBeUndefined();
+  });
+
+  test('pointer指定请求体中的嵌套位置，空pointer为完整请求体', () => {
+    const apiDef = {
+      url: 'https://api.example.com/search',
+      method: 'POST',
+      parameters: {
+        status: { type: 'string', in: 'body:/filter/status' },
+        first: { type: 'string', in: 'body', pointer: '/tags/0' },
+        limit: { type: 'number', default: 10 }
+      }
+    };
+
+    expect(build(apiDef, { status: 'open', first: 'x' }).data)
+      .toEqual({ filter: { status: 'open' }, tags: ['x'], limit: 10 });
+
+    const raw = build({
+      url: 'https://api.example.com/batch',
+      method: 'POST',
+      parameters: { items: { type: 'array', in: 'body', pointer: '' } }
+    }, { items: [1, 2] });
+    expect(raw.data).toEqual([1, 2]);
+  });
+
+  test('未传入的参数使用默认值，传入的值优先', () => {
+    const apiDef = { url: 'https://api.example.com/items', parameters: { size: { type: 'number', default: 20 } } };
+
+    expect(build(apiDef, {}).params).toEqual({ size: 20 });
+    expect(build(apiDef, { size: 5 }).params).toEqual({ size: 5 });
+  });
+});
+
+describe('请求体类型', () => {
+  test('form请求体按表单编码，数组展开为同名字段', () => {
+    const config = build({
+      url: 'https://api.example.com/login',
+      method: 'POST',
+      bodyType: 'form',
+      parameters: { user: { type: 'string' }, scope: { type: 'array' }, meta: { type: 'object' } }
+    }, { user: 'a b', scope: ['read', 'write'], meta: { x: 1 } });
+
+    expect(config.data).toBe('user=a+b&scope=read&scope=write&meta=%7B%22x%22%3A1%7D');
+    expect(config.headers['Content-Type']).toBe('application/x-www-form-urlencoded');
+  });
+
+  const uploadApi = {
+    url: 'https://api.example.com/upload',
+    method: 'POST',
+    bodyType: 'multipart',
+    parameters: { file: { type: 'file', required: true }, title: { type: 'string' } }
+  };
+
+  test('multipart请求体上传允许目录中的文件', async () => {
+    const config = build(uploadApi, { file: path.join(uploadDir, 'photo.png'), title: 'hi' });
+
+    expect(config.data).toBeInstanceOf(FormData);
+    expect(config.headers['Content-Type']).toMatch(/^multipart\/form-data; boundary=/);
+    const body = await readBody(config.data);
+    expect(body).toContain('name="file"; filename="photo.png"');
+    expect(body).toContain('Content-Type: image/png');
+    expect(body).toContain('PNGDATA');
+    expect(body).toContain('name="title"\r\n\r\nhi');
+  });
+
+  test('拒绝读取允许目录之外的文件，包括通过 .. 和符号链接', () => {
+    const outside = path.join(outsideDir, 'secret.txt');
+    const link = path.join(uploadDir, 'link.txt');
+    fs.symlinkSync(outside, link);
+
+    expect(() => build(uploadApi, { file: outside })).toThrow('文件不在允许上传的目录中');
+    expect(() => build(uploadApi, { file: path.join(uploadDir, '..', path.basename(outsideDir), 'secret.txt') }))
+      .toThrow('文件不在允许上传的目录中');
+    expect(() => build(uploadApi, { file: link })).toThrow('文件不在允许上传的目录中');
+    expect(() => build(uploadApi, { file: path.join(uploadDir, 'missing.png') })).toThrow('文件不存在');
+  });
+
+  test('binary请求体为file参数指定的文件流', async () => {
+    const config = build({
+      url: 'https://api.example.com/raw',
+      method: 'PUT',
+      bodyType: 'binary',
+      parameters: { file: { type: 'file', required: true } }
+    }, { file: path.join(uploadDir, 'photo.png') });
+
+    expect(config.data).toBeInstanceOf(fs.ReadStream);
+    expect(await readBody(config.data)).toBe('PNGDATA');
+    expect(config.headers).toMatchObject({ 'Content-Type': 'image/png', 'Content-Length': '7' });
+  });
+});
+
+describe('请求体模板', () => {
+  test('使用工具参数和全局变量渲染，单个占位符保留原类型，缺少的值省略所在属性', () => {
+    const config = build({
+      url: 'https://api.example.com/orders',
+      method: 'POST',
+      bodyTemplate: {
+        tenant: '{{tenant}}',
+        order: { qty: '{{qty}}', note: 'from {{source}}', coupon: '{{coupon}}' },
+        '{{#rush}}': { priority: 'high' }
+      },
+      parameters: {
+        qty: { type: 'number', required: true },
+        source: { type: 'string' },
+        coupon: { type: 'string' },
+        rush: { type: 'boolean' },
+        dryRun: { type: 'boolean' }
+      }
+    }, { qty: 3, source: 'web', rush: true, dryRun: true });
+
+    expect(config.data).toEqual({ tenant: 'acme', order: { qty: 3, note: 'from web' }, priority: 'high' });
+    // 模板中未引用的参数作为查询参数
+    expect(config.params).toEqual({ dryRun: true });
+  });
+
+  test('字符串形式的JSON模板在注册时解析，工具参数优先于全局变量', () => {
+    const config = build({
+      url: 'https://api.example.com/orders',
+      method: 'POST',
+      bodyTemplate: '{"tenant": "{{tenant}}", "count": {{count}}}',
+      parameters: { tenant: { type: 'string' }, count: { type: 'number' } }
+    }, { tenant: 'other', count: 2 });
+
+    expect(config.data).toEqual({ tenant: 'other', count: 2 });
+  });
+
+  test('XML文本模板中插入的值被转义', () => {
+    const config = build({
+      url: 'https://api.example.com/xml',
+      method: 'POST',
+      bodyType: 'xml',
+      bodyTemplate: '<order><note>{{note}}</note>{{#gift}}<gift/>{{/gift}}</order>',
+      parameters: { note: { type: 'string' }, gift: { type: 'boolean' } }
+    }, { note: '<a & "b">' });
+
+    expect(config.data).toBe('<order><note>&lt;a &amp; &quot;b&quot;&gt;</note></order>');
+    expect(config.headers['Content-Type']).toBe('application/xml; charset=utf-8');
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * @file result-budget.test.js
+ * @description 结果大小限制的测试：数组和字符串截断、按offset分页、结构化结果，以及按输出格式渲染截断后的结果
+ */
+
+const { applyResultBudget, pageResult, pageStructuredResult, describeTruncation } = require('../src/utils/result-budget');
+const { renderOutput } = require('../src/mcp-server');
+
+// 10个对象组成的数组结果
+const ITEMS = Array.from({ length: 10 }, (_, id) => ({ id }));
+
+describe('applyResultBudget', () => {
+  test('未超出预算时原样返回', () => {
+    expect(applyResultBudget({ a: [1, 2] }, { maxResultChars: 100, maxResultItems: 5 }))
+      .toEqual({ text: '{"a":[1,2]}', truncated: false, dropped: {} });
+  });
+
+  test('数组超出maxResultItems时截断并追加省略标记', () => {
+    const result = applyResultBudget({ list: [1, 2, 3, 4, 5] }, { maxResultItems: 2 });
+
+    expect(JSON.parse(result.text)).toEqual({ list: [1, 2, '… 还有 3 项'] });
+    expect(result).toMatchObject({ truncated: true, dropped: { items: 3 } });
+  });
+
+  test('超出字符数时先缩短过长的字符串', () => {
+    const result = applyResultBudget({ text: 'x'.repeat(300), list: [1, 2, 3] }, { maxResultChars: 120 });
+
+    expect(result.text.length).toBeLessThanOrEqual(120);
+    expect(JSON.parse(result.text)).toEqual({ text: `${'x'.repeat(64)}…(省略 236 个字符)`, list: [1, 2, 3] });
+    expect(result.dropped).toEqual({ strings: 1 });
+  });
+
+  test('文本结果直接按字符截断', () => {
+    expect(applyResultBudget('abcdefghij', { maxResultChars: 4 }))
+      .toEqual({ text: 'abcd', truncated: true, dropped: { chars: 6 } });
+  });
+});
+
+describe('pageResult', () => {
+  test('数组结果按项分页，next为第一条未返回的项', () => {
+    const paged = pageResult(ITEMS, undefined, { maxResultItems: 4 });
+
+    expect(paged.page).toEqual({ unit: 'items', offset: 0, total: 10, next: 4 });
+    expect(paged.dropped).toEqual({ items: 6 });
+    expect(describeTruncation(paged.dropped, paged.page, 'offset'))
+      .toBe('结果超出大小限制已截断：数组中省略了 6 项。完整结果共 10 项，本次从位置 0 开始。使用相同参数并设置 offset=4 可以查看后续内容。');
+  });
+
+  test('恰好取到最后一项时没有下一页', () => {
+    const paged = pageResult(ITEMS, 6, { maxResultItems: 4 });
+
+    expect(JSON.parse(paged.text)).toEqual([{ id: 6 }, { id: 7 }, { id: 8 }, { id: 9 }]);
+    expect(paged.page).toEqual({ unit: 'items', offset: 6, total: 10, next: undefined });
+    expect(describeTruncation(paged.dropped, paged.page, 'offset')).toBe('完整结果共 10 项，本次从位置 6 开始。');
+  });
+
+  test('offset超出数组长度时返回空数组', () => {
+    const paged = pageResult(ITEMS, 12, { maxResultItems: 4 });
+
+    expect(paged.text).toBe('[]');
+    expect(paged.page).toEqual({ unit: 'items', offset: 12, total: 10, next: undefined });
+  });
+
+  test('对象结果被截断时可以从0开始按字符查看完整的JSON文本', () => {
+    const value = { a: 'x'.repeat(50), b: [1, 2] };
+    const full = JSON.stringify(value);
+
+    const summary = pageResult(value, undefined, { maxResultChars: 30 });
+    expect(summary.page).toMatchObject({ unit: 'chars', offset: 0, total: full.length, next: 0 });
+
+    const first = pageResult(value, 0, { maxResultChars: 30 });
+    expect(first.text).toBe(full.substring(0, 30));
+    expect(first.page.next).toBe(30);
+
+    const last = pageResult(value, 60, { maxResultChars: 30 });
+    expect(last.text).toBe(full.substring(60));
+    expect(last.page.next).toBeUndefined();
+  });
+
+  test('offset超出文本长度时返回空文本', () => {
+    const paged = pageResult({ a: 1 }, 100, { maxResultChars: 30 });
+
+    expect(paged.text).toBe('');
+    expect(paged.page).toEqual({ unit: 'chars', offset: 100, total: 7, next: undefined });
+  });
+});
+
+describe('pageStructuredResult', () => {
+  test('去掉数组末尾的省略标记', () => {
+    const paged = pageResult(ITEMS, 2, { maxResultItems: 3 });
+
+    expect(pageStructuredResult(ITEMS, paged)).toEqual([{ id: 2 }, { id: 3 }, { id: 4 }]);
+  });
+
+  test('文本被直接截断时，数组结果退回为本页完整返回的数据项', () => {
+    const paged = { text: '[{"id":0},{"i', page: { unit: 'items', offset: 0, total: 10, next: 1 } };
+
+    expect(pageStructuredResult(ITEMS, paged)).toEqual([{ id: 0 }]);
+  });
+
+  test('文本响应返回本页文本，JSON字符串结果没有结构化结果', () => {
+    const paged = pageResult('abcdef', undefined, { maxResultChars: 3 });
+
+    expect(pageStructuredResult('abcdef', paged, true)).toBe('abc');
+    expect(pageStructuredResult('abcdef', paged)).toBeUndefined();
+  });
+});
+
+describe('renderOutput', () => {
+  const rows = [
+    { name: 'a,b', note: 'say "hi"' },
+    { name: 'line\nbreak', note: null }
+  ];
+
+  test('CSV格式对包含逗号、引号和换行的单元格加引号', () => {
+    const paged = pageResult(rows, undefined, {});
+
+    expect(renderOutput(rows, paged.text, paged.page, { outputFormat: 'csv' }))
+      .toBe('name,note\n"a,b","say ""hi"""\n"line\nbreak",');
+  });
+
+  test('截断后的数组去掉省略标记再转换格式，调用时指定的格式优先', () => {
+    const paged = pageResult(ITEMS, undefined, { maxResultItems: 2 });
+
+    expect(renderOutput(ITEMS, paged.text, paged.page, { outputFormat: 'csv' }, 'markdown'))
+      .toBe('| id |\n| --- |\n| 0 |\n| 1 |');
+  });
+
+  test('自动分页的结果把数据项转换为表格，分页信息附在后面', () => {
+    const value = { items: [{ id: 1 }], pagination: { type: 'page', pages: 1, items: 1, hasMore: false } };
+    const paged = pageResult(value, undefined, {});
+
+    expect(renderOutput(value, paged.text, paged.page, { outputFormat: 'csv', pagination: { type: 'page' } }))
+      .toBe('id\n1\n\n分页信息: {"type":"page","pages":1,"items":1,"hasMore":false}');
+  });
+
+  test('按字符分页的JSON文本和无法解析的文本原样返回', () => {
+    const paged = pageResult(ITEMS, undefined, { maxResultChars: 5 });
+
+    expect(renderOutput(ITEMS, paged.text, paged.page, { outputFormat: 'csv' })).toBe(paged.text);
+    expect(renderOutput({ a: 1 }, '{"a":', { unit: 'chars', offset: 7 }, { outputFormat: 'yaml' })).toBe('{"a":');
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * @file secrets.test.js
+ * @description 密钥引用的测试：${env:}、${file:}和${secret:}的解析，以及解析出的值在文本中被隐藏
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const secretStore = require('../src/utils/secret-store');
+const { hasSecretReference, resolveSecretReferences, maskSecrets } = require('../src/utils/secrets');
+
+// 测试使用的临时目录和修改前的环境变量
+let tempDir;
+let savedEnv;
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webapi-secrets-'));
+  savedEnv = { ...process.env };
+  process.env.WEBAPI_SECRETS_FILE = path.join(tempDir, 'secrets.json');
+  delete process.env.WEBAPI_SECRETS_KEY;
+});
+
+afterEach(() => {
+  Object.keys(process.env).filter(key => !(key in savedEnv)).forEach(key => delete process.env[key]);
+  Object.assign(process.env, savedEnv);
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('hasSecretReference', () => {
+  test('在字符串、数组和嵌套对象中查找引用', () => {
+    expect(hasSecretReference('Bearer ${env:TOKEN}')).toBe(true);
+    expect(hasSecretReference(['a', { b: '${secret:x}' }])).toBe(true);
+    expect(hasSecretReference({ url: 'https://api.example.com/${id}', n: 1 })).toBe(false);
+    expect(hasSecretReference(Buffer.from('${env:TOKEN}'))).toBe(false);
+  });
+});
+
+describe('resolveSecretReferences', () => {
+  test('解析环境变量引用，对象和数组返回解析后的副本', () => {
+    process.env.TEST_API_TOKEN = 'env-token-1';
+    const value = { headers: { Authorization: 'Bearer ${env:TEST_API_TOKEN}' }, list: ['${env: TEST_API_TOKEN }'], n: 1 };
+
+    expect(resolveSecretReferences(value))
+      .toEqual({ headers: { Authorization: 'Bearer env-token-1' }, list: ['env-token-1'], n: 1 });
+    expect(value.headers.Authorization).toBe('Bearer ${env:TEST_API_TOKEN}');
+  });
+
+  test('解析文件引用时去掉末尾的换行符', () => {
+    const file = path.join(tempDir, 'token');
+    fs.writeFileSync(file, 'file-token-2\n');
+
+    expect(resolveSecretReferences(`\${file:${file}}`)).toBe('file-token-2');
+  });
+
+  test('解析用secrets set保存的密钥', () => {
+    process.env.WEBAPI_SECRETS_KEY = 'master-key';
+    secretStore.setSecret('github-token', 'store-token-3');
+
+    expect(resolveSecretReferences('${secret:github-token}')).toBe('store-token-3');
+    // 设置了主密钥时不生成secrets.key
+    expect(fs.existsSync(path.join(tempDir, 'secrets.key'))).toBe(false);
+  });
+
+  test('引用的值不存在时报错', () => {
+    delete process.env.TEST_MISSING_TOKEN;
+
+    expect(() => resolveSecretReferences('${env:TEST_MISSING_TOKEN}')).toThrow('对应的环境变量未设置');
+    expect(() => resolveSecretReferences(`\${file:${path.join(tempDir, 'missing')}}`)).toThrow('无法读取密钥引用');
+    expect(() => resolveSecretReferences('${secret:missing}')).toThrow('密钥 missing 不存在');
+  });
+});
+
+describe('maskSecrets', () => {
+  test('隐藏解析出的值及其URL编码形式，较长的值先替换', () => {
+    process.env.TEST_MASK_SHORT = 'abc/def';
+    process.env.TEST_MASK_LONG = 'abc/def/ghi';
+    resolveSecretReferences(['${env:TEST_MASK_SHORT}', '${env:TEST_MASK_LONG}']);
+
+    expect(maskSecrets('token=abc/def/ghi&q=abc%2Fdef')).toBe('token=******&q=******');
+  });
+
+  test('不隐藏短于4个字符的值', () => {
+    process.env.TEST_MASK_TINY = 'on';
+    resolveSecretReferences('${env:TEST_MASK_TINY}');
+
+    expect(maskSecrets('mode=on')).toBe('mode=on');
+  });
+});
+
+describe('本地密钥存储', () => {
+  test('未设置WEBAPI_SECRETS_KEY时主密钥以明文保存在密钥文件旁边', () => {
+    secretStore.setSecret('api', 'store-token-4');
+    const keyFile = path.join(tempDir, 'secrets.key');
+
+    expect(fs.existsSync(keyFile)).toBe(true);
+    expect(fs.readFileSync(path.join(tempDir, 'secrets.json'), 'utf8')).not.toContain('store-token-4');
+    expect(secretStore.getSecret('api')).toBe('store-token-4');
+  });
+
+  test('主密钥不正确时无法解密', () => {
+    process.env.WEBAPI_SECRETS_KEY = 'right-key';
+    secretStore.setSecret('api', 'store-token-5');
+    process.env.WEBAPI_SECRETS_KEY = 'wrong-key';
+
+    expect(() => secretStore.getSecret('api')).toThrow('主密钥不正确或密钥文件已被修改');
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * @file soap.test.js
+ * @description SOAP请求信封的测试：参数序列化、转义和元素名检查
+ */
+
+const { buildEnvelope, buildRequest } = require('../src/protocols/soap');
+
+// document/literal风格、限定命名空间的操作
+const SOAP = {
+  version: '1.1',
+  style: 'document',
+  element: 'GetOrders',
+  namespace: 'urn:orders',
+  qualified: true,
+  action: 'urn:orders/GetOrders'
+};
+
+describe('buildEnvelope', () => {
+  test('对象参数嵌套为子元素，数组重复元素，值被转义', () => {
+    const xml = buildEnvelope(SOAP, { filter: { status: 'a<b & "c"', tags: ['x', 'y'] }, note: null });
+
+    expect(xml).toContain('<ns:GetOrders xmlns:ns="urn:orders">' +
+      '<ns:filter><ns:status>a&lt;b &amp; &quot;c&quot;</ns:status><ns:tags>x</ns:tags><ns:tags>y</ns:tags></ns:filter>' +
+      '<ns:note xsi:nil="true"/>' +
+      '</ns:GetOrders>');
+  });
+
+  test.each([
+    ['a><evil/><b', { filter: { 'a><evil/><b': 1 } }],
+    ['x y', { filter: { 'x y': 'v' } }],
+    ['1st', { '1st': 'v' }],
+    ['a"b', { items: [{ 'a"b': 'v' }] }]
+  ])('拒绝不是合法XML名称的键: %s', (key, params) => {
+    expect(() => buildEnvelope(SOAP, params)).toThrow('无效的XML元素名');
+  });
+
+  test('工具调用中的恶意键不会进入请求体', () => {
+    const apiDef = { url: 'https://example.com/soap', soap: SOAP, parameters: { filter: { type: 'object' } } };
+
+    expect(() => buildRequest(apiDef, { filter: { status: 'open', 'a><evil/><b': 'x' } })).toThrow('无效的XML元素名');
+    expect(buildRequest(apiDef, { filter: { status: 'open' } }).data)
+      .toContain('<ns:filter><ns:status>open</ns:status></ns:filter>');
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * @file swagger-parser.test.js
+ * @description Swagger 2.0文档导入的测试：基础地址、参数位置、请求体、表单文件和认证参数
+ */
+
+const doc = require('./fixtures/swagger.json');
+const { isSwaggerDocument, parseSwaggerDocument } = require('../src/parsers/swagger-parser');
+const { validateApiDefinition } = require('../src/validators/api-validator');
+const { buildRequestConfig } = require('../src/mcp-server');
+
+/**
+ * 解析测试文档并按工具名称返回API定义
+ * @returns {Object} 工具名称到API定义的映射
+ */
+function parseFixture() {
+  return parseSwaggerDocument(JSON.parse(JSON.stringify(doc)))
+    .reduce((map, apiDef) => ({ ...map, [apiDef.name]: apiDef }), {});
+}
+
+describe('parseSwaggerDocument', () => {
+  test('识别Swagger 2.0文档', () => {
+    expect(isSwaggerDocument(doc)).toBe(true);
+    expect(() => parseSwaggerDocument({ openapi: '3.0.0', paths: {} })).toThrow('不是有效的Swagger 2.0文档');
+  });
+
+  test('基础地址由schemes、host和basePath组成，优先使用https', () => {
+    const { getUser } = parseFixture();
+
+    expect(getUser.url).toBe('https://api.example.com/v2/users/{userId}');
+    expect(getUser.parameters).toMatchObject({
+      userId: { type: 'string', required: true, in: 'path' },
+      expand: { type: 'boolean', required: false, in: 'query' }
+    });
+  });
+
+  test('文档级security中的apiKey转换为可选的请求头参数', () => {
+    const getUser = validateApiDefinition(parseFixture().getUser);
+
+    expect(getUser.parameters['X-API-Key']).toMatchObject({ type: 'string', required: false, in: 'header' });
+    const config = buildRequestConfig(getUser, { userId: 'u 1', expand: true, 'X-API-Key': 'k' });
+    expect(config.url).toBe('https://api.example.com/v2/users/u%201');
+    expect(config.params).toEqual({ expand: true });
+    expect(config.headers['X-API-Key']).toBe('k');
+  });
+
+  test('body参数的schema属性展开为body参数，操作级security覆盖文档级', () => {
+    const updateUser = validateApiDefinition(parseFixture().updateUser);
+
+    expect(updateUser.parameters).toMatchObject({
+      email: { type: 'string', required: true, in: 'body', format: 'email' },
+      nickname: { type: 'string', required: false, in: 'body' },
+      Authorization: { type: 'string', required: false, in: 'header' }
+    });
+    expect(updateUser.parameters).not.toHaveProperty('X-API-Key');
+    expect(buildRequestConfig(updateUser, { userId: '1', email: 'a@b.c' }).data).toEqual({ email: 'a@b.c' });
+  });
+
+  test('formData中的文件参数成为file参数，请求体为multipart', () => {
+    const { uploadAvatar } = parseFixture();
+
+    expect(uploadAvatar.headers).toEqual({ 'Content-Type': 'multipart/form-data' });
+    expect(uploadAvatar.parameters).toMatchObject({
+      image: { type: 'file', required: true, in: 'body' },
+      title: { type: 'string', required: false, in: 'body' }
+    });
+  });
+});